@@ -1,5 +1,16 @@
 
 const { Pool } = require('pg');
+const crypto = require('crypto');
+const net = require('net');
+const { runMigrations } = require('../lib/migrations');
+const { createResponseAdapter, matchRoute } = require('../lib/rest');
+const { buildOpenApiDocument } = require('../lib/openapi');
+const {
+  WEBHOOK_EVENTS, generateWebhookSecret, checkWebhookUrl, enqueueWebhookEvent, deliverPendingWebhooks
+} = require('../lib/webhooks');
+const { KEY_FILE_FORMATS, CONTENT_TYPES, serializeKeys, parseKeyFile } = require('../lib/keyfile');
+const { RETENTION_ACTIONS, getTrashRetentionDays, runMaintenance, restoreArchivedKeys } = require('../lib/maintenance');
+const { parseFingerprint, fingerprintSimilarity, isSameDevice } = require('../lib/fingerprint');
 
 // Kết nối Neon Database
 let pool;
@@ -72,48 +83,20 @@ async function initializeDatabaseWithRetry() {
 
 async function initializeTables(client) {
   try {
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS applications (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) UNIQUE NOT NULL,
-        api_key VARCHAR(255) UNIQUE NOT NULL,
-        created_by VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS keys (
-        id SERIAL PRIMARY KEY,
-        key VARCHAR(255) UNIQUE NOT NULL,
-        api VARCHAR(255) NOT NULL,
-        prefix VARCHAR(50) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        expires_at TIMESTAMP NOT NULL,
-        hwid TEXT,
-        banned BOOLEAN DEFAULT FALSE,
-        used BOOLEAN DEFAULT FALSE,
-        device_limit INTEGER DEFAULT 1,
-        system_info TEXT,
-        first_used TIMESTAMP,
-        FOREIGN KEY (api) REFERENCES applications(api_key) ON DELETE CASCADE
-      )
-    `);
-
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS supports (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255) UNIQUE NOT NULL,
-        added_by VARCHAR(255) NOT NULL,
-        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    await client.query(`
-      INSERT INTO supports (user_id, added_by) 
-      VALUES ('vmp123pp', 'system')
-      ON CONFLICT (user_id) DO NOTHING
-    `);
+    const applied = await runMigrations(client);
+    if (applied.length > 0) {
+      console.log(`✅ Applied migrations: ${applied.join(', ')}`);
+    }
+
+    // Tài khoản admin chính chỉ được tạo khi có ADMIN_PASSWORD
+    if (process.env.ADMIN_PASSWORD) {
+      await client.query(
+        `INSERT INTO operators (user_id, password_hash, role) 
+         VALUES ($1, $2, 'admin')
+         ON CONFLICT (user_id) DO NOTHING`,
+        [MAIN_ADMIN_ID, await hashPassword(process.env.ADMIN_PASSWORD)]
+      );
+    }
 
     console.log('✅ Database tables initialized');
   } catch (error) {
@@ -124,6 +107,145 @@ async function initializeTables(client) {
 
 const MAIN_ADMIN_ID = 'vmp123pp';
 const MAX_APPS_FOR_SUPPORT = 10;
+// 'removed' = support đã bị xóa; tài khoản bị khóa nhưng được dùng lại nếu admin thêm lại
+const SUPPORT_ROLES = ['support', 'removed'];
+const SESSION_TTL_HOURS = 24;
+const MAX_BULK_KEYS = 1000;
+const MAX_KEY_INSERT_ATTEMPTS = 5;
+const DEFAULT_EVENTS_PAGE_SIZE = 50;
+const MAX_EVENTS_PAGE_SIZE = 200;
+const DEFAULT_STATS_DAYS = 30;
+const MAX_STATS_DAYS = 366;
+const TOP_RESELLERS_LIMIT = 10;
+const DEFAULT_KEYS_PAGE_SIZE = 100;
+const MAX_KEYS_PAGE_SIZE = 500;
+const DEFAULT_KEY_FORMAT = 'XXXXXX';
+const DEFAULT_BULK_KEY_FORMAT = 'XXXX-XXXX-XXXX';
+const EXPIRY_MODES = ['fixed', 'activation', 'lifetime'];
+const MAX_EXTEND_DAYS = 3650;
+const MAX_DEVICE_LIMIT = 100;
+const BLACKLIST_TYPES = ['hwid', 'ip'];
+// Giới hạn của cột SERIAL (int4); id lớn hơn cũng làm Postgres lỗi thay vì "không tìm thấy"
+const MAX_SERIAL_ID = 2147483647;
+const RATE_LIMIT_WINDOW_SECONDS = 60;
+// Webhook cảnh báo (chạm giới hạn thiết bị...) chỉ gửi một lần cho mỗi key/HWID trong khoảng này
+const WEBHOOK_ALERT_WINDOW_SECONDS = 60 * 60;
+const FAILURE_WINDOW_SECONDS = 15 * 60;
+const DEFAULT_VALIDATE_LIMIT_PER_IP = 30;
+const DEFAULT_VALIDATE_LIMIT_PER_APP = 1000;
+const ADMIN_LIMIT_PER_IP = 120;
+const DEFAULT_LOCKOUT_THRESHOLD = 10;
+const LOGIN_LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_SECONDS = 60;
+const LOCKOUT_MAX_SECONDS = 24 * 60 * 60;
+const SELF_RESET_LIMIT_PER_IP = 10;
+const DEFAULT_SELF_RESET_COOLDOWN_HOURS = 24;
+const DEFAULT_SELF_RESET_LIMIT = 3;
+const DEFAULT_SELF_RESET_PERIOD_DAYS = 30;
+// Session client hết hạn nếu không heartbeat trong chừng này phút, app đổi bằng session_ttl_minutes
+const DEFAULT_SESSION_TTL_MINUTES = 15;
+const MAX_LISTED_SESSIONS = 500;
+const KEY_STATUS_SQL = `
+  CASE
+    WHEN banned THEN 'banned'
+    WHEN paused_at IS NOT NULL THEN 'paused'
+    WHEN expiry_mode = 'activation' AND expires_at IS NULL THEN 'not_activated'
+    WHEN expires_at IS NOT NULL AND expires_at < NOW() THEN 'expired'
+    WHEN used THEN 'active'
+    ELSE 'unused'
+  END`;
+
+// Danh sách HWID đã bind (NULL nếu chưa có thiết bị nào), giữ nguyên field hwid cho client cũ
+const KEY_HWIDS_SQL = `(SELECT json_agg(d.hwid ORDER BY d.first_seen) FROM key_devices d WHERE d.key = keys.key)`;
+const KEY_STATUSES = ['active', 'expired', 'banned', 'unused', 'paused', 'not_activated'];
+
+// NULL được quy về ±infinity để keyset pagination không bỏ sót key lifetime / chưa dùng
+const KEY_SORT_COLUMNS = {
+  created_at: 'created_at',
+  expires_at: `COALESCE(expires_at, 'infinity'::timestamp)`,
+  first_used: `COALESCE(first_used, '-infinity'::timestamp)`,
+  key: 'key'
+};
+// Cột export_keys cho chọn; hwid là danh sách thiết bị đã bind
+const KEY_EXPORT_COLUMNS = {
+  key: 'key',
+  prefix: 'prefix',
+  status: KEY_STATUS_SQL,
+  expiry_mode: 'expiry_mode',
+  duration_days: 'duration_days',
+  expires_at: 'expires_at',
+  device_limit: 'device_limit',
+  hwid: KEY_HWIDS_SQL,
+  banned: 'banned',
+  ban_reason: 'ban_reason',
+  used: 'used',
+  first_used: 'first_used',
+  paused_at: 'paused_at',
+  batch_id: 'batch_id',
+  created_by: 'created_by',
+  created_at: 'created_at'
+};
+const DEFAULT_EXPORT_COLUMNS = ['key', 'status', 'expiry_mode', 'duration_days', 'expires_at', 'device_limit', 'hwid', 'banned', 'created_at'];
+const MAX_EXPORT_KEYS = 50000;
+const MAX_IMPORT_KEYS = 5000;
+const IMPORT_KEY_PATTERN = /^[A-Za-z0-9_.:-]{4,255}$/;
+const GRANT_PERMISSIONS = ['create', 'ban', 'reset_hwid'];
+// Các cột được chép vào before/after của audit log
+const KEY_AUDIT_FIELDS = ['prefix', 'batch_id', 'tier_id', 'expiry_mode', 'duration_days', 'expires_at', 'device_limit', 'used', 'first_used', 'banned', 'ban_reason', 'paused_at', 'created_by', 'created_at'];
+const GRANT_AUDIT_FIELDS = ['can_create', 'can_ban', 'can_reset_hwid'];
+const WEBHOOK_AUDIT_FIELDS = ['id', 'url', 'events', 'description', 'enabled'];
+const TIER_AUDIT_FIELDS = ['id', 'name', 'level', 'features'];
+const MAX_TIER_LEVEL = 1000;
+const MAX_TIER_FEATURES = 50;
+const TIER_FEATURE_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+const VARIABLE_AUDIT_FIELDS = ['id', 'name', 'tier_id'];
+const FILE_AUDIT_FIELDS = ['id', 'name', 'size', 'sha256', 'tier_id'];
+const APP_VARIABLE_NAME_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+const APP_FILE_NAME_PATTERN = /^[A-Za-z0-9_.:-]{1,255}$/;
+const MAX_VARIABLE_VALUE_LENGTH = 65536;
+const MAX_APP_FILE_BYTES = 2 * 1024 * 1024;
+// Cấu hình của app mà update_app cho sửa, kèm kiểu để validate
+const APP_SETTING_FIELDS = {
+  enabled: 'boolean',
+  disabled_message: 'text',
+  maintenance_mode: 'boolean',
+  maintenance_message: 'text',
+  min_version: 'version',
+  update_url: 'url',
+  hwid_lock: 'boolean',
+  default_device_limit: 'device_limit',
+  default_days: 'days',
+  key_retention_days: 'days',
+  key_retention_action: 'retention_action',
+  device_retention_days: 'days',
+  event_retention_days: 'days',
+  self_reset_enabled: 'boolean',
+  self_reset_cooldown_hours: 'count',
+  self_reset_limit: 'count',
+  self_reset_period_days: 'days',
+  session_ttl_minutes: 'count',
+  max_sessions_per_key: 'count',
+  hwid_match_threshold: 'percent'
+};
+const APP_SETTINGS_SQL = `name, api_key, ${Object.keys(APP_SETTING_FIELDS).join(', ')}, rate_limit_per_ip, rate_limit_per_app, lockout_threshold`;
+const MAX_APP_MESSAGE_LENGTH = 500;
+const CREDITS_PER_DEVICE_MONTH = 1;
+const LIFETIME_KEY_CREDIT_MONTHS = 12;
+const KEY_CHARSETS = {
+  alphanumeric: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+  alpha: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  numeric: '0123456789',
+  hex: '0123456789ABCDEF'
+};
+// prefix / custom_charset: chỉ chữ, số ASCII cùng . và :, trừ - và _ vì đó là dấu phân cách trong key
+const CUSTOM_CHARSET_PATTERN = /^[A-Za-z0-9.:]+$/;
+const KEY_PREFIX_PATTERN = /^[A-Za-z0-9.:]{1,50}$/;
+const APP_USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_APP_USER_PASSWORD_LENGTH = 6;
+// login là đăng nhập operator; người dùng cuối của app đăng nhập bằng user_login
+// Action của client (loader): không cần đăng nhập operator, có giới hạn riêng theo từng application
+const CLIENT_ACTIONS = ['validate_key', 'self_reset_hwid', 'register', 'user_login', 'upgrade', 'heartbeat', 'get_variable', 'get_file'];
+const PUBLIC_ACTIONS = ['test', 'login', ...CLIENT_ACTIONS];
 
 module.exports = async (req, res) => {
   console.log('🔧 Function invoked:', req.method, req.url);
@@ -131,7 +253,7 @@ module.exports = async (req, res) => {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS, GET, PUT, DELETE');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS, GET, PUT, PATCH, DELETE');
 
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -145,7 +267,8 @@ module.exports = async (req, res) => {
       message: 'API Health Check',
       timestamp: new Date().toISOString(),
       environment: {
-        database_url: !!process.env.DATABASE_URL
+        database_url: !!process.env.DATABASE_URL,
+        session_secret: !!process.env.SESSION_SECRET
       },
       database: {
         connected: databaseConnected,
@@ -157,6 +280,13 @@ module.exports = async (req, res) => {
     return res.status(200).json(healthStatus);
   }
 
+  // Tài liệu OpenAPI không cần database
+  if (req.method === 'GET' && req.url.split('?')[0] === '/v2/openapi.json') {
+    const host = req.headers?.host;
+    const proto = req.headers?.['x-forwarded-proto'] || 'https';
+    return res.status(200).json(buildOpenApiDocument(host ? `${proto}://${host}` : null));
+  }
+
   // Kiểm tra database connection
   if (!databaseConnected || !pool) {
     console.log('🔄 Database not connected, attempting to reconnect...');
@@ -172,6 +302,17 @@ module.exports = async (req, res) => {
   }
 
   try {
+    const url = new URL(req.url || '/', 'http://localhost');
+
+    // Vercel Cron gửi kèm Authorization: Bearer <CRON_SECRET>
+    if (url.pathname.startsWith('/cron/')) {
+      return await handleCronRequest(req, res, url);
+    }
+
+    if (url.pathname.startsWith('/v2/')) {
+      return await handleV2Request(req, res, url);
+    }
+
     let body = {};
     if (req.method === 'POST' && req.body) {
       body = req.body;
@@ -181,630 +322,5556 @@ module.exports = async (req, res) => {
 
     console.log('🔧 Action received:', action);
 
-    switch (action) {
-      case 'check_support':
-        return await handleCheckSupport(body, res);
-      
-      case 'test':
-        return res.status(200).json({ 
-          success: true, 
-          message: 'API is working with PostgreSQL!',
-          timestamp: new Date().toISOString(),
-          database: 'connected'
-        });
+    // API cũ giữ HTTP status như trước, chỉ thêm `code` vào response lỗi
+    const legacyRes = createResponseAdapter(res);
+    const auth = await authorizeAction(action, req, legacyRes);
+    if (!auth) return;
+
+    return await dispatchAction(action, body, req, legacyRes, auth.operator);
+  } catch (error) {
+    console.error('❌ Handler error:', error);
+    return createResponseAdapter(res).status(500).json({ 
+      success: false, 
+      message: 'Server error: ' + error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Rate limit + xác thực chung cho API cũ và v2; trả null nếu đã gửi response lỗi
+async function authorizeAction(action, req, res) {
+  if (action && !['test', ...CLIENT_ACTIONS].includes(action)) {
+    const limited = await checkRateLimit(`admin:${getClientIp(req)}`, ADMIN_LIMIT_PER_IP);
+    if (limited) {
+      sendRateLimited(res, limited);
+      return null;
+    }
+  }
+
+  let operator = null;
+  if (action && !PUBLIC_ACTIONS.includes(action)) {
+    operator = await authenticateOperator(req);
+    if (!operator) {
+      res.status(401).json({ success: false, message: 'Unauthorized: invalid or expired session' });
+      return null;
+    }
+  }
 
-      case 'create_app':
-        return await handleCreateApp(body, res);
+  return { operator };
+}
 
-      case 'delete_app':
-        return await handleDeleteApp(body, res);
+async function dispatchAction(action, body, req, res, operator) {
+  switch (action) {
+    case 'login':
+      return await handleLogin(body, req, res);
 
-      case 'create_key':
-        return await handleCreateKey(body, res);
+    case 'logout':
+      return await handleLogout(operator, res);
 
-      case 'delete_key':
-        return await handleDeleteKey(body, res);
+    case 'get_session':
+      return await handleGetSession(operator, res);
 
-      case 'ban_key':
-        return await handleBanKey(body, res);
+    case 'revoke_sessions':
+      return await handleRevokeSessions(body, res, operator);
 
-      case 'check_key':
-        return await handleCheckKey(body, res);
+    case 'change_password':
+      return await handleChangePassword(body, res, operator);
 
-      case 'reset_hwid':
-        return await handleResetHWID(body, res);
+    case 'check_support':
+      return await handleCheckSupport(operator, res);
+    
+    case 'test':
+      return res.status(200).json({ 
+        success: true, 
+        message: 'API is working with PostgreSQL!',
+        timestamp: new Date().toISOString(),
+        database: 'connected'
+      });
 
-      case 'get_apps':
-        return await handleGetApps(body, res);
+    case 'create_app':
+      return await handleCreateApp(body, res, operator);
 
-      case 'get_my_apps':
-        return await handleGetMyApps(body, res);
+    case 'delete_app':
+      return await handleDeleteApp(body, res, operator);
 
-      case 'get_keys':
-        return await handleGetKeys(body, res);
+    case 'update_app':
+      return await handleUpdateApp(body, res, operator);
 
-      case 'list_keys':
-        return await handleListKeys(body, res);
+    case 'get_app_settings':
+      return await handleGetAppSettings(body, res, operator);
 
-      case 'add_support':
-        return await handleAddSupport(body, res);
+    case 'create_key':
+      return await handleCreateKey(body, res, operator);
 
-      case 'delete_support':
-        return await handleDeleteSupport(body, res);
+    case 'create_keys_bulk':
+      return await handleCreateKeysBulk(body, res, operator);
 
-      case 'get_supports':
-        return await handleGetSupports(res);
+    case 'list_batches':
+      return await handleListBatches(body, res, operator);
 
-      case 'validate_key':
-        return await handleValidateKey(body, res);
+    case 'get_batch':
+      return await handleGetBatch(body, res, operator);
 
-      case 'check_permission':
-        return await handleCheckPermission(body, res);
+    case 'revoke_batch':
+      return await handleRevokeBatch(body, res, operator);
 
-      default:
-        if (req.method === 'GET') {
-          return res.status(200).json({
-            success: true,
-            message: 'KeyAuth API is running!',
-            timestamp: new Date().toISOString(),
-            database: databaseConnected ? 'connected' : 'disconnected',
-            version: '2.0.0',
-            copyright: 'techdavisk007'
-          });
-        }
-        return res.status(400).json({ success: false, message: 'Invalid action: ' + action });
+    case 'delete_key':
+      return await handleDeleteKey(body, res, operator);
+
+    case 'ban_key':
+      return await handleBanKey(body, res, operator);
+
+    case 'unban_key':
+      return await handleUnbanKey(body, res, operator);
+
+    case 'add_blacklist':
+      return await handleAddBlacklist(body, res, operator);
+
+    case 'remove_blacklist':
+      return await handleRemoveBlacklist(body, res, operator);
+
+    case 'list_blacklist':
+      return await handleListBlacklist(body, res, operator);
+
+    case 'extend_key':
+      return await handleExtendKey(body, res, operator);
+
+    case 'pause_key':
+      return await handlePauseKey(body, res, operator);
+
+    case 'resume_key':
+      return await handleResumeKey(body, res, operator);
+
+    case 'set_device_limit':
+      return await handleSetDeviceLimit(body, res, operator);
+
+    case 'set_rate_limits':
+      return await handleSetRateLimits(body, res, operator);
+
+    case 'check_key':
+      return await handleCheckKey(body, res, operator);
+
+    case 'reset_hwid':
+      return await handleResetHWID(body, res, operator);
+
+    case 'get_apps':
+      return await handleGetApps(body, res, operator);
+
+    case 'get_my_apps':
+      return await handleGetMyApps(body, res, operator);
+
+    case 'get_keys':
+      return await handleGetKeys(body, res, operator);
+
+    case 'list_keys':
+      return await handleListKeys(body, res, operator);
+
+    case 'search_keys':
+      return await handleSearchKeys(body, res, operator);
+
+    case 'export_keys':
+      return await handleExportKeys(body, res, operator);
+
+    case 'import_keys':
+      return await handleImportKeys(body, res, operator);
+
+    case 'add_support':
+      return await handleAddSupport(body, res, operator);
+
+    case 'delete_support':
+      return await handleDeleteSupport(body, res, operator);
+
+    case 'get_supports':
+      return await handleGetSupports(res, operator);
+
+    case 'add_reseller':
+      return await handleAddReseller(body, res, operator);
+
+    case 'delete_reseller':
+      return await handleDeleteReseller(body, res, operator);
+
+    case 'list_resellers':
+      return await handleListResellers(res, operator);
+
+    case 'grant_app_access':
+      return await handleGrantAppAccess(body, res, operator);
+
+    case 'revoke_app_access':
+      return await handleRevokeAppAccess(body, res, operator);
+
+    case 'add_credits':
+      return await handleAddCredits(body, res, operator);
+
+    case 'get_credit_history':
+      return await handleGetCreditHistory(body, res, operator);
+
+    case 'validate_key':
+      return await handleValidateKey(body, req, res);
+
+    case 'self_reset_hwid':
+      return await handleSelfResetHWID(body, req, res);
+
+    case 'register':
+      return await handleRegister(body, req, res);
+
+    case 'user_login':
+      return await handleUserLogin(body, req, res);
+
+    case 'upgrade':
+      return await handleUpgrade(body, req, res);
+
+    case 'list_users':
+      return await handleListUsers(body, res, operator);
+
+    case 'ban_user':
+      return await handleBanUser(body, res, operator);
+
+    case 'unban_user':
+      return await handleUnbanUser(body, res, operator);
+
+    case 'reset_user_hwid':
+      return await handleResetUserHWID(body, res, operator);
+
+    case 'heartbeat':
+      return await handleHeartbeat(body, req, res);
+
+    case 'list_sessions':
+      return await handleListSessions(body, res, operator);
+
+    case 'kill_session':
+      return await handleKillSession(body, res, operator);
+
+    case 'get_variable':
+      return await handleGetVariable(body, req, res);
+
+    case 'get_file':
+      return await handleGetFile(body, req, res);
+
+    case 'list_variables':
+      return await handleListVariables(body, res, operator);
+
+    case 'set_variable':
+      return await handleSetVariable(body, res, operator);
+
+    case 'delete_variable':
+      return await handleDeleteVariable(body, res, operator);
+
+    case 'list_files':
+      return await handleListFiles(body, res, operator);
+
+    case 'upload_file':
+      return await handleUploadFile(body, res, operator);
+
+    case 'delete_file':
+      return await handleDeleteFile(body, res, operator);
+
+    case 'list_tiers':
+      return await handleListTiers(body, res, operator);
+
+    case 'create_tier':
+      return await handleCreateTier(body, res, operator);
+
+    case 'update_tier':
+      return await handleUpdateTier(body, res, operator);
+
+    case 'delete_tier':
+      return await handleDeleteTier(body, res, operator);
+
+    case 'get_key_events':
+      return await handleGetKeyEvents(body, res, operator);
+
+    case 'get_audit_log':
+      return await handleGetAuditLog(body, res, operator);
+
+    case 'get_stats':
+      return await handleGetStats(body, res, operator);
+
+    case 'check_permission':
+      return await handleCheckPermission(body, res, operator);
+
+    case 'get_signing_key':
+      return await handleGetSigningKey(body, res, operator);
+
+    case 'rotate_signing_key':
+      return await handleRotateSigningKey(body, res, operator);
+
+    case 'add_webhook':
+      return await handleAddWebhook(body, res, operator);
+
+    case 'update_webhook':
+      return await handleUpdateWebhook(body, res, operator);
+
+    case 'delete_webhook':
+      return await handleDeleteWebhook(body, res, operator);
+
+    case 'list_webhooks':
+      return await handleListWebhooks(body, res, operator);
+
+    case 'test_webhook':
+      return await handleTestWebhook(body, res, operator);
+
+    case 'get_webhook_deliveries':
+      return await handleGetWebhookDeliveries(body, res, operator);
+
+    case 'run_maintenance':
+      return await handleRunMaintenance(body, res, operator);
+
+    case 'list_archived_keys':
+      return await handleListArchivedKeys(body, res, operator);
+
+    case 'restore_archived_keys':
+      return await handleRestoreArchivedKeys(body, res, operator);
+
+    case 'restore_app':
+      return await handleRestoreApp(body, res, operator);
+
+    case 'restore_key':
+      return await handleRestoreKey(body, res, operator);
+
+    case 'list_trash':
+      return await handleListTrash(body, res, operator);
+
+    case 'process_webhooks':
+      return await handleProcessWebhooks(res, operator);
+
+    default:
+      if (req.method === 'GET') {
+        return res.status(200).json({
+          success: true,
+          message: 'KeyAuth API is running!',
+          timestamp: new Date().toISOString(),
+          database: databaseConnected ? 'connected' : 'disconnected',
+          version: '2.0.0',
+          copyright: 'techdavisk007'
+        });
+      }
+      return res.status(400).json({ success: false, message: 'Invalid action: ' + action });
+  }
+}
+
+// ==================== CRON ====================
+
+async function handleCronRequest(req, res, url) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers?.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  }
+
+  switch (url.pathname) {
+    case '/cron/webhooks': {
+      const summary = await deliverPendingWebhooks(pool);
+      return res.status(200).json({ success: true, ...summary });
     }
 
-  } catch (error) {
-    console.error('❌ Handler error:', error);
-    return res.status(500).json({ 
-      success: false, 
-      message: 'Server error: ' + error.message,
-      timestamp: new Date().toISOString()
-    });
+    case '/cron/maintenance': {
+      const dryRun = ['1', 'true'].includes(url.searchParams.get('dry_run'));
+      const report = await runMaintenance(pool, { dryRun });
+      console.log('🧹 Maintenance:', JSON.stringify(report.totals));
+      if (!dryRun) {
+        await recordAudit({ user_id: 'cron', ip: getClientIp(req) }, { action: 'run_maintenance', after: { totals: report.totals, global: report.global } });
+      }
+      return res.status(200).json({ success: true, ...report });
+    }
+
+    default:
+      return res.status(404).json({ success: false, message: 'Unknown cron job' });
   }
-};
+}
 
-// ==================== PERMISSION FUNCTIONS ====================
+// ==================== REST V2 ====================
+
+async function handleV2Request(req, res, url) {
+  const match = matchRoute(req.method, url.pathname);
+  if (!match) {
+    return createResponseAdapter(res, { rest: true }).status(404).json({ success: false, message: 'Route not found' });
+  }
+
+  const { route, params } = match;
+  const v2Res = createResponseAdapter(res, { rest: true, successStatus: route.successStatus });
+
+  console.log('🔧 V2 route:', route.method, route.path, '->', route.action);
+
+  const auth = await authorizeAction(route.action, req, v2Res);
+  if (!auth) return;
+
+  // Query string < body < tham số trên path
+  const requestBody = req.body && typeof req.body === 'object' ? req.body : {};
+  const body = { ...Object.fromEntries(url.searchParams), ...requestBody, ...params };
+
+  // Key là UNIQUE toàn hệ thống nên route /v2/keys/:key tự suy ra application;
+  // key trong thùng rác coi như không tồn tại, trừ route khôi phục
+  if (route.lookup === 'key' || route.lookup === 'key_or_trashed') {
+    const keyResult = await pool.query(
+      'SELECT api FROM keys WHERE key = $1 AND ($2 OR deleted_at IS NULL)',
+      [body.key, route.lookup === 'key_or_trashed']
+    );
+    if (keyResult.rows.length === 0) {
+      return v2Res.status(200).json({ success: false, message: 'Key not found' });
+    }
+    body.api = keyResult.rows[0].api;
+  }
 
-async function checkIfAdmin(user_id) {
-  return user_id === MAIN_ADMIN_ID;
+  if (route.lookup === 'app_name') {
+    const appResult = await pool.query('SELECT name FROM applications WHERE api_key = $1', [body.api]);
+    if (appResult.rows.length === 0) {
+      return v2Res.status(200).json({ success: false, message: 'App not found' });
+    }
+    body.app_name = appResult.rows[0].name;
+  }
+
+  return await dispatchAction(route.action, body, req, v2Res, auth.operator);
 }
 
-async function getUserAppCount(user_id) {
-  const result = await pool.query(
-    'SELECT COUNT(*) as count FROM applications WHERE created_by = $1',
-    [user_id]
-  );
-  return parseInt(result.rows[0].count);
+// ==================== AUTH FUNCTIONS ====================
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptAsync(password, salt);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
 }
 
-async function checkAppPermission(user_id, api_key) {
-  if (user_id === MAIN_ADMIN_ID) return { hasPermission: true, isAdmin: true };
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
 
-  const supportCheck = await pool.query('SELECT * FROM supports WHERE user_id = $1', [user_id]);
-  
-  if (supportCheck.rows.length > 0) {
-    return { hasPermission: true, isAdmin: false };
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scryptAsync(password, Buffer.from(saltHex, 'hex'));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function scryptAsync(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, 64, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+function signSessionToken(payload) {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto
+    .createHmac('sha256', process.env.SESSION_SECRET)
+    .update(data)
+    .digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function verifySessionToken(token) {
+  if (!process.env.SESSION_SECRET || !token) return null;
+
+  const [data, signature] = token.split('.');
+  if (!data || !signature) return null;
+
+  const expected = crypto
+    .createHmac('sha256', process.env.SESSION_SECRET)
+    .update(data)
+    .digest('base64url');
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+    if (!payload.sid || !payload.exp || payload.exp < Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
   }
+}
+
+async function authenticateOperator(req) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  const payload = verifySessionToken(match && match[1]);
+  if (!payload) return null;
 
+  // Token hợp lệ về chữ ký vẫn phải còn session chưa bị thu hồi trong DB
   const result = await pool.query(
-    'SELECT * FROM applications WHERE api_key = $1 AND created_by = $2',
-    [api_key, user_id]
+    `SELECT s.id, o.user_id, o.role 
+     FROM operator_sessions s
+     JOIN operators o ON o.user_id = s.user_id
+     WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW() AND o.disabled = false`,
+    [payload.sid]
   );
-  
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  // ip / user_agent đi kèm operator để audit log ghi được mà không cần truyền req vào mọi handler
   return { 
-    hasPermission: result.rows.length > 0, 
-    isAdmin: false 
+    user_id: row.user_id, 
+    role: row.role, 
+    session_id: row.id,
+    ip: getClientIp(req),
+    user_agent: req.headers?.['user-agent'] || null
   };
 }
 
-// ==================== DATABASE HANDLERS ====================
-
-async function handleCheckSupport(body, res) {
-  const { user_id } = body;
-  if (!user_id) return res.status(400).json({ success: false, message: 'User ID is required' });
+async function revokeOperatorSessions(user_id) {
+  const result = await pool.query(
+    'UPDATE operator_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [user_id]
+  );
+  return result.rowCount;
+}
 
-  const result = await pool.query('SELECT * FROM supports WHERE user_id = $1', [user_id]);
-  
-  if (result.rows.length > 0) {
-    return res.status(200).json({ 
-      success: true, 
-      is_support: true,
-      user: result.rows[0]
-    });
-  } else {
-    return res.status(200).json({ 
-      success: false, 
-      is_support: false, 
-      message: 'User không có quyền truy cập' 
-    });
-  }
+function getClientIp(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.socket?.remoteAddress || null;
 }
 
-async function handleCheckPermission(body, res) {
-  const { user_id, api } = body;
-  
-  if (!user_id) {
-    return res.status(400).json({ success: false, message: 'User ID is required' });
-  }
+// ==================== RATE LIMITING ====================
 
-  const permission = await checkAppPermission(user_id, api);
-  const appCount = await getUserAppCount(user_id);
-  const isAdmin = await checkIfAdmin(user_id);
-  
-  return res.status(200).json({ 
-    success: true, 
-    has_permission: permission.hasPermission,
-    is_admin: isAdmin,
-    app_count: appCount,
-    max_apps: isAdmin ? 999 : MAX_APPS_FOR_SUPPORT
-  });
-}
+// Bộ đếm theo cửa sổ cố định, lưu ở Postgres để dùng chung giữa các lần invoke serverless
+function createPostgresRateLimitStore() {
+  return {
+    async increment(bucket, windowSeconds) {
+      const windowStart = new Date(Math.floor(Date.now() / (windowSeconds * 1000)) * windowSeconds * 1000);
+      const result = await pool.query(
+        `INSERT INTO rate_limits (bucket, window_start, count) VALUES ($1, $2, 1)
+         ON CONFLICT (bucket) DO UPDATE SET 
+           count = CASE WHEN rate_limits.window_start = EXCLUDED.window_start THEN rate_limits.count + 1 ELSE 1 END,
+           window_start = EXCLUDED.window_start
+         RETURNING count`,
+        [bucket, windowStart]
+      );
 
-async function handleCreateApp(body, res) {
-  const { app_name, user_id } = body;
-  
-  if (!app_name) {
-    return res.status(400).json({ success: false, message: 'App name is required' });
-  }
+      if (Math.random() < 0.01) {
+        await pool.query("DELETE FROM rate_limits WHERE window_start < NOW() - INTERVAL '1 day'");
+      }
 
-  if (!user_id) {
-    return res.status(400).json({ success: false, message: 'User ID is required' });
-  }
+      return result.rows[0].count;
+    },
 
-  const api_key = 'api_' + Math.random().toString(36).substr(2, 16);
+    async getLockout(subject) {
+      const result = await pool.query('SELECT * FROM lockouts WHERE subject = $1', [subject]);
+      return result.rows[0] || null;
+    },
 
-  try {
-    const isAdmin = await checkIfAdmin(user_id);
-    const userAppCount = await getUserAppCount(user_id);
-    
-    if (!isAdmin && userAppCount >= MAX_APPS_FOR_SUPPORT) {
-      return res.status(200).json({ 
-        success: false, 
-        message: `Bạn đã đạt giới hạn ${MAX_APPS_FOR_SUPPORT} applications. Chỉ admin mới có thể tạo thêm.` 
-      });
+    async saveLockout(subject, level, locked_until) {
+      await pool.query(
+        `INSERT INTO lockouts (subject, level, locked_until, updated_at) VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (subject) DO UPDATE SET 
+           level = EXCLUDED.level, locked_until = EXCLUDED.locked_until, updated_at = NOW()`,
+        [subject, level, locked_until]
+      );
     }
+  };
+}
 
-    const existingApp = await pool.query('SELECT * FROM applications WHERE name = $1', [app_name]);
-    if (existingApp.rows.length > 0) {
-      return res.status(200).json({ success: false, message: 'App already exists' });
-    }
+// Bản chạy trong bộ nhớ cho môi trường local/test, không chia sẻ giữa các instance
+function createMemoryRateLimitStore() {
+  const counters = new Map();
+  const lockouts = new Map();
 
-    await pool.query(
-      'INSERT INTO applications (name, api_key, created_by) VALUES ($1, $2, $3)',
-      [app_name, api_key, user_id]
-    );
+  return {
+    async increment(bucket, windowSeconds) {
+      const windowStart = Math.floor(Date.now() / (windowSeconds * 1000));
+      const entry = counters.get(bucket);
+      if (!entry || entry.windowStart !== windowStart) {
+        counters.set(bucket, { windowStart, count: 1 });
+        return 1;
+      }
+      entry.count++;
+      return entry.count;
+    },
 
-    console.log('✅ App created:', app_name, 'by user:', user_id);
-    return res.status(200).json({ 
-      success: true, 
-      message: 'App created successfully',
-      api_key: api_key 
-    });
-  } catch (error) {
-    if (error.code === '23505') {
-      return res.status(200).json({ success: false, message: 'App already exists' });
+    async getLockout(subject) {
+      return lockouts.get(subject) || null;
+    },
+
+    async saveLockout(subject, level, locked_until) {
+      lockouts.set(subject, { subject, level, locked_until, updated_at: new Date() });
     }
-    throw error;
-  }
+  };
 }
 
-async function handleCreateKey(body, res) {
-  const { api, prefix, days, device_limit, user_id } = body;
-  
-  if (!api || !prefix || !days || !user_id) {
-    return res.status(400).json({ success: false, message: 'Missing required fields: api, prefix, days, user_id' });
-  }
+const rateLimitStore = process.env.RATE_LIMIT_STORE === 'memory'
+  ? createMemoryRateLimitStore()
+  : createPostgresRateLimitStore();
 
-  const permission = await checkAppPermission(user_id, api);
-  if (!permission.hasPermission) {
-    return res.status(403).json({ success: false, message: 'Bạn không có quyền tạo key cho application này' });
+async function checkRateLimit(bucket, limit) {
+  const count = await rateLimitStore.increment(bucket, RATE_LIMIT_WINDOW_SECONDS);
+  if (count <= limit) return null;
+
+  const elapsed = Math.floor(Date.now() / 1000) % RATE_LIMIT_WINDOW_SECONDS;
+  return { retry_after: RATE_LIMIT_WINDOW_SECONDS - elapsed };
+}
+
+// true nếu đây là lần đầu subject xuất hiện trong cửa sổ, dùng để không bắn webhook mỗi lần client retry
+async function isFirstInAlertWindow(subject) {
+  const count = await rateLimitStore.increment(`alert:${subject}`, WEBHOOK_ALERT_WINDOW_SECONDS);
+  return count === 1;
+}
+
+async function checkLockout(subject) {
+  const lockout = await rateLimitStore.getLockout(subject);
+  if (!lockout || !lockout.locked_until) return null;
+
+  const remaining = Math.ceil((new Date(lockout.locked_until) - Date.now()) / 1000);
+  return remaining > 0 ? { retry_after: remaining } : null;
+}
+
+async function recordFailedAttempt(subject, threshold) {
+  const failures = await rateLimitStore.increment(`fail:${subject}`, FAILURE_WINDOW_SECONDS);
+  if (failures < threshold) return null;
+
+  // Mỗi lần bị khóa lại trong vòng 24h thì thời gian khóa tăng gấp đôi
+  const previous = await rateLimitStore.getLockout(subject);
+  const recent = previous && Date.now() - new Date(previous.updated_at) < 24 * 60 * 60 * 1000;
+  const level = recent ? previous.level + 1 : 1;
+  const seconds = Math.min(LOCKOUT_BASE_SECONDS * Math.pow(2, level - 1), LOCKOUT_MAX_SECONDS);
+
+  await rateLimitStore.saveLockout(subject, level, new Date(Date.now() + seconds * 1000));
+  console.log(`🔒 Locked out ${subject} for ${seconds}s (level ${level})`);
+  return { retry_after: seconds };
+}
+
+function sendRateLimited(res, limited, message = 'Too many requests') {
+  res.setHeader('Retry-After', String(limited.retry_after));
+  return res.status(429).json({ success: false, message, retry_after: limited.retry_after });
+}
+
+// ==================== SIGNING FUNCTIONS ====================
+
+function generateSigningKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  return { publicKey, privateKey };
+}
+
+function getSigningKeyId(publicKey) {
+  return crypto.createHash('sha256').update(publicKey).digest('hex').substring(0, 16);
+}
+
+async function ensureSigningKey(app) {
+  if (app.signing_private_key) return app;
+
+  // App tạo trước khi có chữ ký → sinh keypair lần đầu được dùng
+  const { publicKey, privateKey } = generateSigningKeyPair();
+  const result = await pool.query(
+    `UPDATE applications 
+     SET signing_private_key = $1, signing_public_key = $2, signing_rotated_at = NOW()
+     WHERE api_key = $3 AND signing_private_key IS NULL
+     RETURNING *`,
+    [privateKey, publicKey, app.api_key]
+  );
+  if (result.rows.length > 0) return result.rows[0];
+
+  const current = await pool.query('SELECT * FROM applications WHERE api_key = $1', [app.api_key]);
+  return current.rows[0];
+}
+
+function signPayload(app, data) {
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(payload), app.signing_private_key).toString('base64');
+  return {
+    payload,
+    signature,
+    alg: 'Ed25519',
+    key_id: getSigningKeyId(app.signing_public_key)
+  };
+}
+
+function sanitizeApp(app) {
+  const { signing_private_key, ...publicFields } = app;
+  return publicFields;
+}
+
+// ==================== PERMISSION FUNCTIONS ====================
+
+async function checkIfAdmin(operator) {
+  return !!operator && operator.role === 'admin';
+}
+
+async function checkIfSupport(operator) {
+  if (!operator) return false;
+  const result = await pool.query('SELECT 1 FROM supports WHERE user_id = $1', [operator.user_id]);
+  return result.rows.length > 0;
+}
+
+async function getUserAppCount(user_id) {
+  const result = await pool.query(
+    'SELECT COUNT(*) as count FROM applications WHERE created_by = $1 AND deleted_at IS NULL',
+    [user_id]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+async function checkAppPermission(operator, api_key, permission = 'view') {
+  // App trong thùng rác bị ẩn với mọi thao tác, kể cả admin; chỉ restore_app / list_trash làm việc với nó
+  const trashed = await pool.query('SELECT 1 FROM applications WHERE api_key = $1 AND deleted_at IS NOT NULL', [api_key]);
+  if (trashed.rows.length > 0) return { hasPermission: false, isAdmin: false, ownerScope: null };
+
+  if (await checkIfAdmin(operator)) return { hasPermission: true, isAdmin: true, ownerScope: null };
+
+  const result = await pool.query(
+    'SELECT * FROM applications WHERE api_key = $1 AND created_by = $2',
+    [api_key, operator.user_id]
+  );
+  if (result.rows.length > 0) {
+    return { hasPermission: true, isAdmin: false, ownerScope: null };
+  }
+
+  // Support / reseller trên app không phải của mình: chỉ có các quyền được cấp trong grant.
+  // Reseller còn bị giới hạn trong key do chính mình tạo
+  const grantResult = await pool.query(
+    'SELECT * FROM app_grants WHERE api = $1 AND user_id = $2',
+    [api_key, operator.user_id]
+  );
+  const grant = grantResult.rows[0];
+  if (!grant) {
+    return { hasPermission: false, isAdmin: false, ownerScope: null };
+  }
+
+  const isReseller = operator.role === 'reseller';
+  return { 
+    hasPermission: permission === 'view' || (GRANT_PERMISSIONS.includes(permission) && grant[`can_${permission}`]), 
+    isAdmin: false,
+    isReseller,
+    ownerScope: isReseller ? operator.user_id : null
+  };
+}
+
+function getKeyCreditCost(lifetime, deviceLimit) {
+  const months = lifetime.expiry_mode === 'lifetime'
+    ? LIFETIME_KEY_CREDIT_MONTHS
+    : Math.ceil(lifetime.duration_days / 30);
+  return months * deviceLimit * CREDITS_PER_DEVICE_MONTH;
+}
+
+async function debitCredits(client, user_id, amount, details) {
+  const result = await client.query(
+    'UPDATE operators SET credits = credits - $1 WHERE user_id = $2 AND credits >= $1 RETURNING credits',
+    [amount, user_id]
+  );
+  if (result.rows.length === 0) return null;
+
+  await client.query(
+    `INSERT INTO credit_transactions (user_id, amount, reason, api, key_count, created_by) 
+     VALUES ($1, $2, $3, $4, $5, $1)`,
+    [user_id, -amount, details.reason, details.api, details.key_count]
+  );
+  return result.rows[0].credits;
+}
+
+// ==================== DATABASE HANDLERS ====================
+
+async function handleLogin(body, req, res) {
+  const { user_id, password } = body;
+
+  if (!user_id || !password) {
+    return res.status(400).json({ success: false, message: 'User ID and password are required' });
+  }
+
+  if (!process.env.SESSION_SECRET) {
+    return res.status(503).json({ success: false, message: 'SESSION_SECRET is not configured' });
+  }
+
+  const lockSubject = `login:${getClientIp(req)}`;
+  const locked = await checkLockout(lockSubject);
+  if (locked) {
+    return sendRateLimited(res, locked, 'Đăng nhập sai quá nhiều lần, vui lòng thử lại sau');
+  }
+
+  const result = await pool.query('SELECT * FROM operators WHERE user_id = $1', [user_id]);
+  const account = result.rows[0];
+
+  if (!account || account.disabled || !(await verifyPassword(password, account.password_hash))) {
+    await recordFailedAttempt(lockSubject, LOGIN_LOCKOUT_THRESHOLD);
+    return res.status(401).json({ success: false, message: 'Sai ID hoặc mật khẩu' });
+  }
+
+  const session_id = crypto.randomBytes(16).toString('hex');
+  const expires_at = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+  await pool.query(
+    `INSERT INTO operator_sessions (id, user_id, expires_at, ip, user_agent) 
+     VALUES ($1, $2, $3, $4, $5)`,
+    [session_id, account.user_id, expires_at, getClientIp(req), req.headers?.['user-agent'] || null]
+  );
+  await pool.query('UPDATE operators SET last_login = NOW() WHERE user_id = $1', [account.user_id]);
+
+  const operator = { user_id: account.user_id, role: account.role };
+  const token = signSessionToken({ sid: session_id, sub: account.user_id, exp: expires_at.getTime() });
+
+  console.log('✅ Operator logged in:', account.user_id);
+  return res.status(200).json({ 
+    success: true, 
+    token,
+    expires_at,
+    user_id: account.user_id,
+    is_admin: await checkIfAdmin(operator),
+    is_support: await checkIfSupport(operator),
+    is_reseller: account.role === 'reseller'
+  });
+}
+
+async function handleLogout(operator, res) {
+  await pool.query(
+    'UPDATE operator_sessions SET revoked_at = NOW() WHERE id = $1',
+    [operator.session_id]
+  );
+  return res.status(200).json({ success: true, message: 'Logged out' });
+}
+
+async function handleGetSession(operator, res) {
+  const account = await pool.query('SELECT credits FROM operators WHERE user_id = $1', [operator.user_id]);
+
+  return res.status(200).json({ 
+    success: true, 
+    user_id: operator.user_id,
+    is_admin: await checkIfAdmin(operator),
+    is_support: await checkIfSupport(operator),
+    is_reseller: operator.role === 'reseller',
+    credits: account.rows[0]?.credits || 0
+  });
+}
+
+async function handleRevokeSessions(body, res, operator) {
+  const target = body.target_user_id || operator.user_id;
+
+  if (target !== operator.user_id && !(await checkIfAdmin(operator))) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền thu hồi session của user khác' });
+  }
+
+  const revoked = await revokeOperatorSessions(target);
+  await recordAudit(operator, { action: 'revoke_sessions', user: target, after: { revoked } });
+  return res.status(200).json({ success: true, message: 'Sessions revoked', revoked });
+}
+
+async function handleChangePassword(body, res, operator) {
+  const { current_password, new_password } = body;
+  const target = body.target_user_id || operator.user_id;
+  const isAdmin = await checkIfAdmin(operator);
+
+  if (!new_password || String(new_password).length < 8) {
+    return res.status(400).json({ success: false, message: 'New password must be at least 8 characters' });
+  }
+
+  if (target !== operator.user_id && !isAdmin) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền đổi mật khẩu của user khác' });
+  }
+
+  const result = await pool.query('SELECT * FROM operators WHERE user_id = $1', [target]);
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Account not found' });
+  }
+
+  // Tự đổi mật khẩu thì phải nhập lại mật khẩu cũ
+  if (target === operator.user_id &&
+      !(await verifyPassword(current_password, result.rows[0].password_hash))) {
+    return res.status(401).json({ success: false, message: 'Mật khẩu hiện tại không đúng' });
+  }
+
+  await pool.query(
+    'UPDATE operators SET password_hash = $1 WHERE user_id = $2',
+    [await hashPassword(new_password), target]
+  );
+  await revokeOperatorSessions(target);
+  await recordAudit(operator, { action: 'change_password', user: target });
+
+  return res.status(200).json({ success: true, message: 'Password changed, please log in again' });
+}
+
+async function handleCheckSupport(operator, res) {
+  const user_id = operator.user_id;
+
+  const result = await pool.query('SELECT * FROM supports WHERE user_id = $1', [user_id]);
+  
+  if (result.rows.length > 0) {
+    return res.status(200).json({ 
+      success: true, 
+      is_support: true,
+      user: result.rows[0]
+    });
+  } else {
+    return res.status(200).json({ 
+      success: false, 
+      is_support: false, 
+      message: 'User không có quyền truy cập' 
+    });
+  }
+}
+
+async function handleCheckPermission(body, res, operator) {
+  const { api } = body;
+
+  const permission = await checkAppPermission(operator, api);
+  const appCount = await getUserAppCount(operator.user_id);
+  const isAdmin = await checkIfAdmin(operator);
+  
+  return res.status(200).json({ 
+    success: true, 
+    has_permission: permission.hasPermission,
+    is_admin: isAdmin,
+    app_count: appCount,
+    max_apps: isAdmin ? 999 : MAX_APPS_FOR_SUPPORT
+  });
+}
+
+async function handleCreateApp(body, res, operator) {
+  const { app_name, owner_id } = body;
+  
+  if (!app_name) {
+    return res.status(400).json({ success: false, message: 'App name is required' });
+  }
+
+  const isAdmin = await checkIfAdmin(operator);
+
+  if (operator.role === 'reseller') {
+    return res.status(403).json({ success: false, message: 'Reseller không thể tạo application' });
+  }
+
+  if (!isAdmin && !(await checkIfSupport(operator))) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền tạo application' });
+  }
+
+  // Chỉ admin mới được tạo app đứng tên người khác
+  if (owner_id && owner_id !== operator.user_id && !isAdmin) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền tạo application cho user khác' });
+  }
+
+  const user_id = owner_id || operator.user_id;
+  const api_key = 'api_' + randomChars(24, 'abcdefghijklmnopqrstuvwxyz0123456789');
+  const { publicKey, privateKey } = generateSigningKeyPair();
+
+  try {
+    const userAppCount = await getUserAppCount(user_id);
+    
+    if (!isAdmin && userAppCount >= MAX_APPS_FOR_SUPPORT) {
+      return res.status(200).json({ 
+        success: false, 
+        message: `Bạn đã đạt giới hạn ${MAX_APPS_FOR_SUPPORT} applications. Chỉ admin mới có thể tạo thêm.` 
+      });
+    }
+
+    const existingApp = await pool.query('SELECT * FROM applications WHERE name = $1', [app_name]);
+    if (existingApp.rows.length > 0) {
+      return res.status(200).json({ success: false, message: 'App already exists' });
+    }
+
+    await pool.query(
+      `INSERT INTO applications (name, api_key, created_by, signing_private_key, signing_public_key, signing_rotated_at) 
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [app_name, api_key, user_id, privateKey, publicKey]
+    );
+
+    console.log('✅ App created:', app_name, 'by user:', user_id);
+    await recordAudit(operator, { action: 'create_app', api: api_key, after: { name: app_name, created_by: user_id } });
+    return res.status(200).json({ 
+      success: true, 
+      message: 'App created successfully',
+      api_key: api_key,
+      signing_public_key: publicKey,
+      signing_key_id: getSigningKeyId(publicKey)
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(200).json({ success: false, message: 'App already exists' });
+    }
+    throw error;
+  }
+}
+
+async function handleCreateKey(body, res, operator) {
+  const { api, prefix, device_limit } = body;
+  
+  if (!api || !prefix) {
+    return res.status(400).json({ success: false, message: 'Missing required fields: api, prefix' });
+  }
+
+  const appResult = await pool.query('SELECT * FROM applications WHERE api_key = $1 AND deleted_at IS NULL', [api]);
+  const app = appResult.rows[0];
+
+  const lifetime = resolveKeyLifetime(body, app && app.default_days);
+  if (lifetime.error) {
+    return res.status(400).json({ success: false, message: lifetime.error });
+  }
+
+  const keyFormat = resolveKeyFormat(body, DEFAULT_KEY_FORMAT);
+  if (keyFormat.error) {
+    return res.status(400).json({ success: false, message: keyFormat.error });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'create');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền tạo key cho application này' });
+  }
+
+  if (!app) {
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  const { tier, error: tierError } = await resolveTier(api, body.tier_id);
+  if (tierError) {
+    return res.status(200).json({ success: false, message: tierError });
+  }
+
+  const deviceLimit = parseInt(device_limit) || app.default_device_limit || 1;
+  if (deviceLimit < 1 || deviceLimit > MAX_DEVICE_LIMIT) {
+    return res.status(200).json({ success: false, message: `Device limit must be between 1 and ${MAX_DEVICE_LIMIT}` });
+  }
+
+  const cost = permission.isReseller ? getKeyCreditCost(lifetime, deviceLimit) : 0;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    let credits;
+    if (cost > 0) {
+      credits = await debitCredits(client, operator.user_id, cost, { reason: 'Create key', api, key_count: 1 });
+      if (credits === null) {
+        await client.query('ROLLBACK');
+        return res.status(200).json({ success: false, message: `Không đủ credit (cần ${cost})`, required: cost });
+      }
+    }
+
+    const [keyString] = await insertKeysWithRetry(client, {
+      api,
+      prefix,
+      device_limit: deviceLimit,
+      tier_id: tier ? tier.id : null,
+      created_by: operator.user_id,
+      quantity: 1,
+      ...lifetime,
+      ...keyFormat
+    });
+
+    await client.query('COMMIT');
+
+    console.log('✅ Key created:', keyString);
+    await recordAudit(operator, {
+      action: 'create_key',
+      api,
+      key: keyString,
+      after: { ...lifetime, device_limit: deviceLimit, tier: tier ? tier.name : null, credits_used: cost }
+    });
+    await notifyWebhooks(api, 'key.created', {
+      keys: [keyString],
+      batch_id: null,
+      expiry_mode: lifetime.expiry_mode,
+      expires_at: lifetime.expires_at,
+      device_limit: deviceLimit,
+      created_by: operator.user_id
+    });
+    return res.status(200).json({ 
+      success: true, 
+      message: 'Key created successfully',
+      key: keyString,
+      expiry_mode: lifetime.expiry_mode,
+      expires_at: lifetime.expires_at,
+      tier: tier ? tier.name : null,
+      credits_used: cost,
+      credits
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function handleCreateKeysBulk(body, res, operator) {
+  const { api, prefix, device_limit } = body;
+  const quantity = parseInt(body.quantity);
+
+  if (!api || !prefix || !quantity) {
+    return res.status(400).json({ success: false, message: 'Missing required fields: api, prefix, quantity' });
+  }
+
+  const appResult = await pool.query('SELECT * FROM applications WHERE api_key = $1 AND deleted_at IS NULL', [api]);
+  const app = appResult.rows[0];
+
+  const lifetime = resolveKeyLifetime(body, app && app.default_days);
+  if (lifetime.error) {
+    return res.status(400).json({ success: false, message: lifetime.error });
+  }
+
+  if (quantity < 1 || quantity > MAX_BULK_KEYS) {
+    return res.status(400).json({ success: false, message: `Quantity must be between 1 and ${MAX_BULK_KEYS}` });
+  }
+
+  const keyFormat = resolveKeyFormat(body, DEFAULT_BULK_KEY_FORMAT);
+  if (keyFormat.error) {
+    return res.status(400).json({ success: false, message: keyFormat.error });
+  }
+
+  const combinations = Math.pow(keyFormat.charset.length, keyFormat.format.split('X').length - 1);
+  if (combinations < quantity * 100) {
+    return res.status(400).json({ success: false, message: 'Format has too few combinations for this quantity' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'create');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền tạo key cho application này' });
+  }
+
+  if (!app) {
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  const { tier, error: tierError } = await resolveTier(api, body.tier_id);
+  if (tierError) {
+    return res.status(200).json({ success: false, message: tierError });
+  }
+
+  const batch_id = 'batch_' + crypto.randomBytes(12).toString('hex');
+  const deviceLimit = parseInt(device_limit) || app.default_device_limit || 1;
+  if (deviceLimit < 1 || deviceLimit > MAX_DEVICE_LIMIT) {
+    return res.status(200).json({ success: false, message: `Device limit must be between 1 and ${MAX_DEVICE_LIMIT}` });
+  }
+
+  const cost = permission.isReseller ? getKeyCreditCost(lifetime, deviceLimit) * quantity : 0;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    let credits;
+    if (cost > 0) {
+      credits = await debitCredits(client, operator.user_id, cost, { reason: `Create batch ${batch_id}`, api, key_count: quantity });
+      if (credits === null) {
+        await client.query('ROLLBACK');
+        return res.status(200).json({ success: false, message: `Không đủ credit (cần ${cost})`, required: cost });
+      }
+    }
+
+    await client.query(
+      `INSERT INTO key_batches (id, api, prefix, quantity, days, expiry_mode, device_limit, format, tier_id, created_by) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [batch_id, api, prefix, quantity, lifetime.duration_days, lifetime.expiry_mode, deviceLimit, keyFormat.format, tier ? tier.id : null, operator.user_id]
+    );
+
+    const keys = await insertKeysWithRetry(client, {
+      api,
+      prefix,
+      device_limit: deviceLimit,
+      tier_id: tier ? tier.id : null,
+      created_by: operator.user_id,
+      batch_id,
+      quantity,
+      ...lifetime,
+      ...keyFormat
+    });
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Batch created: ${batch_id} (${keys.length} keys)`);
+    await recordAudit(operator, {
+      action: 'create_keys_bulk',
+      api,
+      after: { batch_id, prefix, quantity: keys.length, ...lifetime, device_limit: deviceLimit, tier: tier ? tier.name : null, credits_used: cost }
+    });
+    await notifyWebhooks(api, 'key.created', {
+      keys,
+      batch_id,
+      expiry_mode: lifetime.expiry_mode,
+      expires_at: lifetime.expires_at,
+      device_limit: deviceLimit,
+      created_by: operator.user_id
+    });
+    return res.status(200).json({ 
+      success: true, 
+      message: `Created ${keys.length} keys`,
+      batch_id,
+      expiry_mode: lifetime.expiry_mode,
+      expires_at: lifetime.expires_at,
+      tier: tier ? tier.name : null,
+      credits_used: cost,
+      credits,
+      keys 
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function getBatchWithPermission(batch_id, operator, action = 'view') {
+  const result = await pool.query('SELECT * FROM key_batches WHERE id = $1', [batch_id]);
+  if (result.rows.length === 0) return { batch: null };
+
+  const batch = result.rows[0];
+  const permission = await checkAppPermission(operator, batch.api, action);
+  const inScope = !permission.ownerScope || batch.created_by === permission.ownerScope;
+  return { batch, hasPermission: permission.hasPermission && inScope };
+}
+
+async function handleListBatches(body, res, operator) {
+  const { api } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const permission = await checkAppPermission(operator, api);
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem batch của application này' });
+  }
+
+  const result = await pool.query(
+    `SELECT b.*, COUNT(k.id) as key_count
+     FROM key_batches b
+     LEFT JOIN keys k ON k.batch_id = b.id AND k.deleted_at IS NULL
+     WHERE b.api = $1 AND ($2::text IS NULL OR b.created_by = $2)
+     GROUP BY b.id
+     ORDER BY b.created_at DESC`,
+    [api, permission.ownerScope]
+  );
+
+  return res.status(200).json({ 
+    success: true, 
+    batches: result.rows 
+  });
+}
+
+async function handleGetBatch(body, res, operator) {
+  const { batch_id } = body;
+
+  if (!batch_id) {
+    return res.status(400).json({ success: false, message: 'Batch ID is required' });
+  }
+
+  const { batch, hasPermission } = await getBatchWithPermission(batch_id, operator);
+  if (!batch) {
+    return res.status(200).json({ success: false, message: 'Batch not found' });
+  }
+  if (!hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem batch này' });
+  }
+
+  const result = await pool.query(
+    `SELECT key, used, banned, expires_at, expiry_mode, duration_days, created_at, 
+       ${KEY_HWIDS_SQL} AS hwid, ${KEY_STATUS_SQL} AS status 
+     FROM keys WHERE batch_id = $1 AND deleted_at IS NULL ORDER BY id`,
+    [batch_id]
+  );
+
+  return res.status(200).json({ 
+    success: true, 
+    batch,
+    keys: result.rows 
+  });
+}
+
+async function handleRevokeBatch(body, res, operator) {
+  const { batch_id } = body;
+
+  if (!batch_id) {
+    return res.status(400).json({ success: false, message: 'Batch ID is required' });
+  }
+
+  const { batch, hasPermission } = await getBatchWithPermission(batch_id, operator, 'ban');
+  if (!batch) {
+    return res.status(200).json({ success: false, message: 'Batch not found' });
+  }
+  if (!hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền thu hồi batch này' });
+  }
+
+  const result = await pool.query(
+    `UPDATE keys SET banned = true, ban_reason = 'Batch revoked', banned_by = $2, banned_at = NOW() 
+     WHERE batch_id = $1 AND banned = false AND deleted_at IS NULL RETURNING key`,
+    [batch_id, operator.user_id]
+  );
+  await pool.query('UPDATE key_batches SET revoked_at = NOW() WHERE id = $1', [batch_id]);
+  await endClientSessions('key = ANY($1)', [result.rows.map(row => row.key)]);
+  await recordAudit(operator, { action: 'revoke_batch', api: batch.api, after: { batch_id, revoked: result.rowCount } });
+
+  if (result.rowCount > 0) {
+    await notifyWebhooks(batch.api, 'key.banned', {
+      keys: result.rows.map(row => row.key),
+      batch_id,
+      reason: 'Batch revoked',
+      banned_by: operator.user_id
+    });
+  }
+
+  return res.status(200).json({ 
+    success: true, 
+    message: 'Batch revoked successfully',
+    revoked: result.rowCount 
+  });
+}
+
+async function handleGetApps(body, res, operator) {
+  const user_id = operator.user_id;
+  const isAdmin = await checkIfAdmin(operator);
+
+  let query = `
+    SELECT 
+      a.*,
+      COALESCE(COUNT(k.id), 0) as key_count
+    FROM applications a
+    LEFT JOIN keys k ON a.api_key = k.api AND k.deleted_at IS NULL
+    WHERE a.deleted_at IS NULL
+    GROUP BY a.id
+    ORDER BY a.created_at DESC
+  `;
+
+  let params = [];
+  if (!isAdmin) {
+    query = `
+      SELECT 
+        a.*,
+        COALESCE(COUNT(k.id), 0) as key_count
+      FROM applications a
+      LEFT JOIN keys k ON a.api_key = k.api AND k.deleted_at IS NULL
+      WHERE a.deleted_at IS NULL
+        AND (a.created_by = $1 OR a.api_key IN (SELECT api FROM app_grants WHERE user_id = $1))
+      GROUP BY a.id
+      ORDER BY a.created_at DESC
+    `;
+    params = [user_id];
+  }
+
+  const result = await pool.query(query, params);
+  
+  return res.status(200).json({ 
+    success: true, 
+    applications: result.rows.map(sanitizeApp),
+    is_admin: isAdmin
+  });
+}
+
+async function handleGetMyApps(body, res, operator) {
+  const user_id = operator.user_id;
+
+  const result = await pool.query(
+    'SELECT * FROM applications WHERE created_by = $1 AND deleted_at IS NULL ORDER BY created_at DESC',
+    [user_id]
+  );
+  
+  return res.status(200).json({ 
+    success: true, 
+    applications: result.rows.map(sanitizeApp) 
+  });
+}
+
+async function handleDeleteApp(body, res, operator) {
+  const { app_name } = body;
+  
+  if (!app_name) {
+    return res.status(400).json({ success: false, message: 'App name is required' });
+  }
+
+  const appResult = await pool.query('SELECT * FROM applications WHERE name = $1 AND deleted_at IS NULL', [app_name]);
+  if (appResult.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'App not found' });
+  }
+
+  const app = appResult.rows[0];
+  const isAdmin = await checkIfAdmin(operator);
+  
+  if (!isAdmin && app.created_by !== operator.user_id) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xóa application này' });
+  }
+
+  // Chỉ chuyển vào thùng rác: key vẫn giữ nguyên cho tới khi maintenance xóa hẳn sau thời gian chờ
+  const keyCount = await pool.query('SELECT COUNT(*) AS count FROM keys WHERE api = $1 AND deleted_at IS NULL', [app.api_key]);
+  const result = await pool.query(
+    'UPDATE applications SET deleted_at = NOW(), deleted_by = $2 WHERE api_key = $1 RETURNING deleted_at',
+    [app.api_key, operator.user_id]
+  );
+  await recordAudit(operator, {
+    action: 'delete_app',
+    api: app.api_key,
+    before: { name: app.name, created_by: app.created_by, created_at: app.created_at, key_count: parseInt(keyCount.rows[0].count) },
+    after: { deleted_at: result.rows[0].deleted_at }
+  });
+  return res.status(200).json({ 
+    success: true, 
+    message: 'App moved to trash',
+    purge_after: getTrashPurgeDate(result.rows[0].deleted_at)
+  });
+}
+
+async function handleGetAppSettings(body, res, operator) {
+  const { api } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const permission = await checkAppPermission(operator, api);
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem application này' });
+  }
+
+  const result = await pool.query(`SELECT ${APP_SETTINGS_SQL} FROM applications WHERE api_key = $1`, [api]);
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  return res.status(200).json({ success: true, settings: result.rows[0] });
+}
+
+async function handleUpdateApp(body, res, operator) {
+  const { api, app_name } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const values = {};
+  if (app_name !== undefined) {
+    if (typeof app_name !== 'string' || !app_name.trim()) {
+      return res.status(400).json({ success: false, message: 'App name must be a non-empty string' });
+    }
+    values.name = app_name.trim();
+  }
+
+  for (const [field, type] of Object.entries(APP_SETTING_FIELDS)) {
+    if (body[field] === undefined) continue;
+    const parsed = parseAppSetting(type, body[field]);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: `${field} ${parsed.error}` });
+    }
+    values[field] = parsed.value;
+  }
+
+  if (Object.keys(values).length === 0) {
+    return res.status(400).json({ success: false, message: 'Nothing to update' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền sửa application này' });
+  }
+
+  const fields = Object.keys(values);
+  const previous = await pool.query(`SELECT ${APP_SETTINGS_SQL} FROM applications WHERE api_key = $1`, [api]);
+  try {
+    const result = await pool.query(
+      `UPDATE applications SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')} 
+       WHERE api_key = $1 AND deleted_at IS NULL 
+       RETURNING ${APP_SETTINGS_SQL}`,
+      [api, ...fields.map(field => values[field])]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(200).json({ success: false, message: 'Invalid API' });
+    }
+
+    console.log('✅ App settings updated:', api, fields.join(', '));
+    await recordAudit(operator, {
+      action: 'update_app',
+      api,
+      before: pickFields(previous.rows[0], fields),
+      after: pickFields(result.rows[0], fields)
+    });
+    return res.status(200).json({ 
+      success: true, 
+      message: 'App settings updated',
+      settings: result.rows[0] 
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(200).json({ success: false, message: 'App already exists' });
+    }
+    throw error;
+  }
+}
+
+// null hoặc '' = bỏ cấu hình (về mặc định); riêng cờ boolean bắt buộc true/false
+function parseAppSetting(type, value) {
+  if (type === 'boolean') {
+    return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+  }
+
+  if (value === null || value === '') return { value: null };
+
+  switch (type) {
+    case 'text':
+      return typeof value === 'string' && value.length <= MAX_APP_MESSAGE_LENGTH
+        ? { value }
+        : { error: `must be a string of at most ${MAX_APP_MESSAGE_LENGTH} characters` };
+    case 'version':
+      return parseVersion(value) ? { value: value.trim() } : { error: 'must look like 1.2.3' };
+    case 'url':
+      return isValidHttpUrl(value) ? { value } : { error: 'must be an http(s) URL' };
+    case 'device_limit': {
+      const limit = parseInt(value);
+      return limit >= 1 && limit <= MAX_DEVICE_LIMIT
+        ? { value: limit }
+        : { error: `must be between 1 and ${MAX_DEVICE_LIMIT}` };
+    }
+    case 'days':
+    case 'count': {
+      const number = parseInt(value);
+      return number >= 1 ? { value: number } : { error: 'must be a positive number' };
+    }
+    case 'percent': {
+      const percent = parseInt(value);
+      return percent >= 1 && percent <= 100 ? { value: percent } : { error: 'must be between 1 and 100' };
+    }
+    case 'retention_action':
+      return RETENTION_ACTIONS.includes(value)
+        ? { value }
+        : { error: `must be one of ${RETENTION_ACTIONS.join(', ')}` };
+    default:
+      return { error: 'is not supported' };
+  }
+}
+
+// Version dạng 1.2.3 (tối đa 4 phần, cho phép tiền tố v), trả về mảng số để so sánh
+function parseVersion(version) {
+  if (typeof version !== 'string') return null;
+  const match = version.trim().match(/^v?(\d+(?:\.\d+){0,3})$/i);
+  return match ? match[1].split('.').map(Number) : null;
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return Math.sign(diff);
+  }
+  return 0;
+}
+
+async function handleDeleteKey(body, res, operator) {
+  const { api, key } = body;
+  
+  if (!api || !key) {
+    return res.status(400).json({ success: false, message: 'API and Key are required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xóa key của application này' });
+  }
+
+  // Key bị xóa chỉ bị ẩn (validate trả Invalid key), thiết bị đã bind được giữ lại để restore
+  const result = await pool.query(
+    `UPDATE keys SET deleted_at = NOW(), deleted_by = $3 
+     WHERE key = $1 AND api = $2 AND deleted_at IS NULL RETURNING *`,
+    [key, api, operator.user_id]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Key not found' });
+  }
+
+  await recordAudit(operator, {
+    action: 'delete_key',
+    api,
+    key,
+    before: pickFields(result.rows[0], KEY_AUDIT_FIELDS),
+    after: { deleted_at: result.rows[0].deleted_at }
+  });
+  await notifyWebhooks(api, 'key.deleted', { key, deleted_by: operator.user_id });
+  
+  return res.status(200).json({ 
+    success: true, 
+    message: 'Key moved to trash',
+    purge_after: getTrashPurgeDate(result.rows[0].deleted_at)
+  });
+}
+
+async function handleBanKey(body, res, operator) {
+  const { api, key, reason, blacklist_hwids } = body;
+  
+  if (!api || !key) {
+    return res.status(400).json({ success: false, message: 'API and Key are required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'ban');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền ban key của application này' });
+  }
+
+  const result = await pool.query(
+    `UPDATE keys SET banned = true, ban_reason = $3, banned_by = $4, banned_at = NOW() 
+     WHERE key = $1 AND api = $2 AND deleted_at IS NULL AND ($5::text IS NULL OR created_by = $5) RETURNING *`,
+    [key, api, reason || null, operator.user_id, permission.ownerScope]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Key not found' });
+  }
+
+  await endClientSessions('key = $1', [key]);
+  await notifyWebhooks(api, 'key.banned', {
+    key,
+    reason: reason || null,
+    banned_by: operator.user_id
+  });
+
+  // Chặn luôn các máy đã dùng key để không mua key mới dùng tiếp được
+  let blacklisted = 0;
+  if (blacklist_hwids) {
+    const inserted = await pool.query(
+      `INSERT INTO blacklist (api, type, value, reason, created_by) 
+       SELECT $1, 'hwid', hwid, $3, $4 FROM key_devices WHERE key = $2
+       ON CONFLICT (api, type, value) DO NOTHING`,
+      [api, key, `Banned key ${key}${reason ? ': ' + reason : ''}`, operator.user_id]
+    );
+    blacklisted = inserted.rowCount;
+  }
+
+  await recordAudit(operator, { action: 'ban_key', api, key, after: { banned: true, ban_reason: reason || null, blacklisted } });
+  return res.status(200).json({ success: true, message: 'Key banned successfully', blacklisted });
+}
+
+async function handleUnbanKey(body, res, operator) {
+  const { api, key } = body;
+  
+  if (!api || !key) {
+    return res.status(400).json({ success: false, message: 'API and Key are required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'ban');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền unban key của application này' });
+  }
+
+  const result = await pool.query(
+    `UPDATE keys SET banned = false, ban_reason = NULL, banned_by = NULL, banned_at = NULL 
+     WHERE key = $1 AND api = $2 AND deleted_at IS NULL AND ($3::text IS NULL OR created_by = $3) RETURNING *`,
+    [key, api, permission.ownerScope]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Key not found' });
+  }
+
+  await recordAudit(operator, { action: 'unban_key', api, key, after: { banned: false } });
+  return res.status(200).json({ success: true, message: 'Key unbanned successfully' });
+}
+
+async function handleAddBlacklist(body, res, operator) {
+  const { api, type, value, reason } = body;
+
+  if (!api || !type || !value) {
+    return res.status(400).json({ success: false, message: 'API, type and value are required' });
+  }
+
+  if (!BLACKLIST_TYPES.includes(type)) {
+    return res.status(400).json({ success: false, message: `Type must be one of ${BLACKLIST_TYPES.join(', ')}` });
+  }
+
+  if (type === 'ip' && !isValidCidr(value)) {
+    return res.status(400).json({ success: false, message: 'Value must be an IP address or CIDR range' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền sửa blacklist của application này' });
+  }
+
+  const appResult = await pool.query('SELECT 1 FROM applications WHERE api_key = $1 AND deleted_at IS NULL', [api]);
+  if (appResult.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  // Dải IP lưu ở dạng network chuẩn (10.0.0.5/24 → 10.0.0.0/24) để so trùng được
+  const valueSql = type === 'ip' ? 'network($3::inet)::text' : '$3';
+  const result = await pool.query(
+    `INSERT INTO blacklist (api, type, value, reason, created_by) 
+     VALUES ($1, $2, ${valueSql}, $4, $5)
+     ON CONFLICT (api, type, value) DO NOTHING
+     RETURNING *`,
+    [api, type, String(value), reason || null, operator.user_id]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Entry already blacklisted' });
+  }
+
+  await recordAudit(operator, { action: 'add_blacklist', api, after: result.rows[0] });
+  return res.status(200).json({ 
+    success: true, 
+    message: 'Blacklist entry added',
+    entry: result.rows[0] 
+  });
+}
+
+async function handleRemoveBlacklist(body, res, operator) {
+  const { api, id } = body;
+
+  if (!api || !id) {
+    return res.status(400).json({ success: false, message: 'API and entry ID are required' });
+  }
+
+  const entryId = Number(id);
+  if (!Number.isInteger(entryId) || entryId < 1 || entryId > MAX_SERIAL_ID) {
+    return res.status(400).json({ success: false, message: 'Entry ID must be a positive integer' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền sửa blacklist của application này' });
+  }
+
+  const result = await pool.query(
+    'DELETE FROM blacklist WHERE id = $1 AND api = $2 RETURNING *',
+    [entryId, api]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Entry not found' });
+  }
+
+  await recordAudit(operator, { action: 'remove_blacklist', api, before: result.rows[0] });
+  return res.status(200).json({ success: true, message: 'Blacklist entry removed' });
+}
+
+async function handleListBlacklist(body, res, operator) {
+  const { api, type } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem blacklist của application này' });
+  }
+
+  const result = type
+    ? await pool.query('SELECT * FROM blacklist WHERE api = $1 AND type = $2 ORDER BY created_at DESC', [api, type])
+    : await pool.query('SELECT * FROM blacklist WHERE api = $1 ORDER BY created_at DESC', [api]);
+
+  return res.status(200).json({ 
+    success: true, 
+    entries: result.rows 
+  });
+}
+
+async function findBlacklistMatch(api, hwid, ip) {
+  const result = await pool.query(
+    `SELECT * FROM blacklist 
+     WHERE api = $1 
+       AND CASE type 
+         WHEN 'hwid' THEN value = $2 
+         WHEN 'ip' THEN $3::inet <<= value::cidr 
+         ELSE false 
+       END
+     LIMIT 1`,
+    [api, hwid, ip && net.isIP(ip) ? ip : null]
+  );
+  return result.rows[0] || null;
+}
+
+function isValidCidr(value) {
+  const [address, prefix, ...rest] = String(value).split('/');
+  const family = net.isIP(address);
+  if (!family || rest.length > 0) return false;
+  if (prefix === undefined) return true;
+
+  const bits = Number(prefix);
+  return /^\d+$/.test(prefix) && bits >= 0 && bits <= (family === 4 ? 32 : 128);
+}
+
+async function handleExtendKey(body, res, operator) {
+  const { api, key, prefix, batch_id } = body;
+  const days = parseInt(body.days);
+  const status = body.status || 'active';
+  
+  if (!api || !days) {
+    return res.status(400).json({ success: false, message: 'API and days are required' });
+  }
+
+  if (days < 1 || days > MAX_EXTEND_DAYS) {
+    return res.status(400).json({ success: false, message: `Days must be between 1 and ${MAX_EXTEND_DAYS}` });
+  }
+
+  if (!['active', 'unexpired', 'all'].includes(status)) {
+    return res.status(400).json({ success: false, message: 'Status must be one of active, unexpired, all' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền gia hạn key của application này' });
+  }
+
+  const conditions = ['api = $1', "expiry_mode <> 'lifetime'", 'banned = false', 'deleted_at IS NULL'];
+  const params = [api, days];
+  const addFilter = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  // Không truyền key → gia hạn hàng loạt theo bộ lọc (ví dụ bù giờ sau khi server sập)
+  if (key) {
+    addFilter('key = ?', key);
+  } else {
+    if (status !== 'all') conditions.push('(expires_at IS NULL OR expires_at > NOW() OR paused_at IS NOT NULL)');
+    if (status === 'active') conditions.push('used = true');
+    if (prefix) addFilter('prefix = ?', prefix);
+    if (batch_id) addFilter('batch_id = ?', batch_id);
+  }
+
+  // Key hết hạn được gia hạn từ hiện tại, key đang pause tính từ lúc pause,
+  // key activation chưa kích hoạt thì cộng vào duration_days
+  const result = await pool.query(
+    `UPDATE keys 
+     SET expires_at = CASE 
+           WHEN expires_at IS NULL THEN NULL
+           ELSE GREATEST(expires_at, COALESCE(paused_at, NOW())) + make_interval(days => $2)
+         END,
+         duration_days = CASE 
+           WHEN expiry_mode = 'activation' AND expires_at IS NULL THEN duration_days + $2
+           ELSE duration_days
+         END
+     WHERE ${conditions.join(' AND ')}
+     RETURNING key, expires_at, duration_days`,
+    params
+  );
+
+  if (key && result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Key not found, banned or lifetime' });
+  }
+
+  console.log(`✅ Extended ${result.rows.length} keys by ${days} days for:`, api);
+  await recordAudit(operator, {
+    action: 'extend_key',
+    api,
+    key: key || null,
+    after: key ? { days, ...result.rows[0] } : { days, status, prefix: prefix || null, batch_id: batch_id || null, extended: result.rows.length }
+  });
+  return res.status(200).json({ 
+    success: true, 
+    message: `Extended ${result.rows.length} keys by ${days} days`,
+    extended: result.rows.length,
+    keys: key ? result.rows : undefined
+  });
+}
+
+async function handlePauseKey(body, res, operator) {
+  const { api, key } = body;
+  
+  if (!api || !key) {
+    return res.status(400).json({ success: false, message: 'API and Key are required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền tạm dừng key của application này' });
+  }
+
+  const keyResult = await pool.query('SELECT * FROM keys WHERE key = $1 AND api = $2 AND deleted_at IS NULL', [key, api]);
+  if (keyResult.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Key not found' });
+  }
+
+  const k = keyResult.rows[0];
+  if (k.paused_at) {
+    return res.status(200).json({ success: false, message: 'Key is already paused' });
+  }
+  if (k.expires_at && new Date(k.expires_at) < new Date()) {
+    return res.status(200).json({ success: false, message: 'Cannot pause an expired key' });
+  }
+
+  await pool.query(
+    'UPDATE keys SET paused_at = NOW() WHERE key = $1 AND api = $2 AND paused_at IS NULL',
+    [key, api]
+  );
+  await recordAudit(operator, { action: 'pause_key', api, key, before: { paused: false, expires_at: k.expires_at }, after: { paused: true } });
+
+  return res.status(200).json({ success: true, message: 'Key paused successfully' });
+}
+
+async function handleResumeKey(body, res, operator) {
+  const { api, key } = body;
+  
+  if (!api || !key) {
+    return res.status(400).json({ success: false, message: 'API and Key are required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền tiếp tục key của application này' });
+  }
+
+  // Dời expires_at đúng bằng khoảng thời gian key bị pause
+  const result = await pool.query(
+    `UPDATE keys 
+     SET expires_at = expires_at + (NOW() - paused_at),
+         paused_at = NULL
+     WHERE key = $1 AND api = $2 AND paused_at IS NOT NULL AND deleted_at IS NULL
+     RETURNING expires_at`,
+    [key, api]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Key not found or not paused' });
+  }
+
+  await recordAudit(operator, { action: 'resume_key', api, key, before: { paused: true }, after: { paused: false, expires_at: result.rows[0].expires_at } });
+  return res.status(200).json({ 
+    success: true, 
+    message: 'Key resumed successfully',
+    expires_at: result.rows[0].expires_at 
+  });
+}
+
+async function handleSetDeviceLimit(body, res, operator) {
+  const { api, key } = body;
+  const deviceLimit = parseInt(body.device_limit);
+  
+  if (!api || !key || !deviceLimit) {
+    return res.status(400).json({ success: false, message: 'API, Key and device limit are required' });
+  }
+
+  if (deviceLimit < 1 || deviceLimit > MAX_DEVICE_LIMIT) {
+    return res.status(400).json({ success: false, message: `Device limit must be between 1 and ${MAX_DEVICE_LIMIT}` });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền đổi giới hạn thiết bị của application này' });
+  }
+
+  // Self-join để lấy được giá trị cũ trong cùng câu UPDATE
+  const result = await pool.query(
+    `UPDATE keys k SET device_limit = $1 
+     FROM keys old 
+     WHERE old.id = k.id AND k.key = $2 AND k.api = $3 AND k.deleted_at IS NULL 
+     RETURNING k.*, old.device_limit AS previous_device_limit`,
+    [deviceLimit, key, api]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Key not found' });
+  }
+
+  await recordAudit(operator, {
+    action: 'set_device_limit',
+    api,
+    key,
+    before: { device_limit: result.rows[0].previous_device_limit },
+    after: { device_limit: deviceLimit }
+  });
+
+  // Thiết bị đã bind vẫn giữ nguyên, chỉ chặn bind thêm khi vượt giới hạn mới
+  return res.status(200).json({ 
+    success: true, 
+    message: 'Device limit updated successfully',
+    device_limit: deviceLimit 
+  });
+}
+
+async function handleSetRateLimits(body, res, operator) {
+  const { api } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  // null hoặc bỏ trống = quay về giới hạn mặc định
+  const values = {};
+  for (const field of ['rate_limit_per_ip', 'rate_limit_per_app', 'lockout_threshold']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      values[field] = null;
+      continue;
+    }
+    const value = parseInt(body[field]);
+    if (!value || value < 1) {
+      return res.status(400).json({ success: false, message: `${field} must be a positive number or null` });
+    }
+    values[field] = value;
+  }
+
+  if (Object.keys(values).length === 0) {
+    return res.status(400).json({ success: false, message: 'Nothing to update' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền đổi giới hạn của application này' });
+  }
+
+  const fields = Object.keys(values);
+  const previous = await pool.query(
+    'SELECT rate_limit_per_ip, rate_limit_per_app, lockout_threshold FROM applications WHERE api_key = $1 AND deleted_at IS NULL',
+    [api]
+  );
+  const result = await pool.query(
+    `UPDATE applications SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')} 
+     WHERE api_key = $1 AND deleted_at IS NULL 
+     RETURNING rate_limit_per_ip, rate_limit_per_app, lockout_threshold`,
+    [api, ...fields.map(field => values[field])]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  await recordAudit(operator, {
+    action: 'set_rate_limits',
+    api,
+    before: pickFields(previous.rows[0], fields),
+    after: pickFields(result.rows[0], fields)
+  });
+
+  return res.status(200).json({ 
+    success: true, 
+    message: 'Rate limits updated',
+    limits: result.rows[0] 
+  });
+}
+
+async function handleCheckKey(body, res, operator) {
+  const { api, key } = body;
+  
+  if (!api || !key) {
+    return res.status(400).json({ success: false, message: 'API and Key are required' });
+  }
+
+  const permission = await checkAppPermission(operator, api);
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem key của application này' });
+  }
+
+  const result = await pool.query(
+    `SELECT *, ${KEY_HWIDS_SQL} AS hwid FROM keys 
+     WHERE key = $1 AND api = $2 AND deleted_at IS NULL AND ($3::text IS NULL OR created_by = $3)`,
+    [key, api, permission.ownerScope]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Key not found' });
+  }
+
+  const resets = await pool.query(
+    'SELECT hwids, source, reset_by, ip, created_at FROM hwid_resets WHERE key = $1 ORDER BY created_at DESC LIMIT 20',
+    [key]
+  );
+  const devices = await pool.query(
+    'SELECT hwid, components, system_info, first_seen, last_seen FROM key_devices WHERE key = $1 ORDER BY first_seen',
+    [key]
+  );
+  
+  return res.status(200).json({ 
+    success: true, 
+    message: 'Key information',
+    key: result.rows[0],
+    devices: devices.rows,
+    hwid_resets: resets.rows
+  });
+}
+
+async function handleResetHWID(body, res, operator) {
+  const { api, key } = body;
+  
+  if (!api || !key) {
+    return res.status(400).json({ success: false, message: 'API and Key are required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'reset_hwid');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền reset HWID của application này' });
+  }
+
+  const result = await pool.query(
+    `UPDATE keys SET used = false, system_info = NULL, first_used = NULL 
+     WHERE key = $1 AND api = $2 AND deleted_at IS NULL AND ($3::text IS NULL OR created_by = $3) RETURNING *`,
+    [key, api, permission.ownerScope]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Key not found' });
+  }
+
+  // Operator reset không bị giới hạn, nhưng vẫn được ghi lại cùng lịch sử tự reset
+  const removed = await pool.query('DELETE FROM key_devices WHERE key = $1 RETURNING hwid', [key]);
+  const hwids = removed.rows.map(row => row.hwid);
+  await endClientSessions('key = $1', [key]);
+  await pool.query(
+    `INSERT INTO hwid_resets (key, api, hwids, source, reset_by) VALUES ($1, $2, $3, 'operator', $4)`,
+    [key, api, hwids, operator.user_id]
+  );
+  await recordAudit(operator, { action: 'reset_hwid', api, key, before: { hwids }, after: { hwids: [] } });
+  await notifyWebhooks(api, 'key.hwid_reset', {
+    key,
+    hwids,
+    reset_by: operator.user_id,
+    source: 'operator'
+  });
+  
+  return res.status(200).json({ success: true, message: 'HWID reset successfully' });
+}
+
+async function handleListKeys(body, res, operator) {
+  const { api } = body;
+  
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const permission = await checkAppPermission(operator, api);
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem keys của application này' });
+  }
+
+  return await sendKeyPage(body, res, {
+    columns: `key, used, banned, expires_at, expiry_mode, duration_days, first_used, created_at, 
+       ${KEY_HWIDS_SQL} AS hwid, ${KEY_STATUS_SQL} AS status`,
+    api,
+    ownerScope: permission.ownerScope
+  });
+}
+
+async function handleGetKeys(body, res, operator) {
+  const { api } = body;
+  
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const permission = await checkAppPermission(operator, api);
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem keys của application này' });
+  }
+
+  return await sendKeyPage(body, res, {
+    columns: `*, ${KEY_HWIDS_SQL} AS hwid, ${KEY_STATUS_SQL} AS status`,
+    api,
+    ownerScope: permission.ownerScope
+  });
+}
+
+// Tìm key trên mọi application, chỉ dành cho admin; support xem key theo từng app được cấp
+async function handleSearchKeys(body, res, operator) {
+  if (!(await checkIfAdmin(operator))) {
+    return res.status(403).json({ success: false, message: 'Chỉ admin mới có thể tìm key trên mọi application' });
+  }
+
+  return await sendKeyPage(body, res, {
+    columns: `*, ${KEY_HWIDS_SQL} AS hwid, ${KEY_STATUS_SQL} AS status, 
+       (SELECT name FROM applications a WHERE a.api_key = keys.api) AS app_name`,
+    api: body.api || null,
+    ownerScope: null
+  });
+}
+
+function encodeKeyCursor(row) {
+  return Buffer.from(JSON.stringify({ v: row._sort_value, id: row._cursor_id })).toString('base64url');
+}
+
+function decodeKeyCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return typeof data.v === 'string' && Number.isInteger(data.id) ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+// Filter chung của get_keys / list_keys / search_keys / export_keys, trả về { error } hoặc { conditions, params }
+function buildKeyFilters(body, { api, ownerScope }) {
+  const { status, prefix, batch_id, hwid, q } = body;
+
+  if (status && !KEY_STATUSES.includes(status)) {
+    return { error: `Status must be one of ${KEY_STATUSES.join(', ')}` };
+  }
+
+  const dateFilters = ['created_from', 'created_to', 'expires_from', 'expires_to'];
+  if (dateFilters.some(name => body[name] && isNaN(new Date(body[name])))) {
+    return { error: 'Invalid date range' };
+  }
+
+  // Key trong thùng rác, hoặc thuộc app trong thùng rác khi tìm trên mọi app, không hiện ở danh sách
+  const conditions = ['deleted_at IS NULL'];
+  const params = [];
+  const addFilter = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (api) addFilter('api = ?', api);
+  else conditions.push('api NOT IN (SELECT api_key FROM applications WHERE deleted_at IS NOT NULL)');
+  if (ownerScope) addFilter('created_by = ?', ownerScope);
+  if (status) addFilter(`(${KEY_STATUS_SQL}) = ?`, status);
+  if (prefix) addFilter('prefix = ?', prefix);
+  if (batch_id) addFilter('batch_id = ?', batch_id);
+  if (hwid) addFilter('EXISTS (SELECT 1 FROM key_devices d WHERE d.key = keys.key AND d.hwid ILIKE ?)', `%${escapeLike(hwid)}%`);
+  if (q) {
+    addFilter(`(key ILIKE ? OR EXISTS (SELECT 1 FROM key_devices d WHERE d.key = keys.key AND d.hwid ILIKE $${params.length + 1}))`, `%${escapeLike(q)}%`);
+  }
+  if (body.created_from) addFilter('created_at >= ?', new Date(body.created_from));
+  if (body.created_to) addFilter('created_at <= ?', new Date(body.created_to));
+  if (body.expires_from) addFilter('expires_at >= ?', new Date(body.expires_from));
+  if (body.expires_to) addFilter('expires_at <= ?', new Date(body.expires_to));
+
+  return { conditions, params };
+}
+
+// Keyset pagination theo (cột sort, id)
+async function sendKeyPage(body, res, { columns, api, ownerScope }) {
+  const sort = body.sort || 'created_at';
+  const order = String(body.order || 'desc').toLowerCase();
+  const limit = parsePageLimit(body.limit, DEFAULT_KEYS_PAGE_SIZE, MAX_KEYS_PAGE_SIZE);
+
+  if (!KEY_SORT_COLUMNS[sort]) {
+    return res.status(400).json({ success: false, message: `Sort must be one of ${Object.keys(KEY_SORT_COLUMNS).join(', ')}` });
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return res.status(400).json({ success: false, message: 'Order must be asc or desc' });
+  }
+
+  const filters = buildKeyFilters(body, { api, ownerScope });
+  if (filters.error) {
+    return res.status(400).json({ success: false, message: filters.error });
+  }
+
+  const cursor = body.cursor ? decodeKeyCursor(body.cursor) : null;
+  if (body.cursor && !cursor) {
+    return res.status(400).json({ success: false, message: 'Invalid cursor' });
+  }
+
+  const { conditions, params } = filters;
+  const where = conditions.join(' AND ');
+  const countResult = await pool.query(`SELECT COUNT(*) as count FROM keys WHERE ${where}`, params);
+
+  const sortColumn = KEY_SORT_COLUMNS[sort];
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  if (cursor) {
+    pageParams.push(cursor.v, cursor.id);
+    const cast = sort === 'key' ? 'text' : 'timestamp';
+    pageConditions.push(
+      `(${sortColumn}, id) ${order === 'desc' ? '<' : '>'} ($${pageParams.length - 1}::${cast}, $${pageParams.length})`
+    );
+  }
+
+  // Lấy dư 1 dòng để biết còn trang sau hay không
+  const result = await pool.query(
+    `SELECT ${columns}, (${sortColumn})::text AS _sort_value, id AS _cursor_id FROM keys 
+     WHERE ${pageConditions.join(' AND ')} 
+     ORDER BY ${sortColumn} ${order}, id ${order} 
+     LIMIT ${limit + 1}`,
+    pageParams
+  );
+
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  const nextCursor = hasMore ? encodeKeyCursor(rows[rows.length - 1]) : null;
+
+  return res.status(200).json({ 
+    success: true, 
+    keys: rows.map(({ _sort_value, _cursor_id, ...row }) => row),
+    total: parseInt(countResult.rows[0].count),
+    has_more: hasMore,
+    next_cursor: nextCursor
+  });
+}
+
+// ==================== EXPORT / IMPORT ====================
+
+async function handleExportKeys(body, res, operator) {
+  const { api } = body;
+  const format = String(body.format || 'csv').toLowerCase();
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  if (!KEY_FILE_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, message: `Format must be one of ${KEY_FILE_FORMATS.join(', ')}` });
+  }
+
+  // TXT chỉ có mỗi cột key
+  const columns = format === 'txt' ? ['key'] : parseExportColumns(body.columns);
+  if (!columns) {
+    return res.status(400).json({ success: false, message: `Columns must be chosen from ${Object.keys(KEY_EXPORT_COLUMNS).join(', ')}` });
+  }
+
+  const permission = await checkAppPermission(operator, api);
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem keys của application này' });
+  }
+
+  const filters = buildKeyFilters(body, { api, ownerScope: permission.ownerScope });
+  if (filters.error) {
+    return res.status(400).json({ success: false, message: filters.error });
+  }
+
+  const appResult = await pool.query('SELECT name FROM applications WHERE api_key = $1 AND deleted_at IS NULL', [api]);
+  if (appResult.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  const result = await pool.query(
+    `SELECT ${columns.map(column => `${KEY_EXPORT_COLUMNS[column]} AS ${column}`).join(', ')} FROM keys 
+     WHERE ${filters.conditions.join(' AND ')} 
+     ORDER BY created_at, id 
+     LIMIT ${MAX_EXPORT_KEYS + 1}`,
+    filters.params
+  );
+
+  if (result.rows.length > MAX_EXPORT_KEYS) {
+    return res.status(200).json({ success: false, message: `Too many keys to export (max ${MAX_EXPORT_KEYS}), narrow the filters` });
+  }
+
+  const appSlug = appResult.rows[0].name.replace(/[^A-Za-z0-9_-]+/g, '_');
+  return res.status(200).json({ 
+    success: true, 
+    format,
+    content_type: CONTENT_TYPES[format],
+    filename: `${appSlug}-keys-${new Date().toISOString().slice(0, 10)}.${format}`,
+    columns,
+    count: result.rows.length,
+    content: serializeKeys(result.rows, columns, format)
+  });
+}
+
+function parseExportColumns(columns) {
+  if (columns === undefined || columns === null || columns === '') return DEFAULT_EXPORT_COLUMNS;
+
+  const list = Array.isArray(columns) ? columns : String(columns).split(',');
+  const names = [...new Set(list.map(column => String(column).trim()).filter(Boolean))];
+  return names.length > 0 && names.every(name => KEY_EXPORT_COLUMNS[name]) ? names : null;
+}
+
+async function handleImportKeys(body, res, operator) {
+  const { api, content } = body;
+  const format = String(body.format || 'csv').toLowerCase();
+  const dryRun = body.dry_run === true || body.dry_run === 'true';
+
+  if (!api || typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({ success: false, message: 'Missing required fields: api, content' });
+  }
+
+  if (!KEY_FILE_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, message: `Format must be one of ${KEY_FILE_FORMATS.join(', ')}` });
+  }
+
+  if (body.expiry_mode && !EXPIRY_MODES.includes(body.expiry_mode)) {
+    return res.status(400).json({ success: false, message: `Expiry mode must be one of ${EXPIRY_MODES.join(', ')}` });
+  }
+
+  let entries;
+  try {
+    entries = parseKeyFile(content, format);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: `Could not parse ${format.toUpperCase()}: ${error.message}` });
+  }
+
+  if (entries.length === 0) {
+    return res.status(400).json({ success: false, message: 'File contains no keys' });
+  }
+
+  if (entries.length > MAX_IMPORT_KEYS) {
+    return res.status(400).json({ success: false, message: `At most ${MAX_IMPORT_KEYS} keys per import` });
+  }
+
+  // Import không trừ credit nên reseller không được dùng
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền import key vào application này' });
+  }
+
+  const appResult = await pool.query('SELECT * FROM applications WHERE api_key = $1 AND deleted_at IS NULL', [api]);
+  const app = appResult.rows[0];
+  if (!app) {
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  // Giá trị cho các cột file không có (TXT chỉ có key)
+  const defaults = {
+    prefix: body.prefix,
+    expiry_mode: body.expiry_mode || 'fixed',
+    days: parseInt(body.days) || app.default_days || null,
+    device_limit: parseInt(body.device_limit) || app.default_device_limit || 1
+  };
+
+  const errors = [];
+  const valid = [];
+  const seen = new Set();
+  for (const { row, data } of entries) {
+    const parsed = normalizeImportRow(data, defaults);
+    if (parsed.error) {
+      errors.push({ row, key: typeof data.key === 'string' ? data.key : null, error: parsed.error });
+    } else if (seen.has(parsed.key)) {
+      errors.push({ row, key: parsed.key, error: 'Duplicate key in file' });
+    } else {
+      seen.add(parsed.key);
+      valid.push({ row, ...parsed });
+    }
+  }
+
+  // UNIQUE của keys là trên toàn hệ thống, không chỉ trong app này
+  const existing = await pool.query('SELECT key FROM keys WHERE key = ANY($1::varchar[])', [valid.map(entry => entry.key)]);
+  const existingKeys = new Set(existing.rows.map(row => row.key));
+  const importable = valid.filter(entry => {
+    if (!existingKeys.has(entry.key)) return true;
+    errors.push({ row: entry.row, key: entry.key, error: 'Key already exists' });
+    return false;
+  });
+
+  let imported = [];
+  if (!dryRun && importable.length > 0) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const column = name => importable.map(entry => entry[name]);
+      const result = await client.query(
+        `INSERT INTO keys (key, api, prefix, expires_at, expiry_mode, duration_days, device_limit, 
+                           banned, ban_reason, banned_by, banned_at, used, first_used, created_by) 
+         SELECT k.key, $1::varchar, k.prefix, k.expires_at, k.expiry_mode, k.duration_days, k.device_limit, 
+                k.banned, k.ban_reason, CASE WHEN k.banned THEN $2::varchar END, CASE WHEN k.banned THEN NOW() END, 
+                k.used, k.first_used, $2::varchar 
+         FROM unnest($3::varchar[], $4::varchar[], $5::timestamp[], $6::varchar[], $7::int[], $8::int[], 
+                     $9::boolean[], $10::text[], $11::boolean[], $12::timestamp[]) 
+           AS k(key, prefix, expires_at, expiry_mode, duration_days, device_limit, banned, ban_reason, used, first_used) 
+         ON CONFLICT (key) DO NOTHING 
+         RETURNING key`,
+        [api, operator.user_id, column('key'), column('prefix'), column('expires_at'), column('expiry_mode'),
+          column('duration_days'), column('device_limit'), column('banned'), column('ban_reason'), column('used'), column('first_used')]
+      );
+      imported = result.rows.map(row => row.key);
+
+      // Key bị tạo chen vào giữa lúc kiểm tra trùng và lúc insert
+      const importedKeys = new Set(imported);
+      importable
+        .filter(entry => !importedKeys.has(entry.key))
+        .forEach(entry => errors.push({ row: entry.row, key: entry.key, error: 'Key already exists' }));
+
+      const devices = importable
+        .filter(entry => importedKeys.has(entry.key))
+        .flatMap(entry => entry.hwids.map(hwid => [entry.key, hwid]));
+      if (devices.length > 0) {
+        await client.query(
+          `INSERT INTO key_devices (key, hwid) 
+           SELECT * FROM unnest($1::varchar[], $2::text[]) 
+           ON CONFLICT (key, hwid) DO NOTHING`,
+          [devices.map(device => device[0]), devices.map(device => device[1])]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log(`✅ Imported ${imported.length} keys into ${api}`);
+    await recordAudit(operator, { action: 'import_keys', api, after: { total: entries.length, imported: imported.length, failed: errors.length } });
+    if (imported.length > 0) {
+      await notifyWebhooks(api, 'key.created', { keys: imported, batch_id: null, created_by: operator.user_id, source: 'import' });
+    }
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return res.status(200).json({ 
+    success: true, 
+    message: dryRun
+      ? `${importable.length} of ${entries.length} keys can be imported`
+      : `Imported ${imported.length} of ${entries.length} keys`,
+    dry_run: dryRun,
+    total: entries.length,
+    valid: importable.length,
+    imported: imported.length,
+    failed: errors.length,
+    errors
+  });
+}
+
+// Chuẩn hóa một dòng import thành giá trị cột của keys, hoặc { error }
+function normalizeImportRow(data, defaults) {
+  const key = typeof data.key === 'string' ? data.key.trim() : '';
+  if (!IMPORT_KEY_PATTERN.test(key)) {
+    return { error: 'Key must be 4-255 characters of A-Z, 0-9, _ . : -' };
+  }
+
+  const prefix = String(data.prefix || defaults.prefix || (key.includes('-') ? key.split('-')[0] : 'IMPORT')).trim();
+  if (prefix.length > 50) {
+    return { error: 'Prefix must be at most 50 characters' };
+  }
+
+  const expiresAt = parseImportDate(data.expires_at);
+  const firstUsedAt = parseImportDate(data.first_used);
+  if (expiresAt === undefined || firstUsedAt === undefined) {
+    return { error: 'Invalid date in expires_at or first_used' };
+  }
+
+  const expiry_mode = data.expiry_mode ? String(data.expiry_mode).trim() : (expiresAt ? 'fixed' : defaults.expiry_mode);
+  if (!EXPIRY_MODES.includes(expiry_mode)) {
+    return { error: `Expiry mode must be one of ${EXPIRY_MODES.join(', ')}` };
+  }
+
+  const device_limit = parseInt(data.device_limit) || defaults.device_limit;
+  if (device_limit < 1 || device_limit > MAX_DEVICE_LIMIT) {
+    return { error: `Device limit must be between 1 and ${MAX_DEVICE_LIMIT}` };
+  }
+
+  const hwids = [...new Set((Array.isArray(data.hwid) ? data.hwid : String(data.hwid || '').split('|'))
+    .map(hwid => String(hwid).trim())
+    .filter(Boolean))];
+  if (hwids.length > device_limit) {
+    return { error: 'More HWIDs than device_limit' };
+  }
+
+  // Key đã có thiết bị thì coi như đã kích hoạt, nếu không validate sẽ không bao giờ bắt đầu tính hạn
+  const first_used = firstUsedAt || (hwids.length > 0 ? new Date() : null);
+  const rowDays = parseInt(data.duration_days || data.days) || null;
+  let duration_days = null;
+  let expires_at = null;
+
+  if (expiry_mode === 'fixed') {
+    duration_days = rowDays || (expiresAt ? null : defaults.days);
+    if (!expiresAt && !duration_days) {
+      return { error: 'Fixed keys need expires_at or days' };
+    }
+    expires_at = expiresAt || new Date(Date.now() + duration_days * 24 * 60 * 60 * 1000);
+  } else if (expiry_mode === 'activation') {
+    duration_days = rowDays || defaults.days;
+    if (!duration_days) {
+      return { error: 'Activation keys need days' };
+    }
+    expires_at = expiresAt || (first_used ? new Date(first_used.getTime() + duration_days * 24 * 60 * 60 * 1000) : null);
+  }
+
+  const banned = parseImportBoolean(data.banned) || data.status === 'banned';
+  return {
+    key,
+    prefix,
+    expiry_mode,
+    duration_days,
+    expires_at,
+    device_limit,
+    banned,
+    ban_reason: banned ? String(data.ban_reason || 'Imported') : null,
+    used: hwids.length > 0 || !!first_used || parseImportBoolean(data.used),
+    first_used,
+    hwids
+  };
+}
+
+// null = ô trống, undefined = sai định dạng
+function parseImportDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date) ? undefined : date;
+}
+
+function parseImportBoolean(value) {
+  return value === true || ['true', '1', 'yes'].includes(String(value).trim().toLowerCase());
+}
+
+async function handleAddSupport(body, res, operator) {
+  const { user_id, password } = body;
+  const admin_id = operator.user_id;
+  
+  if (!user_id) {
+    return res.status(400).json({ success: false, message: 'Thiếu ID người dùng' });
+  }
+
+  if (password && String(password).length < 8) {
+    return res.status(400).json({ success: false, message: 'Password must be at least 8 characters' });
+  }
+
+  const isAdmin = await checkIfAdmin(operator);
+  if (!isAdmin) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền thêm support' });
+  }
+
+  const checkExist = await pool.query('SELECT * FROM supports WHERE user_id = $1', [user_id]);
+  
+  if (checkExist.rows.length > 0) {
+    return res.status(200).json({ 
+      success: false, 
+      message: `Lỗi: ID [${user_id}] đã tồn tại trong danh sách support rồi!` 
+    });
+  }
+
+  const password_hash = password ? await hashPassword(password) : null;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Chỉ được dùng lại tài khoản support (kể cả support đã bị xóa); không bao giờ đụng vào admin / reseller cùng ID
+    const existing = await client.query('SELECT role FROM operators WHERE user_id = $1 FOR UPDATE', [user_id]);
+    if (existing.rows.length > 0 && !SUPPORT_ROLES.includes(existing.rows[0].role)) {
+      await client.query('ROLLBACK');
+      return res.status(200).json({ success: false, message: `Lỗi: ID [${user_id}] đã có tài khoản rồi!` });
+    }
+
+    await client.query(
+      'INSERT INTO supports (user_id, added_by, added_at) VALUES ($1, $2, NOW())',
+      [user_id, admin_id]
+    );
+
+    // Tạo luôn tài khoản đăng nhập cho support nếu admin cung cấp mật khẩu;
+    // support bị xóa trước đó được mở khóa lại
+    await client.query(
+      `INSERT INTO operators (user_id, password_hash, role) 
+       SELECT $1::varchar, $2::text, 'support' WHERE $2::text IS NOT NULL 
+       ON CONFLICT (user_id) DO UPDATE SET password_hash = EXCLUDED.password_hash, role = 'support', disabled = false 
+       WHERE operators.role IN ('support', 'removed')`,
+      [user_id, password_hash]
+    );
+    if (!password && existing.rows.length > 0) {
+      await client.query(
+        `UPDATE operators SET role = 'support', disabled = false WHERE user_id = $1 AND role = 'removed'`,
+        [user_id]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(200).json({ success: false, message: 'ID này đã tồn tại!' });
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await recordAudit(operator, { action: 'add_support', user: user_id, after: { login_created: !!password } });
+  return res.status(200).json({ success: true, message: `Đã thêm thành công support: ${user_id}` });
+}
+
+async function handleDeleteSupport(body, res, operator) {
+  const { user_id } = body;
+  
+  if (!user_id) {
+    return res.status(400).json({ success: false, message: 'User ID is required' });
+  }
+
+  const isAdmin = await checkIfAdmin(operator);
+  if (!isAdmin) {
+    return res.status(403).json({ success: false, message: 'Chỉ admin mới có thể xóa support' });
+  }
+
+  if (user_id === MAIN_ADMIN_ID) {
+    return res.status(400).json({ success: false, message: 'Cannot delete main admin' });
+  }
+
+  // Khóa luôn tài khoản đăng nhập (giữ lại để audit còn tra được), nếu không support cũ vẫn đăng nhập
+  // và tạo app được bằng mật khẩu cũ
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await client.query('DELETE FROM supports WHERE user_id = $1 RETURNING *', [user_id]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(200).json({ success: false, message: 'Support user not found' });
+    }
+
+    await client.query(
+      `UPDATE operators SET disabled = true, role = 'removed' WHERE user_id = $1 AND role = 'support'`,
+      [user_id]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await revokeOperatorSessions(user_id);
+  await recordAudit(operator, { action: 'delete_support', user: user_id, before: result.rows[0] });
+  
+  return res.status(200).json({ success: true, message: 'Support user deleted successfully' });
+}
+
+async function handleGetSupports(res, operator) {
+  if (!(await checkIfAdmin(operator))) {
+    return res.status(403).json({ success: false, message: 'Chỉ admin mới có thể xem danh sách support' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT 
+         s.*,
+         COALESCE(
+           json_agg(json_build_object(
+             'api', g.api,
+             'app_name', a.name,
+             'can_create', g.can_create,
+             'can_ban', g.can_ban,
+             'can_reset_hwid', g.can_reset_hwid
+           )) FILTER (WHERE g.id IS NOT NULL),
+           '[]'
+         ) as grants
+       FROM supports s
+       LEFT JOIN app_grants g ON g.user_id = s.user_id
+       LEFT JOIN applications a ON a.api_key = g.api
+       GROUP BY s.id
+       ORDER BY s.added_at DESC`
+    );
+    return res.status(200).json({ 
+      success: true, 
+      supports: result.rows 
+    });
+  } catch (error) {
+    console.error('❌ Lỗi Get Supports:', error);
+    return res.status(500).json({ success: false, message: 'Không thể tải danh sách support' });
+  }
+}
+
+async function recordKeyEvent(req, event) {
+  try {
+    await pool.query(
+      `INSERT INTO key_events (key, api, hwid, ip, user_agent, success, reason) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        event.key,
+        event.api,
+        event.hwid || null,
+        getClientIp(req),
+        req.headers?.['user-agent'] || null,
+        event.success,
+        event.reason
+      ]
+    );
+  } catch (error) {
+    // Lỗi ghi log không được làm hỏng việc xác thực key
+    console.error('❌ Failed to record key event:', error.message);
+  }
+}
+
+async function handleAddReseller(body, res, operator) {
+  const { user_id, password } = body;
+  const credits = parseInt(body.credits) || 0;
+
+  if (!user_id || !password) {
+    return res.status(400).json({ success: false, message: 'User ID and password are required' });
+  }
+
+  if (String(password).length < 8) {
+    return res.status(400).json({ success: false, message: 'Password must be at least 8 characters' });
+  }
+
+  if (credits < 0) {
+    return res.status(400).json({ success: false, message: 'Credits must not be negative' });
+  }
+
+  if (!(await checkIfAdmin(operator))) {
+    return res.status(403).json({ success: false, message: 'Chỉ admin mới có thể thêm reseller' });
+  }
+
+  const result = await pool.query(
+    `INSERT INTO operators (user_id, password_hash, role, credits) VALUES ($1, $2, 'reseller', $3)
+     ON CONFLICT (user_id) DO NOTHING
+     RETURNING user_id`,
+    [user_id, await hashPassword(password), credits]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: `Lỗi: ID [${user_id}] đã có tài khoản rồi!` });
+  }
+
+  if (credits > 0) {
+    await pool.query(
+      `INSERT INTO credit_transactions (user_id, amount, reason, created_by) 
+       VALUES ($1, $2, 'Initial credits', $3)`,
+      [user_id, credits, operator.user_id]
+    );
+  }
+
+  await recordAudit(operator, { action: 'add_reseller', user: user_id, after: { role: 'reseller', credits } });
+  return res.status(200).json({ success: true, message: `Đã thêm thành công reseller: ${user_id}` });
+}
+
+async function handleDeleteReseller(body, res, operator) {
+  const { user_id } = body;
+
+  if (!user_id) {
+    return res.status(400).json({ success: false, message: 'User ID is required' });
+  }
+
+  if (!(await checkIfAdmin(operator))) {
+    return res.status(403).json({ success: false, message: 'Chỉ admin mới có thể xóa reseller' });
+  }
+
+  // Giữ lại tài khoản (bị khóa) để lịch sử credit vẫn tra được
+  const result = await pool.query(
+    `UPDATE operators SET disabled = true WHERE user_id = $1 AND role = 'reseller' RETURNING user_id`,
+    [user_id]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Reseller not found' });
+  }
+
+  const grants = await pool.query('DELETE FROM app_grants WHERE user_id = $1 RETURNING api', [user_id]);
+  await revokeOperatorSessions(user_id);
+  await recordAudit(operator, {
+    action: 'delete_reseller',
+    user: user_id,
+    before: { disabled: false, grants: grants.rows.map(row => row.api) },
+    after: { disabled: true }
+  });
+
+  return res.status(200).json({ success: true, message: 'Reseller disabled successfully' });
+}
+
+async function handleListResellers(res, operator) {
+  if (!(await checkIfAdmin(operator))) {
+    return res.status(403).json({ success: false, message: 'Chỉ admin mới có thể xem danh sách reseller' });
+  }
+
+  const result = await pool.query(
+    `SELECT 
+       o.user_id, o.credits, o.created_at, o.last_login,
+       COALESCE(
+         json_agg(json_build_object(
+           'api', g.api,
+           'app_name', a.name,
+           'can_create', g.can_create,
+           'can_ban', g.can_ban,
+           'can_reset_hwid', g.can_reset_hwid
+         )) FILTER (WHERE g.id IS NOT NULL),
+         '[]'
+       ) as grants
+     FROM operators o
+     LEFT JOIN app_grants g ON g.user_id = o.user_id
+     LEFT JOIN applications a ON a.api_key = g.api
+     WHERE o.role = 'reseller' AND o.disabled = false
+     GROUP BY o.id
+     ORDER BY o.created_at DESC`
+  );
+
+  return res.status(200).json({ 
+    success: true, 
+    resellers: result.rows 
+  });
+}
+
+async function handleGrantAppAccess(body, res, operator) {
+  const { user_id, api } = body;
+
+  if (!user_id || !api) {
+    return res.status(400).json({ success: false, message: 'User ID and API are required' });
+  }
+
+  if (!(await checkIfAdmin(operator))) {
+    return res.status(403).json({ success: false, message: 'Chỉ admin mới có thể cấp quyền application' });
+  }
+
+  // Support và reseller đều chỉ có quyền trên app được cấp
+  const account = await pool.query(
+    `SELECT 1 FROM operators WHERE user_id = $1 AND role IN ('reseller', 'support') AND disabled = false`,
+    [user_id]
+  );
+  if (account.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Account not found' });
+  }
+
+  const appResult = await pool.query('SELECT 1 FROM applications WHERE api_key = $1 AND deleted_at IS NULL', [api]);
+  if (appResult.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  const previous = await pool.query('SELECT * FROM app_grants WHERE user_id = $1 AND api = $2', [user_id, api]);
+  const result = await pool.query(
+    `INSERT INTO app_grants (user_id, api, can_create, can_ban, can_reset_hwid, granted_by) 
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (user_id, api) DO UPDATE SET 
+       can_create = EXCLUDED.can_create,
+       can_ban = EXCLUDED.can_ban,
+       can_reset_hwid = EXCLUDED.can_reset_hwid,
+       granted_by = EXCLUDED.granted_by
+     RETURNING *`,
+    [user_id, api, body.can_create !== false, !!body.can_ban, !!body.can_reset_hwid, operator.user_id]
+  );
+
+  await recordAudit(operator, {
+    action: 'grant_app_access',
+    api,
+    user: user_id,
+    before: previous.rows[0] ? pickFields(previous.rows[0], GRANT_AUDIT_FIELDS) : null,
+    after: pickFields(result.rows[0], GRANT_AUDIT_FIELDS)
+  });
+
+  return res.status(200).json({ 
+    success: true, 
+    message: 'App access granted',
+    grant: result.rows[0] 
+  });
+}
+
+async function handleRevokeAppAccess(body, res, operator) {
+  const { user_id, api } = body;
+
+  if (!user_id || !api) {
+    return res.status(400).json({ success: false, message: 'User ID and API are required' });
+  }
+
+  if (!(await checkIfAdmin(operator))) {
+    return res.status(403).json({ success: false, message: 'Chỉ admin mới có thể thu hồi quyền application' });
+  }
+
+  const result = await pool.query(
+    'DELETE FROM app_grants WHERE user_id = $1 AND api = $2 RETURNING *',
+    [user_id, api]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Grant not found' });
+  }
+
+  await recordAudit(operator, { action: 'revoke_app_access', api, user: user_id, before: pickFields(result.rows[0], GRANT_AUDIT_FIELDS) });
+  return res.status(200).json({ success: true, message: 'App access revoked' });
+}
+
+async function handleAddCredits(body, res, operator) {
+  const { user_id, note } = body;
+  const amount = parseInt(body.amount);
+
+  if (!user_id || !amount) {
+    return res.status(400).json({ success: false, message: 'User ID and a non-zero amount are required' });
+  }
+
+  if (!(await checkIfAdmin(operator))) {
+    return res.status(403).json({ success: false, message: 'Chỉ admin mới có thể nạp credit' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Số âm dùng để trừ bớt (điều chỉnh), nhưng không cho balance xuống dưới 0
+    const result = await client.query(
+      `UPDATE operators SET credits = credits + $1 
+       WHERE user_id = $2 AND role = 'reseller' AND credits + $1 >= 0
+       RETURNING credits`,
+      [amount, user_id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(200).json({ success: false, message: 'Reseller not found or balance would be negative' });
+    }
+
+    await client.query(
+      `INSERT INTO credit_transactions (user_id, amount, reason, created_by) 
+       VALUES ($1, $2, $3, $4)`,
+      [user_id, amount, note || (amount > 0 ? 'Top up' : 'Adjustment'), operator.user_id]
+    );
+
+    await client.query('COMMIT');
+
+    const credits = result.rows[0].credits;
+    await recordAudit(operator, {
+      action: 'add_credits',
+      user: user_id,
+      before: { credits: credits - amount },
+      after: { credits, amount, note: note || null }
+    });
+
+    return res.status(200).json({ 
+      success: true, 
+      message: 'Credits updated',
+      credits 
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function handleGetCreditHistory(body, res, operator) {
+  const user_id = body.user_id || operator.user_id;
+
+  if (user_id !== operator.user_id && !(await checkIfAdmin(operator))) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem lịch sử credit của user khác' });
+  }
+
+  const balance = await pool.query('SELECT credits FROM operators WHERE user_id = $1', [user_id]);
+  if (balance.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Account not found' });
+  }
+
+  const result = await pool.query(
+    'SELECT * FROM credit_transactions WHERE user_id = $1 ORDER BY created_at DESC LIMIT 200',
+    [user_id]
+  );
+
+  return res.status(200).json({ 
+    success: true, 
+    credits: balance.rows[0].credits,
+    transactions: result.rows 
+  });
+}
+
+// ==================== WEBHOOKS ====================
+
+// Ghi event vào outbox rồi thử gửi ngay; lỗi gửi sẽ được retry bởi cron, không ảnh hưởng action chính
+async function notifyWebhooks(api, event, data) {
+  try {
+    const queued = await enqueueWebhookEvent(pool, api, event, data);
+    if (queued > 0) {
+      deliverPendingWebhooks(pool).catch(error => console.error('❌ Webhook delivery failed:', error.message));
+    }
+  } catch (error) {
+    console.error('❌ Failed to enqueue webhook:', error.message);
+  }
+}
+
+function isValidHttpUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function parseWebhookEvents(events) {
+  if (events === undefined || events === null || events === '') return WEBHOOK_EVENTS;
+  const list = Array.isArray(events) ? events : String(events).split(',').map(e => e.trim());
+  return list.every(e => WEBHOOK_EVENTS.includes(e)) && list.length > 0 ? list : null;
+}
+
+// id webhook là số nguyên dương; giá trị khác sẽ làm Postgres lỗi cast nên chặn trước (NaN = không hợp lệ)
+function parseWebhookId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 && id <= MAX_SERIAL_ID ? id : NaN;
+}
+
+function sanitizeWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, secret_preview: secret.slice(0, 10) + '…' };
+}
+
+async function handleAddWebhook(body, res, operator) {
+  const { api, url, description } = body;
+
+  if (!api || !url) {
+    return res.status(400).json({ success: false, message: 'API and URL are required' });
+  }
+
+  const urlError = await checkWebhookUrl(url);
+  if (urlError) {
+    return res.status(400).json({ success: false, message: urlError });
+  }
+
+  const events = parseWebhookEvents(body.events);
+  if (!events) {
+    return res.status(400).json({ success: false, message: `Events must be a subset of ${WEBHOOK_EVENTS.join(', ')}` });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền cấu hình webhook của application này' });
+  }
+
+  const appResult = await pool.query('SELECT 1 FROM applications WHERE api_key = $1 AND deleted_at IS NULL', [api]);
+  if (appResult.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  const result = await pool.query(
+    `INSERT INTO webhooks (api, url, secret, events, description, created_by) 
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [api, url, generateWebhookSecret(), events, description || null, operator.user_id]
+  );
+  await recordAudit(operator, { action: 'add_webhook', api, after: pickFields(result.rows[0], WEBHOOK_AUDIT_FIELDS) });
+
+  // Secret chỉ trả về một lần lúc tạo, dùng để verify X-Webhook-Signature
+  return res.status(200).json({ 
+    success: true, 
+    message: 'Webhook created',
+    webhook: result.rows[0] 
+  });
+}
+
+async function handleUpdateWebhook(body, res, operator) {
+  const { api, id, url, description, enabled } = body;
+
+  if (!api || !id) {
+    return res.status(400).json({ success: false, message: 'API and webhook ID are required' });
+  }
+
+  const webhookId = parseWebhookId(id);
+  if (Number.isNaN(webhookId)) {
+    return res.status(400).json({ success: false, message: 'Webhook ID must be a positive integer' });
+  }
+
+  const urlError = url === undefined ? null : await checkWebhookUrl(url);
+  if (urlError) {
+    return res.status(400).json({ success: false, message: urlError });
+  }
+
+  const events = body.events === undefined ? null : parseWebhookEvents(body.events);
+  if (body.events !== undefined && !events) {
+    return res.status(400).json({ success: false, message: `Events must be a subset of ${WEBHOOK_EVENTS.join(', ')}` });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền cấu hình webhook của application này' });
+  }
+
+  const previous = await pool.query('SELECT * FROM webhooks WHERE id = $1 AND api = $2', [webhookId, api]);
+  const result = await pool.query(
+    `UPDATE webhooks SET 
+       url = COALESCE($3, url),
+       events = COALESCE($4, events),
+       description = COALESCE($5, description),
+       enabled = COALESCE($6, enabled)
+     WHERE id = $1 AND api = $2 RETURNING *`,
+    [webhookId, api, url || null, events, description ?? null, enabled === undefined ? null : enabled === true || enabled === 'true']
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Webhook not found' });
+  }
+
+  await recordAudit(operator, {
+    action: 'update_webhook',
+    api,
+    before: pickFields(previous.rows[0], WEBHOOK_AUDIT_FIELDS),
+    after: pickFields(result.rows[0], WEBHOOK_AUDIT_FIELDS)
+  });
+  return res.status(200).json({ 
+    success: true, 
+    message: 'Webhook updated',
+    webhook: sanitizeWebhook(result.rows[0]) 
+  });
+}
+
+async function handleDeleteWebhook(body, res, operator) {
+  const { api, id } = body;
+
+  if (!api || !id) {
+    return res.status(400).json({ success: false, message: 'API and webhook ID are required' });
+  }
+
+  const webhookId = parseWebhookId(id);
+  if (Number.isNaN(webhookId)) {
+    return res.status(400).json({ success: false, message: 'Webhook ID must be a positive integer' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền cấu hình webhook của application này' });
+  }
+
+  const result = await pool.query('DELETE FROM webhooks WHERE id = $1 AND api = $2 RETURNING *', [webhookId, api]);
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Webhook not found' });
+  }
+
+  await recordAudit(operator, { action: 'delete_webhook', api, before: pickFields(result.rows[0], WEBHOOK_AUDIT_FIELDS) });
+  return res.status(200).json({ success: true, message: 'Webhook deleted' });
+}
+
+async function handleListWebhooks(body, res, operator) {
+  const { api } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem webhook của application này' });
+  }
+
+  const result = await pool.query(
+    `SELECT w.*,
+       COUNT(o.id) FILTER (WHERE o.status = 'pending') AS pending,
+       COUNT(o.id) FILTER (WHERE o.status = 'failed') AS failed
+     FROM webhooks w
+     LEFT JOIN webhook_outbox o ON o.webhook_id = w.id
+     WHERE w.api = $1
+     GROUP BY w.id
+     ORDER BY w.created_at DESC`,
+    [api]
+  );
+
+  return res.status(200).json({ 
+    success: true, 
+    events: WEBHOOK_EVENTS,
+    webhooks: result.rows.map(sanitizeWebhook) 
+  });
+}
+
+async function handleTestWebhook(body, res, operator) {
+  const { api, id } = body;
+
+  if (!api || !id) {
+    return res.status(400).json({ success: false, message: 'API and webhook ID are required' });
+  }
+
+  const webhookId = parseWebhookId(id);
+  if (Number.isNaN(webhookId)) {
+    return res.status(400).json({ success: false, message: 'Webhook ID must be a positive integer' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền cấu hình webhook của application này' });
+  }
+
+  const queued = await enqueueWebhookEvent(pool, api, 'webhook.test', { message: 'Test event', sent_by: operator.user_id }, webhookId);
+  if (queued === 0) {
+    return res.status(200).json({ success: false, message: 'Webhook not found' });
+  }
+
+  // Test thì chờ gửi xong để trả kết quả ngay
+  const summary = await deliverPendingWebhooks(pool);
+  return res.status(200).json({ success: true, message: 'Test event sent', ...summary });
+}
+
+async function handleGetWebhookDeliveries(body, res, operator) {
+  const { api } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  // webhook_id tùy chọn, không gửi thì lấy lịch sử của mọi webhook trong app
+  const webhookId = body.webhook_id === undefined || body.webhook_id === null || body.webhook_id === ''
+    ? null
+    : parseWebhookId(body.webhook_id);
+  if (Number.isNaN(webhookId)) {
+    return res.status(400).json({ success: false, message: 'Webhook ID must be a positive integer' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem webhook của application này' });
+  }
+
+  const limit = parsePageLimit(body.limit, DEFAULT_EVENTS_PAGE_SIZE, MAX_EVENTS_PAGE_SIZE);
+  const offset = Math.max(parseInt(body.offset) || 0, 0);
+
+  const result = await pool.query(
+    `SELECT d.*, o.status AS outbox_status, o.payload 
+     FROM webhook_deliveries d
+     JOIN webhooks w ON w.id = d.webhook_id
+     JOIN webhook_outbox o ON o.id = d.outbox_id
+     WHERE w.api = $1 AND ($2::int IS NULL OR d.webhook_id = $2)
+     ORDER BY d.created_at DESC, d.id DESC
+     LIMIT ${limit} OFFSET ${offset}`,
+    [api, webhookId]
+  );
+
+  return res.status(200).json({ 
+    success: true, 
+    deliveries: result.rows,
+    limit,
+    offset
+  });
+}
+
+async function handleProcessWebhooks(res, operator) {
+  if (!(await checkIfAdmin(operator))) {
+    return res.status(403).json({ success: false, message: 'Chỉ admin mới có thể chạy gửi webhook thủ công' });
+  }
+
+  const summary = await deliverPendingWebhooks(pool);
+  return res.status(200).json({ success: true, ...summary });
+}
+
+// ==================== MAINTENANCE ====================
+
+async function handleRunMaintenance(body, res, operator) {
+  if (!(await checkIfAdmin(operator))) {
+    return res.status(403).json({ success: false, message: 'Chỉ admin mới có thể chạy dọn dẹp' });
+  }
+
+  const dryRun = body.dry_run === true || body.dry_run === 'true';
+  const report = await runMaintenance(pool, { dryRun, api: body.api || null });
+  console.log('🧹 Maintenance:', JSON.stringify(report.totals));
+  if (!dryRun) {
+    await recordAudit(operator, { action: 'run_maintenance', api: body.api || null, after: { totals: report.totals, global: report.global } });
+  }
+  return res.status(200).json({ success: true, ...report });
+}
+
+async function handleListArchivedKeys(body, res, operator) {
+  const { api, key, reason } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const permission = await checkAppPermission(operator, api);
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem keys của application này' });
+  }
+
+  const limit = parsePageLimit(body.limit, DEFAULT_KEYS_PAGE_SIZE, MAX_KEYS_PAGE_SIZE);
+  const offset = Math.max(parseInt(body.offset) || 0, 0);
+
+  const conditions = ['api = $1'];
+  const params = [api];
+  const addFilter = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (permission.ownerScope) addFilter(`data->>'created_by' = ?`, permission.ownerScope);
+  if (key) addFilter('key ILIKE ?', `%${escapeLike(key)}%`);
+  if (reason) addFilter('reason = ?', reason);
+
+  const where = conditions.join(' AND ');
+  const countResult = await pool.query(`SELECT COUNT(*) as count FROM keys_archive WHERE ${where}`, params);
+  const result = await pool.query(
+    `SELECT id, key, reason, archived_at, data, 
+            COALESCE((SELECT json_agg(d->>'hwid') FROM jsonb_array_elements(devices) d), '[]') AS hwid 
+     FROM keys_archive WHERE ${where} 
+     ORDER BY archived_at DESC, id DESC 
+     LIMIT ${limit} OFFSET ${offset}`,
+    params
+  );
+
+  return res.status(200).json({ 
+    success: true, 
+    keys: result.rows,
+    total: parseInt(countResult.rows[0].count),
+    limit,
+    offset
+  });
+}
+
+async function handleRestoreArchivedKeys(body, res, operator) {
+  const { api } = body;
+  const keys = Array.isArray(body.keys) ? body.keys : body.key ? [body.key] : [];
+
+  if (!api || keys.length === 0) {
+    return res.status(400).json({ success: false, message: 'Missing required fields: api, keys' });
+  }
+
+  if (keys.length > MAX_BULK_KEYS || keys.some(key => typeof key !== 'string')) {
+    return res.status(400).json({ success: false, message: `Keys must be an array of at most ${MAX_BULK_KEYS} strings` });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền khôi phục key của application này' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await restoreArchivedKeys(client, api, [...new Set(keys)]);
+    await client.query('COMMIT');
+
+    console.log(`✅ Restored ${result.restored.length} archived keys into ${api}`);
+    await recordAudit(operator, { action: 'restore_archived_keys', api, after: { restored: result.restored, failed: result.errors.length } });
+    return res.status(200).json({ 
+      success: true, 
+      message: `Restored ${result.restored.length} of ${keys.length} keys`,
+      ...result
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Chặn chung cho validate_key và tài khoản người dùng, trước khi tra key / user; null = được đi tiếp
+async function checkClientAccess(app, { hwid, ip, version }) {
+  // Kill switch và bảo trì chặn mọi key; message cố định, lời nhắn riêng của app nằm trong notice
+  if (!app.enabled) {
+    return { message: 'Application disabled', extra: { notice: app.disabled_message || null } };
+  }
+
+  if (app.maintenance_mode) {
+    return { message: 'Application under maintenance', extra: { notice: app.maintenance_message || null } };
+  }
+
+  // Client không gửi version (hoặc gửi sai định dạng) bị coi là bản cũ
+  if (app.min_version) {
+    const clientVersion = parseVersion(version);
+    if (!clientVersion || compareVersions(clientVersion, parseVersion(app.min_version)) < 0) {
+      return { message: 'Client outdated', extra: { min_version: app.min_version, update_url: app.update_url || null } };
+    }
+  }
+
+  // Blacklist được kiểm tra trước cả khi tra key để máy bị chặn không thử key được
+  const blacklisted = await findBlacklistMatch(app.api_key, hwid, ip);
+  if (blacklisted) {
+    return { message: blacklisted.type === 'hwid' ? 'HWID blacklisted' : 'IP blacklisted', extra: {} };
+  }
+
+  return null;
+}
+
+async function handleValidateKey(body, req, res) {
+  const { api, key, hwid, system_info, nonce, version } = body;
+
+  if (!api || !key || !hwid) {
+    return res.status(400).json({ success: false, message: 'API, Key, HWID are required' });
+  }
+
+  const { value: fingerprint, error: fingerprintError } = parseFingerprint(body.fingerprint);
+  if (fingerprintError) {
+    return res.status(400).json({ success: false, message: fingerprintError });
+  }
+
+  if (nonce !== undefined && (typeof nonce !== 'string' || nonce.length > 128)) {
+    return res.status(400).json({ success: false, message: 'Nonce must be a string of at most 128 characters' });
+  }
+
+  if (version !== undefined && (typeof version !== 'string' || version.length > 50)) {
+    return res.status(400).json({ success: false, message: 'Version must be a string of at most 50 characters' });
+  }
+
+  const appResult = await pool.query(
+    'SELECT * FROM applications WHERE api_key = $1 AND deleted_at IS NULL',
+    [api]
+  );
+  const ip = getClientIp(req);
+  const limits = appResult.rows[0] || {};
+  const lockSubject = `validate:${api}:${ip}`;
+
+  const locked = await checkLockout(lockSubject);
+  if (locked) {
+    return sendRateLimited(res, locked, 'Too many invalid attempts, try again later');
+  }
+
+  const limitedIp = await checkRateLimit(lockSubject, limits.rate_limit_per_ip || DEFAULT_VALIDATE_LIMIT_PER_IP);
+  if (limitedIp) return sendRateLimited(res, limitedIp);
+
+  if (appResult.rows.length === 0) {
+    await recordKeyEvent(req, { key, api, hwid, success: false, reason: 'Invalid API' });
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  const limitedApp = await checkRateLimit(`validate:${api}`, limits.rate_limit_per_app || DEFAULT_VALIDATE_LIMIT_PER_APP);
+  if (limitedApp) return sendRateLimited(res, limitedApp);
+
+  const app = await ensureSigningKey(appResult.rows[0]);
+
+  let tier = null;
+
+  // Mọi phản hồi sau khi xác định được app đều được ký để loader kiểm tra
+  // extra (notice, update_url...) cũng nằm trong phần ký để không bị sửa dọc đường.
+  // Key hợp lệ kèm gói (tier, level, features, thời gian còn lại) để client tự giới hạn tính năng,
+  // và session để lấy biến / file của app
+  const reply = async (success, message, k = null, extra = {}) => {
+    // Session mở trước khi ghi event để lượt bị chặn bởi giới hạn session được ghi là thất bại
+    if (success && k) {
+      const opened = await openClientSession(app, { key, hwid, ip });
+      if (opened.error) {
+        success = false;
+        message = opened.error;
+        extra = { ...opened.extra, ...extra };
+      } else {
+        extra = { ...getKeyEntitlements(k, tier), ...opened.session, ...extra };
+      }
+    }
+    await recordKeyEvent(req, { key, api, hwid, success, reason: message });
+
+    return res.status(200).json({
+      success,
+      message,
+      ...extra,
+      signed: signPayload(app, {
+        success,
+        message,
+        ...extra,
+        key,
+        hwid,
+        expires_at: k && k.expires_at ? new Date(k.expires_at).toISOString() : null,
+        nonce: nonce || null,
+        timestamp: Date.now()
+      })
+    });
+  };
+
+  const blocked = await checkClientAccess(app, { hwid, ip, version });
+  if (blocked) {
+    return reply(false, blocked.message, null, blocked.extra);
+  }
+
+  const keyResult = await pool.query(
+    'SELECT * FROM keys WHERE key = $1 AND api = $2 AND deleted_at IS NULL',
+    [key, api]
+  );
+  if (keyResult.rows.length === 0) {
+    await recordFailedAttempt(lockSubject, app.lockout_threshold || DEFAULT_LOCKOUT_THRESHOLD);
+    return reply(false, 'Invalid key');
+  }
+
+  let k = keyResult.rows[0];
+
+  if (k.banned) {
+    return reply(false, 'Key banned', k);
+  }
+
+  // Key đã đổi vào tài khoản chỉ dùng được qua user_login
+  if (k.app_user_id) {
+    return reply(false, 'Key is linked to a user account', k);
+  }
+
+  if (k.tier_id) {
+    const tierResult = await pool.query('SELECT * FROM tiers WHERE id = $1', [k.tier_id]);
+    tier = tierResult.rows[0] || null;
+  }
+
+  if (k.paused_at) {
+    return reply(false, 'Key paused', k);
+  }
+
+  // Key lifetime hoặc key chưa kích hoạt thì chưa có expires_at
+  if (k.expires_at && new Date() > new Date(k.expires_at)) {
+    return reply(false, 'Key expired', k);
+  }
+
+  if (app.hwid_lock) {
+    const known = await pool.query(
+      `UPDATE key_devices SET last_seen = CURRENT_TIMESTAMP, system_info = COALESCE($3, system_info), components = COALESCE($4, components) 
+       WHERE key = $1 AND hwid = $2 RETURNING id`,
+      [key, hwid, system_info || null, fingerprint]
+    );
+    if (known.rows.length > 0) {
+      return reply(true, 'Valid key', k);
+    }
+
+    // HWID đổi (cập nhật BIOS, thay card mạng...) nhưng fingerprint đủ giống một thiết bị đã bind thì coi là máy cũ:
+    // cập nhật HWID / thành phần của thiết bị đó thay vì tốn thêm slot
+    if (fingerprint && app.hwid_match_threshold) {
+      const devices = await pool.query('SELECT id, components FROM key_devices WHERE key = $1 AND components IS NOT NULL', [key]);
+      const match = devices.rows
+        .filter(device => isSameDevice(fingerprint, device.components, app.hwid_match_threshold))
+        .map(device => ({ id: device.id, similarity: fingerprintSimilarity(fingerprint, device.components) }))
+        .sort((a, b) => b.similarity - a.similarity)[0];
+
+      if (match) {
+        const moved = await pool.query(
+          `UPDATE key_devices d 
+           SET hwid = $2, components = $3, system_info = COALESCE($4, d.system_info), last_seen = CURRENT_TIMESTAMP 
+           FROM key_devices old 
+           WHERE d.id = $1 AND old.id = d.id 
+           RETURNING old.hwid AS previous_hwid`,
+          [match.id, hwid, fingerprint, system_info || null]
+        );
+        if (moved.rows.length > 0) {
+          // Session của HWID cũ không còn client nào giữ, không để nó chiếm chỗ trong giới hạn session
+          await endClientSessions('key = $1 AND hwid = $2', [key, moved.rows[0].previous_hwid]);
+          return reply(true, 'Valid key', k, { device_match: 'fingerprint', similarity: match.similarity });
+        }
+      }
+    }
+
+    // Chỉ bind khi còn slot. Khóa dòng key để hai máy mới validate cùng lúc phải đếm lần lượt:
+    // câu INSERT chạy sau khi có khóa nên thấy thiết bị máy kia vừa bind
+    const client = await pool.connect();
+    let bound;
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT 1 FROM keys WHERE key = $1 FOR UPDATE', [key]);
+      bound = await client.query(
+        `INSERT INTO key_devices (key, hwid, system_info, components) 
+         SELECT $1::varchar, $2::text, $3::text, $5::jsonb 
+         WHERE (SELECT COUNT(*) FROM key_devices WHERE key = $1::varchar) < $4
+         ON CONFLICT (key, hwid) DO NOTHING
+         RETURNING id`,
+        [key, hwid, system_info || null, k.device_limit || 1, fingerprint]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    if (bound.rows.length === 0) {
+      if (await isFirstInAlertWindow(`device_limit:${key}:${hwid}`)) {
+        await notifyWebhooks(api, 'key.device_limit_reached', { key, hwid, device_limit: k.device_limit || 1 });
+      }
+      return reply(false, 'Key limited', k);
+    }
+  } else if (k.first_used) {
+    // App tắt khóa HWID: không bind thiết bị, chỉ lần đầu mới cần đánh dấu kích hoạt
+    return reply(true, 'Valid key', k);
+  }
+
+  const firstActivation = !k.first_used;
+
+  // Lần bind đầu tiên của key activation sẽ bắt đầu tính thời hạn
+  const updated = await pool.query(
+    `UPDATE keys 
+     SET used = true,
+         system_info = $1,
+         first_used = COALESCE(first_used, CURRENT_TIMESTAMP),
+         expires_at = CASE 
+           WHEN expiry_mode = 'activation' AND expires_at IS NULL 
+           THEN CURRENT_TIMESTAMP + make_interval(days => duration_days)
+           ELSE expires_at
+         END
+     WHERE key = $2 AND api = $3
+     RETURNING *`,
+    [system_info, key, api]
+  );
+  k = updated.rows[0] || k;
+
+  if (app.hwid_lock) {
+    await notifyWebhooks(api, 'key.device_bound', { key, hwid, system_info: system_info || null });
+  }
+  if (firstActivation) {
+    await notifyWebhooks(api, 'key.activated', { key, hwid, first_used: k.first_used, expires_at: k.expires_at });
+  }
+
+  return reply(true, 'Valid key', k);
+}
+
+// Người dùng cuối tự gỡ một thiết bị bằng chính key, giới hạn bởi cooldown và số lần trong một chu kỳ của app
+async function handleSelfResetHWID(body, req, res) {
+  const { api, key, hwid } = body;
+
+  if (!api || !key) {
+    return res.status(400).json({ success: false, message: 'API and Key are required' });
+  }
+
+  if (hwid !== undefined && (typeof hwid !== 'string' || !hwid)) {
+    return res.status(400).json({ success: false, message: 'HWID must be a non-empty string' });
+  }
+
+  const appResult = await pool.query('SELECT * FROM applications WHERE api_key = $1 AND deleted_at IS NULL', [api]);
+  const ip = getClientIp(req);
+  // Dùng chung lockout với validate_key để không dò key được qua đường này
+  const lockSubject = `validate:${api}:${ip}`;
+
+  const locked = await checkLockout(lockSubject);
+  if (locked) {
+    return sendRateLimited(res, locked, 'Too many invalid attempts, try again later');
+  }
+
+  const limitedIp = await checkRateLimit(`hwid_reset:${api}:${ip}`, SELF_RESET_LIMIT_PER_IP);
+  if (limitedIp) return sendRateLimited(res, limitedIp);
+
+  const app = appResult.rows[0];
+  if (!app) {
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  if (!app.self_reset_enabled) {
+    return res.status(200).json({ success: false, message: 'Self-service HWID reset is disabled' });
+  }
+
+  const cooldownHours = app.self_reset_cooldown_hours || DEFAULT_SELF_RESET_COOLDOWN_HOURS;
+  const resetLimit = app.self_reset_limit || DEFAULT_SELF_RESET_LIMIT;
+  const periodDays = app.self_reset_period_days || DEFAULT_SELF_RESET_PERIOD_DAYS;
+
+  const client = await pool.connect();
+  let released;
+  let remaining;
+  let nextResetAt;
+  try {
+    await client.query('BEGIN');
+
+    // Khóa dòng key để hai request reset song song không cùng lọt qua giới hạn
+    const keyResult = await client.query('SELECT * FROM keys WHERE key = $1 AND api = $2 AND deleted_at IS NULL FOR UPDATE', [key, api]);
+    const k = keyResult.rows[0];
+    if (!k) {
+      await client.query('ROLLBACK');
+      await recordFailedAttempt(lockSubject, app.lockout_threshold || DEFAULT_LOCKOUT_THRESHOLD);
+      return res.status(200).json({ success: false, message: 'Invalid key' });
+    }
+
+    if (k.banned) {
+      await client.query('ROLLBACK');
+      return res.status(200).json({ success: false, message: 'Key banned' });
+    }
+
+    const history = await client.query(
+      `SELECT COUNT(*) AS used, MIN(created_at) AS oldest, MAX(created_at) AS latest FROM hwid_resets 
+       WHERE key = $1 AND source = 'self' AND created_at > NOW() - make_interval(days => $2)`,
+      [key, periodDays]
+    );
+    const used = parseInt(history.rows[0].used);
+    const quota = { resets_limit: resetLimit, resets_remaining: Math.max(resetLimit - used, 0) };
+
+    const { latest, oldest } = history.rows[0];
+    const cooldownEndsAt = latest ? new Date(latest.getTime() + cooldownHours * 3600 * 1000) : null;
+    if (cooldownEndsAt && cooldownEndsAt > new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(200).json({ 
+        success: false, 
+        message: 'HWID reset on cooldown',
+        ...quota,
+        next_reset_at: cooldownEndsAt,
+        retry_after: Math.ceil((cooldownEndsAt - Date.now()) / 1000)
+      });
+    }
+
+    if (used >= resetLimit) {
+      const nextResetAt = new Date(oldest.getTime() + periodDays * 24 * 3600 * 1000);
+      await client.query('ROLLBACK');
+      return res.status(200).json({ 
+        success: false, 
+        message: 'HWID reset limit reached',
+        ...quota,
+        next_reset_at: nextResetAt,
+        retry_after: Math.ceil((nextResetAt - Date.now()) / 1000)
+      });
+    }
+
+    // Không chỉ định hwid thì gỡ thiết bị lâu không dùng nhất (thường là máy cũ)
+    const removed = await client.query(
+      `DELETE FROM key_devices WHERE id = (
+         SELECT id FROM key_devices 
+         WHERE key = $1 AND ($2::text IS NULL OR hwid = $2) 
+         ORDER BY last_seen 
+         LIMIT 1
+       ) 
+       RETURNING hwid`,
+      [key, hwid || null]
+    );
+    if (removed.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(200).json({ success: false, message: 'Device not found', ...quota });
+    }
+
+    released = removed.rows[0].hwid;
+    remaining = quota.resets_remaining - 1;
+    // Hết lượt thì phải chờ lượt cũ nhất trong kỳ hết hạn, không chỉ chờ cooldown
+    const cooldownAfter = Date.now() + cooldownHours * 3600 * 1000;
+    nextResetAt = new Date(remaining > 0
+      ? cooldownAfter
+      : Math.max(cooldownAfter, (oldest || new Date()).getTime() + periodDays * 24 * 3600 * 1000));
+    await client.query(
+      `INSERT INTO hwid_resets (key, api, hwids, source, ip) VALUES ($1, $2, $3, 'self', $4)`,
+      [key, api, [released], ip]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await endClientSessions('key = $1 AND hwid = $2', [key, released]);
+  await recordKeyEvent(req, { key, api, hwid: released, success: true, reason: 'Self HWID reset' });
+  await notifyWebhooks(api, 'key.hwid_reset', { key, hwids: [released], reset_by: null, source: 'self' });
+
+  return res.status(200).json({ 
+    success: true, 
+    message: 'HWID reset successfully',
+    hwid: released,
+    resets_limit: resetLimit,
+    resets_remaining: remaining,
+    next_reset_at: nextResetAt
+  });
+}
+
+// limit từ body, kẹp trong [1, max] để LIMIT âm hoặc quá lớn không tới được Postgres
+function parsePageLimit(limit, defaultSize, maxSize) {
+  return Math.min(Math.max(parseInt(limit) || defaultSize, 1), maxSize);
+}
+
+async function handleGetKeyEvents(body, res, operator) {
+  const { api, key, hwid, ip, reason, success, from, to } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const permission = await checkAppPermission(operator, api);
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem lịch sử key của application này' });
+  }
+
+  if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+    return res.status(400).json({ success: false, message: 'Invalid date range' });
+  }
+
+  const limit = parsePageLimit(body.limit, DEFAULT_EVENTS_PAGE_SIZE, MAX_EVENTS_PAGE_SIZE);
+  const offset = Math.max(parseInt(body.offset) || 0, 0);
+
+  const conditions = ['api = $1'];
+  const params = [api];
+  const addFilter = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (permission.ownerScope) addFilter('key IN (SELECT key FROM keys WHERE api = $1 AND created_by = ?)', permission.ownerScope);
+  if (key) addFilter('key = ?', key);
+  if (hwid) addFilter('hwid = ?', hwid);
+  if (ip) addFilter('ip = ?', ip);
+  if (reason) addFilter('reason = ?', reason);
+  if (success !== undefined && success !== '') addFilter('success = ?', success === true || success === 'true');
+  if (from) addFilter('created_at >= ?', new Date(from));
+  if (to) addFilter('created_at <= ?', new Date(to));
+
+  const where = conditions.join(' AND ');
+  const countResult = await pool.query(`SELECT COUNT(*) as count FROM key_events WHERE ${where}`, params);
+  const result = await pool.query(
+    `SELECT * FROM key_events WHERE ${where} 
+     ORDER BY created_at DESC, id DESC 
+     LIMIT ${limit} OFFSET ${offset}`,
+    params
+  );
+
+  return res.status(200).json({ 
+    success: true, 
+    events: result.rows,
+    total: parseInt(countResult.rows[0].count),
+    limit,
+    offset
+  });
+}
+
+async function handleGetSigningKey(body, res, operator) {
+  const { api } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const permission = await checkAppPermission(operator, api);
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem khóa ký của application này' });
+  }
+
+  const appResult = await pool.query('SELECT * FROM applications WHERE api_key = $1 AND deleted_at IS NULL', [api]);
+  if (appResult.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  const app = await ensureSigningKey(appResult.rows[0]);
+  return res.status(200).json({ 
+    success: true, 
+    alg: 'Ed25519',
+    signing_public_key: app.signing_public_key,
+    signing_key_id: getSigningKeyId(app.signing_public_key),
+    rotated_at: app.signing_rotated_at
+  });
+}
+
+async function handleRotateSigningKey(body, res, operator) {
+  const { api } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền đổi khóa ký của application này' });
+  }
+
+  const previous = await pool.query('SELECT signing_public_key FROM applications WHERE api_key = $1', [api]);
+  const { publicKey, privateKey } = generateSigningKeyPair();
+  const result = await pool.query(
+    `UPDATE applications 
+     SET signing_private_key = $1, signing_public_key = $2, signing_rotated_at = NOW()
+     WHERE api_key = $3
+     RETURNING signing_rotated_at`,
+    [privateKey, publicKey, api]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  console.log('✅ Signing key rotated for:', api);
+  const previousKey = previous.rows[0].signing_public_key;
+  await recordAudit(operator, {
+    action: 'rotate_signing_key',
+    api,
+    before: { signing_key_id: previousKey ? getSigningKeyId(previousKey) : null },
+    after: { signing_key_id: getSigningKeyId(publicKey) }
+  });
+  return res.status(200).json({ 
+    success: true, 
+    message: 'Signing key rotated successfully',
+    alg: 'Ed25519',
+    signing_public_key: publicKey,
+    signing_key_id: getSigningKeyId(publicKey),
+    rotated_at: result.rows[0].signing_rotated_at
+  });
+}
+
+// ==================== TRASH ====================
+
+function getTrashPurgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + getTrashRetentionDays() * 24 * 3600 * 1000);
+}
+
+async function handleRestoreApp(body, res, operator) {
+  const { api } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const appResult = await pool.query('SELECT * FROM applications WHERE api_key = $1 AND deleted_at IS NOT NULL', [api]);
+  if (appResult.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'App not found in trash' });
+  }
+
+  const app = appResult.rows[0];
+  const isAdmin = await checkIfAdmin(operator);
+
+  if (!isAdmin && app.created_by !== operator.user_id) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền khôi phục application này' });
+  }
+
+  // App khôi phục được tính lại vào giới hạn số app như lúc tạo mới
+  if (!isAdmin && (await getUserAppCount(app.created_by)) >= MAX_APPS_FOR_SUPPORT) {
+    return res.status(200).json({ 
+      success: false, 
+      message: `Bạn đã đạt giới hạn ${MAX_APPS_FOR_SUPPORT} applications. Chỉ admin mới có thể tạo thêm.` 
+    });
+  }
+
+  await pool.query('UPDATE applications SET deleted_at = NULL, deleted_by = NULL WHERE api_key = $1', [api]);
+  await recordAudit(operator, {
+    action: 'restore_app',
+    api,
+    before: { name: app.name, deleted_at: app.deleted_at, deleted_by: app.deleted_by },
+    after: { deleted_at: null }
+  });
+  return res.status(200).json({ success: true, message: 'App restored successfully' });
+}
+
+async function handleRestoreKey(body, res, operator) {
+  const { api, key } = body;
+
+  if (!api || !key) {
+    return res.status(400).json({ success: false, message: 'API and Key are required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền khôi phục key của application này' });
+  }
+
+  const result = await pool.query(
+    `UPDATE keys k SET deleted_at = NULL, deleted_by = NULL 
+     FROM keys old 
+     WHERE old.id = k.id AND k.key = $1 AND k.api = $2 AND k.deleted_at IS NOT NULL 
+       AND ($3::text IS NULL OR k.created_by = $3) 
+     RETURNING k.*, old.deleted_at AS previous_deleted_at, old.deleted_by AS previous_deleted_by`,
+    [key, api, permission.ownerScope]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Key not found in trash' });
+  }
+
+  const restored = result.rows[0];
+  await recordAudit(operator, {
+    action: 'restore_key',
+    api,
+    key,
+    before: { deleted_at: restored.previous_deleted_at, deleted_by: restored.previous_deleted_by },
+    after: pickFields(restored, KEY_AUDIT_FIELDS)
+  });
+  return res.status(200).json({ success: true, message: 'Key restored successfully' });
+}
+
+// Không có api: danh sách app trong thùng rác (admin thấy tất cả, người khác chỉ app của mình).
+// Có api: thêm các key trong thùng rác của app đó
+async function handleListTrash(body, res, operator) {
+  const { api } = body;
+  const isAdmin = await checkIfAdmin(operator);
+
+  const apps = await pool.query(
+    `SELECT name, api_key, created_by, deleted_at, deleted_by, 
+            (SELECT COUNT(*) FROM keys k WHERE k.api = a.api_key AND k.deleted_at IS NULL) AS key_count 
+     FROM applications a 
+     WHERE deleted_at IS NOT NULL AND ($1::text IS NULL OR created_by = $1) 
+     ORDER BY deleted_at DESC`,
+    [isAdmin ? null : operator.user_id]
+  );
+
+  let keys = [];
+  if (api) {
+    const permission = await checkAppPermission(operator, api);
+    if (!permission.hasPermission) {
+      return res.status(403).json({ success: false, message: 'Bạn không có quyền xem keys của application này' });
+    }
+
+    const limit = parsePageLimit(body.limit, DEFAULT_KEYS_PAGE_SIZE, MAX_KEYS_PAGE_SIZE);
+    const keyResult = await pool.query(
+      `SELECT id, key, api, prefix, expiry_mode, banned, created_by, created_at, expires_at, deleted_at, deleted_by 
+       FROM keys 
+       WHERE api = $1 AND deleted_at IS NOT NULL AND ($2::text IS NULL OR created_by = $2) 
+       ORDER BY deleted_at DESC, id DESC 
+       LIMIT ${limit}`,
+      [api, permission.ownerScope]
+    );
+    keys = keyResult.rows;
+  }
+
+  const withPurgeDate = row => ({ ...row, purge_after: getTrashPurgeDate(row.deleted_at) });
+  return res.status(200).json({ 
+    success: true, 
+    retention_days: getTrashRetentionDays(),
+    applications: apps.rows.map(withPurgeDate),
+    keys: keys.map(withPurgeDate)
+  });
+}
+
+// ==================== APP USERS ====================
+
+// Lý do một key không đổi được vào tài khoản; null = đổi được
+function getRedeemError(k) {
+  if (k.banned) return 'Key banned';
+  if (k.paused_at) return 'Key paused';
+  if (k.expires_at && new Date() > new Date(k.expires_at)) return 'Key expired';
+  if (k.app_user_id || k.first_used) return 'Key already used';
+  return null;
+}
+
+// Key activation được cộng nối tiếp vào gói còn hạn xa nhất của user, nên upgrade sớm không mất ngày.
+// Key fixed giữ nguyên expires_at, key lifetime không có hạn
+async function redeemKeyForUser(client, key, app_user_id) {
+  const result = await client.query(
+    `UPDATE keys 
+     SET used = true,
+         first_used = NOW(),
+         app_user_id = $2,
+         redeemed_at = NOW(),
+         expires_at = CASE 
+           WHEN expiry_mode = 'activation' 
+           THEN GREATEST(NOW(), COALESCE((
+             SELECT MAX(s.expires_at) FROM keys s 
+             WHERE s.app_user_id = $2 AND s.deleted_at IS NULL AND NOT s.banned
+           ), NOW())) + make_interval(days => duration_days)
+           ELSE expires_at
+         END
+     WHERE key = $1
+     RETURNING *`,
+    [key, app_user_id]
+  );
+  return result.rows[0];
+}
+
+// Gói còn dùng được của user, gói còn hạn xa nhất (lifetime) đứng đầu
+async function getActiveSubscriptions(app_user_id) {
+  const result = await pool.query(
+    `SELECT k.key, k.expiry_mode, k.expires_at, k.redeemed_at, 
+            t.name AS tier_name, t.level AS tier_level, t.features AS tier_features 
+     FROM keys k 
+     LEFT JOIN tiers t ON t.id = k.tier_id 
+     WHERE k.app_user_id = $1 AND k.deleted_at IS NULL AND NOT k.banned AND k.paused_at IS NULL 
+       AND (k.expires_at IS NULL OR k.expires_at > NOW()) 
+     ORDER BY COALESCE(k.expires_at, 'infinity'::timestamp) DESC`,
+    [app_user_id]
+  );
+  return result.rows;
+}
+
+// Chung cho register / user_login / upgrade: lockout + rate limit theo IP, tra app và chặn chung.
+// Trả null nếu đã gửi response lỗi
+async function prepareAppUserRequest(body, req, res) {
+  const { api, hwid, version } = body;
+  const ip = getClientIp(req);
+  const lockSubject = `app_user:${api}:${ip}`;
+
+  const locked = await checkLockout(lockSubject);
+  if (locked) {
+    sendRateLimited(res, locked, 'Too many invalid attempts, try again later');
+    return null;
+  }
+
+  const appResult = await pool.query('SELECT * FROM applications WHERE api_key = $1 AND deleted_at IS NULL', [api]);
+  const app = appResult.rows[0];
+
+  const limited = await checkRateLimit(lockSubject, (app && app.rate_limit_per_ip) || DEFAULT_VALIDATE_LIMIT_PER_IP);
+  if (limited) {
+    sendRateLimited(res, limited);
+    return null;
+  }
+
+  if (!app) {
+    res.status(200).json({ success: false, message: 'Invalid API' });
+    return null;
+  }
+
+  const blocked = await checkClientAccess(app, { hwid, ip, version });
+  if (blocked) {
+    res.status(200).json({ success: false, message: blocked.message, ...blocked.extra });
+    return null;
+  }
+
+  return { app, ip, lockSubject };
+}
+
+async function findAppUser(api, username) {
+  const result = await pool.query(
+    'SELECT * FROM app_users WHERE api = $1 AND LOWER(username) = LOWER($2)',
+    [api, username]
+  );
+  return result.rows[0] || null;
+}
+
+async function handleRegister(body, req, res) {
+  const { api, key, username, password, hwid, system_info } = body;
+
+  if (!api || !key || !username || !password || !hwid) {
+    return res.status(400).json({ success: false, message: 'API, Key, username, password and HWID are required' });
+  }
+
+  if (typeof username !== 'string' || !APP_USERNAME_PATTERN.test(username)) {
+    return res.status(400).json({ success: false, message: 'Username must be 3-32 characters of letters, digits, _ . -' });
+  }
+
+  if (String(password).length < MIN_APP_USER_PASSWORD_LENGTH) {
+    return res.status(400).json({ success: false, message: `Password must be at least ${MIN_APP_USER_PASSWORD_LENGTH} characters` });
+  }
+
+  const context = await prepareAppUserRequest(body, req, res);
+  if (!context) return;
+  const { app, ip, lockSubject } = context;
+
+  const password_hash = await hashPassword(String(password));
+
+  const client = await pool.connect();
+  let user;
+  let k;
+  try {
+    await client.query('BEGIN');
+
+    // Khóa dòng key để một key không bị đổi vào hai tài khoản cùng lúc
+    const keyResult = await client.query(
+      'SELECT * FROM keys WHERE key = $1 AND api = $2 AND deleted_at IS NULL FOR UPDATE',
+      [key, api]
+    );
+    if (keyResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      await recordFailedAttempt(lockSubject, app.lockout_threshold || DEFAULT_LOCKOUT_THRESHOLD);
+      return res.status(200).json({ success: false, message: 'Invalid key' });
+    }
+
+    const redeemError = getRedeemError(keyResult.rows[0]);
+    if (redeemError) {
+      await client.query('ROLLBACK');
+      return res.status(200).json({ success: false, message: redeemError });
+    }
+
+    // App tắt khóa HWID thì không bind máy cho tài khoản
+    const inserted = await client.query(
+      `INSERT INTO app_users (api, username, password_hash, hwid, system_info, last_ip) 
+       VALUES ($1, $2, $3, $4, $5, $6) 
+       ON CONFLICT (api, LOWER(username)) DO NOTHING 
+       RETURNING *`,
+      [api, username, password_hash, app.hwid_lock ? hwid : null, system_info || null, ip]
+    );
+    if (inserted.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(200).json({ success: false, message: 'Username already taken' });
+    }
+
+    user = inserted.rows[0];
+    k = await redeemKeyForUser(client, key, user.id);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log('✅ App user registered:', username, 'on', api);
+  await notifyWebhooks(api, 'key.activated', { key, hwid, username, first_used: k.first_used, expires_at: k.expires_at });
+
+  return res.status(200).json({ 
+    success: true, 
+    message: 'User registered',
+    username: user.username,
+    expires_at: k.expires_at
+  });
+}
+
+async function handleUserLogin(body, req, res) {
+  const { api, username, password, hwid, system_info, nonce } = body;
+
+  if (!api || !username || !password || !hwid) {
+    return res.status(400).json({ success: false, message: 'API, username, password and HWID are required' });
+  }
+
+  if (nonce !== undefined && (typeof nonce !== 'string' || nonce.length > 128)) {
+    return res.status(400).json({ success: false, message: 'Nonce must be a string of at most 128 characters' });
+  }
+
+  const context = await prepareAppUserRequest(body, req, res);
+  if (!context) return;
+  const { ip, lockSubject } = context;
+  const app = await ensureSigningKey(context.app);
+
+  // Ký giống validate_key để loader dùng chung một cách kiểm tra
+  const reply = (success, message, extra = {}) => res.status(200).json({
+    success,
+    message,
+    ...extra,
+    signed: signPayload(app, {
+      success,
+      message,
+      ...extra,
+      username,
+      hwid,
+      nonce: nonce || null,
+      timestamp: Date.now()
+    })
+  });
+
+  const user = await findAppUser(api, username);
+  if (!user || !(await verifyPassword(String(password), user.password_hash))) {
+    await recordFailedAttempt(lockSubject, app.lockout_threshold || DEFAULT_LOCKOUT_THRESHOLD);
+    return reply(false, 'Invalid username or password');
+  }
+
+  if (user.banned) {
+    return reply(false, 'User banned');
+  }
+
+  if (app.hwid_lock && user.hwid && user.hwid !== hwid) {
+    return reply(false, 'HWID mismatch');
+  }
+
+  const subscriptions = await getActiveSubscriptions(user.id);
+  if (subscriptions.length === 0) {
+    return reply(false, 'No active subscription');
+  }
+
+  // Tài khoản chưa có HWID (tạo khi app tắt khóa, hoặc vừa được reset) bind vào máy đăng nhập đầu tiên
+  await pool.query(
+    `UPDATE app_users 
+     SET last_login = NOW(), last_ip = $2, system_info = COALESCE($4, system_info),
+         hwid = CASE WHEN $3::text IS NOT NULL AND hwid IS NULL THEN $3::text ELSE hwid END 
+     WHERE id = $1`,
+    [user.id, ip, app.hwid_lock ? hwid : null, system_info || null]
+  );
+
+  // Gói cao nhất quyết định tier / features; expires_at là hạn xa nhất trong các gói
+  const tierOf = sub => (sub.tier_name ? { name: sub.tier_name, level: sub.tier_level, features: sub.tier_features } : null);
+  const best = subscriptions.reduce((top, sub) => ((sub.tier_level ?? -1) > (top.tier_level ?? -1) ? sub : top));
+  const opened = await openClientSession(app, { key: best.key, app_user_id: user.id, hwid, ip });
+  if (opened.error) {
+    return reply(false, opened.error, opened.extra);
+  }
+
+  const expiresAt = subscriptions[0].expires_at;
+  return reply(true, 'Logged in', {
+    ...getKeyEntitlements(best, tierOf(best)),
+    ...opened.session,
+    expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+    subscriptions: subscriptions.map(sub => ({
+      key: sub.key,
+      tier: sub.tier_name || null,
+      expiry_mode: sub.expiry_mode,
+      expires_at: sub.expires_at ? new Date(sub.expires_at).toISOString() : null
+    }))
+  });
+}
+
+async function handleUpgrade(body, req, res) {
+  const { api, key, username, password } = body;
+
+  if (!api || !key || !username || !password) {
+    return res.status(400).json({ success: false, message: 'API, Key, username and password are required' });
+  }
+
+  const context = await prepareAppUserRequest(body, req, res);
+  if (!context) return;
+  const { app, lockSubject } = context;
+
+  const user = await findAppUser(api, username);
+  if (!user || !(await verifyPassword(String(password), user.password_hash))) {
+    await recordFailedAttempt(lockSubject, app.lockout_threshold || DEFAULT_LOCKOUT_THRESHOLD);
+    return res.status(200).json({ success: false, message: 'Invalid username or password' });
+  }
+
+  if (user.banned) {
+    return res.status(200).json({ success: false, message: 'User banned' });
+  }
+
+  const client = await pool.connect();
+  let k;
+  try {
+    await client.query('BEGIN');
+
+    const keyResult = await client.query(
+      'SELECT * FROM keys WHERE key = $1 AND api = $2 AND deleted_at IS NULL FOR UPDATE',
+      [key, api]
+    );
+    if (keyResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      await recordFailedAttempt(lockSubject, app.lockout_threshold || DEFAULT_LOCKOUT_THRESHOLD);
+      return res.status(200).json({ success: false, message: 'Invalid key' });
+    }
+
+    const redeemError = getRedeemError(keyResult.rows[0]);
+    if (redeemError) {
+      await client.query('ROLLBACK');
+      return res.status(200).json({ success: false, message: redeemError });
+    }
+
+    k = await redeemKeyForUser(client, key, user.id);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log('✅ App user upgraded:', user.username, 'on', api, 'with', key);
+  await notifyWebhooks(api, 'key.activated', { key, username: user.username, first_used: k.first_used, expires_at: k.expires_at });
+
+  const subscriptions = await getActiveSubscriptions(user.id);
+  return res.status(200).json({ 
+    success: true, 
+    message: 'Subscription extended',
+    key_expires_at: k.expires_at,
+    expires_at: subscriptions.length > 0 ? subscriptions[0].expires_at : null
+  });
+}
+
+// Reseller chỉ thấy / quản lý user đã đổi ít nhất một key do chính mình tạo
+const APP_USER_SCOPE_SQL = `($2::text IS NULL OR EXISTS (
+  SELECT 1 FROM keys sk WHERE sk.app_user_id = u.id AND sk.created_by = $2
+))`;
+
+async function handleListUsers(body, res, operator) {
+  const { api, q } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const permission = await checkAppPermission(operator, api);
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem user của application này' });
+  }
+
+  const limit = parsePageLimit(body.limit, DEFAULT_KEYS_PAGE_SIZE, MAX_KEYS_PAGE_SIZE);
+  const offset = Math.max(parseInt(body.offset) || 0, 0);
+
+  const params = [api, permission.ownerScope];
+  let where = `u.api = $1 AND ${APP_USER_SCOPE_SQL}`;
+  if (q) {
+    params.push(`%${escapeLike(q)}%`);
+    where += ` AND (u.username ILIKE $3 OR u.hwid ILIKE $3)`;
+  }
+
+  const countResult = await pool.query(`SELECT COUNT(*) AS count FROM app_users u WHERE ${where}`, params);
+  // expires_at NULL mà lifetime = true là gói vĩnh viễn; cả hai NULL là không còn gói nào dùng được
+  const result = await pool.query(
+    `SELECT u.id, u.username, u.hwid, u.system_info, u.banned, u.ban_reason, u.banned_at, 
+            u.last_login, u.last_ip, u.created_at,
+            COUNT(k.id) AS key_count,
+            COUNT(k.id) FILTER (WHERE k.active) AS active_subscriptions,
+            MAX(k.expires_at) FILTER (WHERE k.active) AS expires_at,
+            COALESCE(BOOL_OR(k.active AND k.expires_at IS NULL), false) AS lifetime
+     FROM app_users u
+     LEFT JOIN (
+       SELECT id, app_user_id, expires_at, 
+              (NOT banned AND paused_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())) AS active
+       FROM keys WHERE deleted_at IS NULL
+     ) k ON k.app_user_id = u.id
+     WHERE ${where}
+     GROUP BY u.id
+     ORDER BY u.created_at DESC, u.id DESC
+     LIMIT ${limit} OFFSET ${offset}`,
+    params
+  );
+
+  return res.status(200).json({ 
+    success: true, 
+    users: result.rows,
+    total: parseInt(countResult.rows[0].count),
+    limit,
+    offset
+  });
+}
+
+async function handleBanUser(body, res, operator) {
+  const { api, username, reason } = body;
+
+  if (!api || !username) {
+    return res.status(400).json({ success: false, message: 'API and username are required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'ban');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền ban user của application này' });
+  }
+
+  const result = await pool.query(
+    `UPDATE app_users u SET banned = true, ban_reason = $3, banned_at = NOW(), banned_by = $4 
+     WHERE u.api = $1 AND LOWER(u.username) = LOWER($5) AND ${APP_USER_SCOPE_SQL} 
+     RETURNING u.id, u.username`,
+    [api, permission.ownerScope, reason || null, operator.user_id, username]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'User not found' });
+  }
+
+  await endClientSessions('app_user_id = $1', [result.rows[0].id]);
+
+  await recordAudit(operator, { action: 'ban_user', api, user: result.rows[0].username, after: { banned: true, ban_reason: reason || null } });
+  return res.status(200).json({ success: true, message: 'User banned successfully' });
+}
+
+async function handleUnbanUser(body, res, operator) {
+  const { api, username } = body;
+
+  if (!api || !username) {
+    return res.status(400).json({ success: false, message: 'API and username are required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'ban');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền unban user của application này' });
+  }
+
+  const result = await pool.query(
+    `UPDATE app_users u SET banned = false, ban_reason = NULL, banned_at = NULL, banned_by = NULL 
+     FROM app_users old 
+     WHERE old.id = u.id AND u.api = $1 AND LOWER(u.username) = LOWER($3) AND ${APP_USER_SCOPE_SQL} 
+     RETURNING u.username, old.banned AS previous_banned, old.ban_reason AS previous_ban_reason`,
+    [api, permission.ownerScope, username]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'User not found' });
+  }
+
+  const unbanned = result.rows[0];
+  await recordAudit(operator, {
+    action: 'unban_user',
+    api,
+    user: unbanned.username,
+    before: { banned: unbanned.previous_banned, ban_reason: unbanned.previous_ban_reason },
+    after: { banned: false }
+  });
+  return res.status(200).json({ success: true, message: 'User unbanned successfully' });
+}
+
+async function handleResetUserHWID(body, res, operator) {
+  const { api, username } = body;
+
+  if (!api || !username) {
+    return res.status(400).json({ success: false, message: 'API and username are required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'reset_hwid');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền reset HWID user của application này' });
+  }
+
+  // Lần user_login kế tiếp sẽ bind máy mới
+  const result = await pool.query(
+    `UPDATE app_users u SET hwid = NULL, system_info = NULL 
+     FROM app_users old 
+     WHERE old.id = u.id AND u.api = $1 AND LOWER(u.username) = LOWER($3) AND ${APP_USER_SCOPE_SQL} 
+     RETURNING u.id, u.username, old.hwid AS previous_hwid`,
+    [api, permission.ownerScope, username]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'User not found' });
+  }
+
+  const reset = result.rows[0];
+  await endClientSessions('app_user_id = $1', [reset.id]);
+  await recordAudit(operator, { action: 'reset_user_hwid', api, user: reset.username, before: { hwid: reset.previous_hwid }, after: { hwid: null } });
+  return res.status(200).json({ success: true, message: 'User HWID reset successfully' });
+}
+
+// ==================== TIERS ====================
+
+// features: mảng hoặc chuỗi cách nhau bởi dấu phẩy; trả null nếu không hợp lệ
+function parseTierFeatures(features) {
+  if (features === undefined || features === null || features === '') return [];
+  const list = Array.isArray(features) ? features : String(features).split(',').map(f => f.trim()).filter(Boolean);
+  if (list.length > MAX_TIER_FEATURES || !list.every(f => typeof f === 'string' && TIER_FEATURE_PATTERN.test(f))) return null;
+  return [...new Set(list)];
+}
+
+// Lỗi validate field của tier (dùng chung cho create / update), null nếu hợp lệ
+function validateTierFields({ name, level, features }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 64)) {
+    return 'Tier name must be 1-64 characters';
+  }
+  if (level !== undefined && (!Number.isInteger(Number(level)) || Number(level) < 0 || Number(level) > MAX_TIER_LEVEL)) {
+    return `Level must be an integer between 0 and ${MAX_TIER_LEVEL}`;
+  }
+  if (features !== undefined && parseTierFeatures(features) === null) {
+    return `Features must be at most ${MAX_TIER_FEATURES} flags of letters, digits, _ . : -`;
+  }
+  return null;
+}
+
+// tier_id khi tạo key hoặc giới hạn biến / file: không truyền = không có gói; tier phải thuộc đúng app
+async function resolveTier(api, tier_id) {
+  if (tier_id === undefined || tier_id === null || tier_id === '') return { tier: null };
+
+  const tierId = Number(tier_id);
+  if (!Number.isInteger(tierId) || tierId < 1 || tierId > MAX_SERIAL_ID) return { error: 'Tier not found' };
+
+  const result = await pool.query('SELECT * FROM tiers WHERE id = $1 AND api = $2', [tierId, api]);
+  if (result.rows.length === 0) return { error: 'Tier not found' };
+  return { tier: result.rows[0] };
+}
+
+// Thông tin gói trả cho client để tự bật / tắt tính năng; remaining_seconds null = không giới hạn thời gian
+function getKeyEntitlements(k, tier) {
+  return {
+    tier: tier ? tier.name : null,
+    level: tier ? tier.level : 0,
+    features: tier ? tier.features : [],
+    remaining_seconds: k.expires_at ? Math.max(Math.floor((new Date(k.expires_at) - Date.now()) / 1000), 0) : null
+  };
+}
+
+async function handleListTiers(body, res, operator) {
+  const { api } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const permission = await checkAppPermission(operator, api);
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem tier của application này' });
+  }
+
+  const result = await pool.query(
+    `SELECT t.*, (SELECT COUNT(*) FROM keys k WHERE k.tier_id = t.id AND k.deleted_at IS NULL) AS key_count 
+     FROM tiers t WHERE t.api = $1 
+     ORDER BY t.level, t.name`,
+    [api]
+  );
+  return res.status(200).json({ success: true, tiers: result.rows });
+}
+
+async function handleCreateTier(body, res, operator) {
+  const { api, name } = body;
+
+  if (!api || !name) {
+    return res.status(400).json({ success: false, message: 'API and tier name are required' });
+  }
+
+  const invalid = validateTierFields(body);
+  if (invalid) {
+    return res.status(400).json({ success: false, message: invalid });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền cấu hình tier của application này' });
+  }
+
+  const appResult = await pool.query('SELECT 1 FROM applications WHERE api_key = $1 AND deleted_at IS NULL', [api]);
+  if (appResult.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  const result = await pool.query(
+    `INSERT INTO tiers (api, name, level, features, created_by) 
+     VALUES ($1, $2, $3, $4, $5) 
+     ON CONFLICT (api, name) DO NOTHING 
+     RETURNING *`,
+    [api, name.trim(), parseInt(body.level) || 0, parseTierFeatures(body.features), operator.user_id]
+  );
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Tier already exists' });
+  }
+
+  const tier = result.rows[0];
+  await recordAudit(operator, { action: 'create_tier', api, after: pickFields(tier, TIER_AUDIT_FIELDS) });
+  return res.status(200).json({ success: true, message: 'Tier created', tier });
+}
+
+async function handleUpdateTier(body, res, operator) {
+  const { api, id, name, level, features } = body;
+
+  if (!api || !id) {
+    return res.status(400).json({ success: false, message: 'API and tier ID are required' });
+  }
+
+  const tierId = Number(id);
+  if (!Number.isInteger(tierId) || tierId < 1 || tierId > MAX_SERIAL_ID) {
+    return res.status(400).json({ success: false, message: 'Tier ID must be a positive integer' });
+  }
+
+  const invalid = validateTierFields(body);
+  if (invalid) {
+    return res.status(400).json({ success: false, message: invalid });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền cấu hình tier của application này' });
+  }
+
+  const previous = await pool.query('SELECT * FROM tiers WHERE id = $1 AND api = $2', [tierId, api]);
+  if (previous.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Tier not found' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE tiers SET 
+         name = COALESCE($3, name),
+         level = COALESCE($4, level),
+         features = COALESCE($5, features)
+       WHERE id = $1 AND api = $2 RETURNING *`,
+      [
+        previous.rows[0].id,
+        api,
+        name === undefined ? null : name.trim(),
+        level === undefined ? null : parseInt(level),
+        features === undefined ? null : parseTierFeatures(features)
+      ]
+    );
+
+    const tier = result.rows[0];
+    await recordAudit(operator, {
+      action: 'update_tier',
+      api,
+      before: pickFields(previous.rows[0], TIER_AUDIT_FIELDS),
+      after: pickFields(tier, TIER_AUDIT_FIELDS)
+    });
+    return res.status(200).json({ success: true, message: 'Tier updated', tier });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(200).json({ success: false, message: 'Tier already exists' });
+    }
+    throw error;
+  }
+}
+
+async function handleDeleteTier(body, res, operator) {
+  const { api, id } = body;
+
+  if (!api || !id) {
+    return res.status(400).json({ success: false, message: 'API and tier ID are required' });
+  }
+
+  const tierId = Number(id);
+  if (!Number.isInteger(tierId) || tierId < 1 || tierId > MAX_SERIAL_ID) {
+    return res.status(400).json({ success: false, message: 'Tier ID must be a positive integer' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền cấu hình tier của application này' });
+  }
+
+  // Key / biến / file đang dùng tier thì không cho xóa, tránh key Premium âm thầm thành key không có gói
+  // và dữ liệu bị giới hạn thành công khai
+  const inUse = await pool.query(
+    `SELECT
+       (SELECT COUNT(*) FROM keys WHERE tier_id = $1 AND api = $2 AND deleted_at IS NULL) AS key_count,
+       (SELECT COUNT(*) FROM app_variables WHERE tier_id = $1) AS variable_count,
+       (SELECT COUNT(*) FROM app_files WHERE tier_id = $1) AS file_count`,
+    [tierId, api]
+  );
+  const usage = Object.fromEntries(Object.entries(inUse.rows[0]).map(([field, count]) => [field, parseInt(count)]));
+  if (Object.values(usage).some(count => count > 0)) {
+    return res.status(200).json({ success: false, message: 'Tier is in use', ...usage });
+  }
+
+  const result = await pool.query('DELETE FROM tiers WHERE id = $1 AND api = $2 RETURNING *', [tierId, api]);
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Tier not found' });
+  }
+
+  await recordAudit(operator, { action: 'delete_tier', api, before: pickFields(result.rows[0], TIER_AUDIT_FIELDS) });
+  return res.status(200).json({ success: true, message: 'Tier deleted' });
+}
+
+// ==================== CLIENT SESSIONS ====================
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Mở session sau validate_key / user_login thành công. Token và khóa mã hóa chỉ trả về một lần.
+// Mở lại trên cùng HWID thì thay session cũ của máy đó; vượt max_sessions_per_key thì từ chối.
+// Trả về { session } hoặc { error, extra }
+async function openClientSession(app, { key, app_user_id = null, hwid, ip }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const encKey = crypto.randomBytes(32).toString('base64');
+  const ttlMinutes = app.session_ttl_minutes || DEFAULT_SESSION_TTL_MINUTES;
+
+  const client = await pool.connect();
+  let expiresAt;
+  try {
+    await client.query('BEGIN');
+
+    // Khóa dòng key để hai client mở session cùng lúc không cùng lọt qua giới hạn
+    await client.query('SELECT 1 FROM keys WHERE key = $1 FOR UPDATE', [key]);
+    await client.query(
+      'DELETE FROM client_sessions WHERE key = $1 AND (expires_at <= NOW() OR hwid = $2)',
+      [key, hwid || null]
+    );
+
+    if (app.max_sessions_per_key) {
+      const active = await client.query('SELECT COUNT(*) AS count FROM client_sessions WHERE key = $1', [key]);
+      const activeSessions = parseInt(active.rows[0].count);
+      if (activeSessions >= app.max_sessions_per_key) {
+        await client.query('ROLLBACK');
+        if (await isFirstInAlertWindow(`session_limit:${key}:${hwid || ip}`)) {
+          await notifyWebhooks(app.api_key, 'key.session_limit_reached', {
+            key, hwid, ip, active_sessions: activeSessions, max_sessions: app.max_sessions_per_key
+          });
+        }
+        return { error: 'Session limit reached', extra: { active_sessions: activeSessions, max_sessions: app.max_sessions_per_key } };
+      }
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO client_sessions (id, api, key, app_user_id, hwid, ip, enc_key, expires_at) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(mins => $8)) 
+       RETURNING expires_at`,
+      [hashSessionToken(token), app.api_key, key, app_user_id, hwid || null, ip, encKey, ttlMinutes]
+    );
+    expiresAt = inserted.rows[0].expires_at;
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return {
+    session: {
+      session_token: token,
+      session_key: encKey,
+      session_ttl_minutes: ttlMinutes,
+      session_expires_at: new Date(expiresAt).toISOString()
+    }
+  };
+}
+
+// Ban / reset HWID kết thúc session đang chạy; heartbeat kế tiếp của client sẽ thất bại
+async function endClientSessions(where, params) {
+  const result = await pool.query(`DELETE FROM client_sessions WHERE ${where}`, params);
+  return result.rowCount;
+}
+
+// Session của key chỉ còn dùng được khi key vẫn hợp lệ; session của user_login gắn với tài khoản nên
+// còn dùng được khi user còn bất kỳ gói nào (active_key là gói tier cao nhất, quyết định tier_level)
+async function resolveClientSession(api, token) {
+  const result = await pool.query(
+    `SELECT s.*, k.key AS active_key, k.expires_at AS key_expires_at, COALESCE(k.tier_level, 0) AS tier_level 
+     FROM client_sessions s 
+     LEFT JOIN app_users u ON u.id = s.app_user_id 
+     JOIN LATERAL (
+       SELECT k.key, k.expires_at, t.level AS tier_level 
+       FROM keys k 
+       LEFT JOIN tiers t ON t.id = k.tier_id 
+       WHERE (CASE WHEN s.app_user_id IS NULL THEN k.key = s.key ELSE k.app_user_id = s.app_user_id END) 
+         AND k.deleted_at IS NULL AND NOT k.banned AND k.paused_at IS NULL 
+         AND (k.expires_at IS NULL OR k.expires_at > NOW()) 
+       ORDER BY t.level DESC NULLS LAST, COALESCE(k.expires_at, 'infinity'::timestamp) DESC 
+       LIMIT 1
+     ) k ON true 
+     WHERE s.id = $1 AND s.api = $2 AND s.expires_at > NOW() 
+       AND (s.app_user_id IS NULL OR NOT u.banned)`,
+    [hashSessionToken(token), api]
+  );
+  return result.rows[0] || null;
+}
+
+// AES-256-GCM bằng khóa của session; client giải mã bằng session_key nhận được lúc validate
+function encryptForSession(session, data) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(session.enc_key, 'base64'), iv);
+  const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+  return {
+    alg: 'AES-256-GCM',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: encrypted.toString('base64')
+  };
+}
+
+// Chung cho heartbeat / get_variable / get_file: rate limit theo IP, tra app, chặn chung và kiểm tra session.
+// Trả null nếu đã gửi response lỗi
+async function prepareClientDataRequest(body, req, res) {
+  const { api, session_token, version } = body;
+  const ip = getClientIp(req);
+
+  const appResult = await pool.query('SELECT * FROM applications WHERE api_key = $1 AND deleted_at IS NULL', [api]);
+  const app = appResult.rows[0];
+
+  const limited = await checkRateLimit(`client_data:${api}:${ip}`, (app && app.rate_limit_per_ip) || DEFAULT_VALIDATE_LIMIT_PER_IP);
+  if (limited) {
+    sendRateLimited(res, limited);
+    return null;
+  }
+
+  if (!app) {
+    res.status(200).json({ success: false, message: 'Invalid API' });
+    return null;
+  }
+
+  const session = await resolveClientSession(api, session_token);
+  if (!session) {
+    res.status(200).json({ success: false, message: 'Invalid or expired session' });
+    return null;
+  }
+
+  const blocked = await checkClientAccess(app, { hwid: session.hwid, ip, version });
+  if (blocked) {
+    res.status(200).json({ success: false, message: blocked.message, ...blocked.extra });
+    return null;
+  }
+
+  return { app, session, ip };
+}
+
+// Client gọi định kỳ (trước session_expires_at) để giữ session; không heartbeat trong TTL thì session hết hạn.
+// Chỉ phản hồi thành công được ký, loader coi mọi phản hồi không có chữ ký hợp lệ là session đã kết thúc
+async function handleHeartbeat(body, req, res) {
+  const { api, session_token, nonce } = body;
+
+  if (!api || !session_token) {
+    return res.status(400).json({ success: false, message: 'API and session token are required' });
+  }
+
+  if (nonce !== undefined && (typeof nonce !== 'string' || nonce.length > 128)) {
+    return res.status(400).json({ success: false, message: 'Nonce must be a string of at most 128 characters' });
+  }
+
+  const context = await prepareClientDataRequest(body, req, res);
+  if (!context) return;
+  const { session, ip } = context;
+
+  // Gói cũ của user hết hạn thì session chuyển sang gói đang dùng, để ban / reset key đó vẫn kết thúc được session
+  const updated = await pool.query(
+    `UPDATE client_sessions 
+     SET last_seen = NOW(), ip = $2, expires_at = NOW() + make_interval(mins => $3), key = $4 
+     WHERE id = $1 
+     RETURNING expires_at`,
+    [session.id, ip, context.app.session_ttl_minutes || DEFAULT_SESSION_TTL_MINUTES, session.active_key]
+  );
+  // Session có thể vừa bị kill giữa lúc kiểm tra và cập nhật
+  if (updated.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Invalid or expired session' });
+  }
+
+  const app = await ensureSigningKey(context.app);
+  const data = {
+    success: true,
+    message: 'Session active',
+    session_expires_at: new Date(updated.rows[0].expires_at).toISOString(),
+    expires_at: session.key_expires_at ? new Date(session.key_expires_at).toISOString() : null
+  };
+  return res.status(200).json({
+    ...data,
+    signed: signPayload(app, {
+      ...data,
+      key: session.active_key,
+      hwid: session.hwid,
+      nonce: nonce || null,
+      timestamp: Date.now()
+    })
+  });
+}
+
+async function handleListSessions(body, res, operator) {
+  const { api, key } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem session của application này' });
+  }
+
+  const result = await pool.query(
+    `SELECT s.id, s.key, u.username, s.hwid, s.ip, s.created_at, s.last_seen, s.expires_at 
+     FROM client_sessions s LEFT JOIN app_users u ON u.id = s.app_user_id 
+     WHERE s.api = $1 AND s.expires_at > NOW() AND ($2::text IS NULL OR s.key = $2) 
+     ORDER BY s.last_seen DESC 
+     LIMIT ${MAX_LISTED_SESSIONS}`,
+    [api, key || null]
+  );
+  return res.status(200).json({ success: true, sessions: result.rows });
+}
+
+// Kill một session theo id, hoặc mọi session của một key
+async function handleKillSession(body, res, operator) {
+  const { api, id, key } = body;
+
+  if (!api || (!id && !key)) {
+    return res.status(400).json({ success: false, message: 'API and session ID or key are required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền kill session của application này' });
+  }
+
+  const result = await pool.query(
+    `DELETE FROM client_sessions 
+     WHERE api = $1 AND expires_at > NOW() AND ($2::text IS NULL OR id = $2) AND ($3::text IS NULL OR key = $3) 
+     RETURNING key, hwid, ip`,
+    [api, id || null, key || null]
+  );
+  if (result.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Session not found' });
+  }
+
+  await recordAudit(operator, {
+    action: 'kill_session',
+    api,
+    key: key || result.rows[0].key,
+    before: { sessions: result.rows.map(row => ({ hwid: row.hwid, ip: row.ip })) }
+  });
+  return res.status(200).json({ success: true, message: 'Session killed', killed: result.rowCount });
+}
+
+// ==================== VARIABLES / FILES ====================
+
+async function handleGetVariable(body, req, res) {
+  const { api, session_token, name } = body;
+
+  if (!api || !session_token || !name) {
+    return res.status(400).json({ success: false, message: 'API, session token and name are required' });
   }
 
-  const keyString = `${prefix}-${generateKey()}`;
-  const expires_at = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
-  const deviceLimit = parseInt(device_limit) || 1;
+  const context = await prepareClientDataRequest(body, req, res);
+  if (!context) return;
 
-  const appResult = await pool.query('SELECT * FROM applications WHERE api_key = $1', [api]);
-  if (appResult.rows.length === 0) {
-    return res.status(200).json({ success: false, message: 'Invalid API' });
+  const result = await pool.query(
+    `SELECT v.*, t.level AS required_level 
+     FROM app_variables v LEFT JOIN tiers t ON t.id = v.tier_id 
+     WHERE v.api = $1 AND v.name = $2`,
+    [api, name]
+  );
+  const variable = result.rows[0];
+  if (!variable) {
+    return res.status(200).json({ success: false, message: 'Variable not found' });
   }
 
-  await pool.query(
-    `INSERT INTO keys (key, api, prefix, expires_at, device_limit) 
-     VALUES ($1, $2, $3, $4, $5)`,
-    [keyString, api, prefix, expires_at, deviceLimit]
-  );
+  if (variable.required_level !== null && context.session.tier_level < variable.required_level) {
+    return res.status(200).json({ success: false, message: 'Tier does not include this resource' });
+  }
 
-  console.log('✅ Key created:', keyString);
   return res.status(200).json({ 
     success: true, 
-    message: 'Key created successfully',
-    key: keyString 
+    name: variable.name,
+    encrypted: encryptForSession(context.session, Buffer.from(variable.value, 'utf8'))
   });
 }
 
-async function handleGetApps(body, res) {
-  const { user_id } = body;
-  const isAdmin = await checkIfAdmin(user_id);
-  const supportCheck = await pool.query('SELECT * FROM supports WHERE user_id = $1', [user_id]);
-  const isSupport = supportCheck.rows.length > 0;
+async function handleGetFile(body, req, res) {
+  const { api, session_token, name } = body;
 
-  let query = `
-    SELECT 
-      a.*,
-      COALESCE(COUNT(k.id), 0) as key_count
-    FROM applications a
-    LEFT JOIN keys k ON a.api_key = k.api
-    GROUP BY a.id
-    ORDER BY a.created_at DESC
-  `;
+  if (!api || !session_token || !name) {
+    return res.status(400).json({ success: false, message: 'API, session token and name are required' });
+  }
 
-  let params = [];
-  if (!isAdmin && !isSupport) {
-    query = `
-      SELECT 
-        a.*,
-        COALESCE(COUNT(k.id), 0) as key_count
-      FROM applications a
-      LEFT JOIN keys k ON a.api_key = k.api
-      WHERE a.created_by = $1
-      GROUP BY a.id
-      ORDER BY a.created_at DESC
-    `;
-    params = [user_id];
+  const context = await prepareClientDataRequest(body, req, res);
+  if (!context) return;
+
+  const result = await pool.query(
+    `SELECT f.*, t.level AS required_level 
+     FROM app_files f LEFT JOIN tiers t ON t.id = f.tier_id 
+     WHERE f.api = $1 AND f.name = $2`,
+    [api, name]
+  );
+  const file = result.rows[0];
+  if (!file) {
+    return res.status(200).json({ success: false, message: 'File not found' });
   }
 
-  const result = await pool.query(query, params);
-  
+  if (file.required_level !== null && context.session.tier_level < file.required_level) {
+    return res.status(200).json({ success: false, message: 'Tier does not include this resource' });
+  }
+
+  // sha256 là của nội dung gốc, để client kiểm tra sau khi giải mã
   return res.status(200).json({ 
     success: true, 
-    applications: result.rows,
-    is_admin: isAdmin
+    name: file.name,
+    size: file.size,
+    sha256: file.sha256,
+    encrypted: encryptForSession(context.session, file.content)
   });
 }
 
-async function handleGetMyApps(body, res) {
-  const { user_id } = body;
-  
-  if (!user_id) {
-    return res.status(400).json({ success: false, message: 'User ID is required' });
+async function handleListVariables(body, res, operator) {
+  const { api } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem biến của application này' });
   }
 
   const result = await pool.query(
-    'SELECT * FROM applications WHERE created_by = $1 ORDER BY created_at DESC',
-    [user_id]
+    `SELECT v.id, v.name, v.value, v.tier_id, t.name AS tier_name, v.created_by, v.created_at, v.updated_at 
+     FROM app_variables v LEFT JOIN tiers t ON t.id = v.tier_id 
+     WHERE v.api = $1 ORDER BY v.name`,
+    [api]
   );
-  
-  return res.status(200).json({ 
-    success: true, 
-    applications: result.rows 
-  });
+  return res.status(200).json({ success: true, variables: result.rows });
 }
 
-async function handleDeleteApp(body, res) {
-  const { app_name, user_id } = body;
-  
-  if (!app_name || !user_id) {
-    return res.status(400).json({ success: false, message: 'App name and User ID are required' });
+async function handleSetVariable(body, res, operator) {
+  const { api, name, value } = body;
+
+  if (!api || !name || value === undefined || value === null) {
+    return res.status(400).json({ success: false, message: 'API, name and value are required' });
+  }
+
+  if (typeof name !== 'string' || !APP_VARIABLE_NAME_PATTERN.test(name)) {
+    return res.status(400).json({ success: false, message: 'Name must be 1-64 characters of letters, digits, _ . : -' });
+  }
+
+  if (String(value).length > MAX_VARIABLE_VALUE_LENGTH) {
+    return res.status(400).json({ success: false, message: `Value must be at most ${MAX_VARIABLE_VALUE_LENGTH} characters` });
   }
 
-  const appResult = await pool.query('SELECT * FROM applications WHERE name = $1', [app_name]);
+  const permission = await checkAppPermission(operator, api, 'manage');
+  if (!permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền cấu hình biến của application này' });
+  }
+
+  const appResult = await pool.query('SELECT 1 FROM applications WHERE api_key = $1 AND deleted_at IS NULL', [api]);
   if (appResult.rows.length === 0) {
-    return res.status(200).json({ success: false, message: 'App not found' });
+    return res.status(200).json({ success: false, message: 'Invalid API' });
   }
 
-  const app = appResult.rows[0];
-  const isAdmin = await checkIfAdmin(user_id);
-  
-  if (!isAdmin && app.created_by !== user_id) {
-    return res.status(403).json({ success: false, message: 'Bạn không có quyền xóa application này' });
+  const { tier, error: tierError } = await resolveTier(api, body.tier_id);
+  if (tierError) {
+    return res.status(200).json({ success: false, message: tierError });
   }
 
-  await pool.query('DELETE FROM applications WHERE name = $1', [app_name]);
-  return res.status(200).json({ success: true, message: 'App deleted successfully' });
+  const previous = await pool.query('SELECT * FROM app_variables WHERE api = $1 AND name = $2', [api, name]);
+  const result = await pool.query(
+    `INSERT INTO app_variables (api, name, value, tier_id, created_by) 
+     VALUES ($1, $2, $3, $4, $5) 
+     ON CONFLICT (api, name) DO UPDATE SET value = EXCLUDED.value, tier_id = EXCLUDED.tier_id, updated_at = NOW() 
+     RETURNING *`,
+    [api, name, String(value), tier ? tier.id : null, operator.user_id]
+  );
+
+  // Giá trị có thể là dữ liệu nhạy cảm nên audit chỉ ghi độ dài
+  const describe = row => row && { ...pickFields(row, VARIABLE_AUDIT_FIELDS), length: row.value.length };
+  await recordAudit(operator, { action: 'set_variable', api, before: describe(previous.rows[0]), after: describe(result.rows[0]) });
+  return res.status(200).json({ 
+    success: true, 
+    message: previous.rows.length > 0 ? 'Variable updated' : 'Variable created',
+    variable: result.rows[0]
+  });
 }
 
-async function handleDeleteKey(body, res) {
-  const { api, key, user_id } = body;
-  
-  if (!api || !key || !user_id) {
-    return res.status(400).json({ success: false, message: 'API, Key and User ID are required' });
+async function handleDeleteVariable(body, res, operator) {
+  const { api, name } = body;
+
+  if (!api || !name) {
+    return res.status(400).json({ success: false, message: 'API and name are required' });
   }
 
-  const permission = await checkAppPermission(user_id, api);
+  const permission = await checkAppPermission(operator, api, 'manage');
   if (!permission.hasPermission) {
-    return res.status(403).json({ success: false, message: 'Bạn không có quyền xóa key của application này' });
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền cấu hình biến của application này' });
   }
 
-  const result = await pool.query(
-    'DELETE FROM keys WHERE key = $1 AND api = $2 RETURNING *',
-    [key, api]
-  );
-  
+  const result = await pool.query('DELETE FROM app_variables WHERE api = $1 AND name = $2 RETURNING *', [api, name]);
   if (result.rows.length === 0) {
-    return res.status(200).json({ success: false, message: 'Key not found' });
+    return res.status(200).json({ success: false, message: 'Variable not found' });
   }
-  
-  return res.status(200).json({ success: true, message: 'Key deleted successfully' });
+
+  await recordAudit(operator, { action: 'delete_variable', api, before: pickFields(result.rows[0], VARIABLE_AUDIT_FIELDS) });
+  return res.status(200).json({ success: true, message: 'Variable deleted' });
 }
 
-async function handleBanKey(body, res) {
-  const { api, key, user_id } = body;
-  
-  if (!api || !key || !user_id) {
-    return res.status(400).json({ success: false, message: 'API, Key and User ID are required' });
+async function handleListFiles(body, res, operator) {
+  const { api } = body;
+
+  if (!api) {
+    return res.status(400).json({ success: false, message: 'API is required' });
   }
 
-  const permission = await checkAppPermission(user_id, api);
+  const permission = await checkAppPermission(operator, api, 'manage');
   if (!permission.hasPermission) {
-    return res.status(403).json({ success: false, message: 'Bạn không có quyền ban key của application này' });
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem file của application này' });
   }
 
+  // Không trả nội dung file trong danh sách
   const result = await pool.query(
-    'UPDATE keys SET banned = true WHERE key = $1 AND api = $2 RETURNING *',
-    [key, api]
+    `SELECT f.id, f.name, f.size, f.sha256, f.tier_id, t.name AS tier_name, f.created_by, f.created_at, f.updated_at 
+     FROM app_files f LEFT JOIN tiers t ON t.id = f.tier_id 
+     WHERE f.api = $1 ORDER BY f.name`,
+    [api]
   );
-  
-  if (result.rows.length === 0) {
-    return res.status(200).json({ success: false, message: 'Key not found' });
-  }
-  
-  return res.status(200).json({ success: true, message: 'Key banned successfully' });
+  return res.status(200).json({ success: true, files: result.rows });
 }
 
-async function handleCheckKey(body, res) {
-  const { api, key, user_id } = body;
-  
-  if (!api || !key || !user_id) {
-    return res.status(400).json({ success: false, message: 'API, Key and User ID are required' });
+async function handleUploadFile(body, res, operator) {
+  const { api, name, content } = body;
+
+  if (!api || !name || !content) {
+    return res.status(400).json({ success: false, message: 'API, name and content are required' });
+  }
+
+  if (typeof name !== 'string' || !APP_FILE_NAME_PATTERN.test(name)) {
+    return res.status(400).json({ success: false, message: 'Name must be 1-255 characters of letters, digits, _ . : -' });
+  }
+
+  if (typeof content !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(content.replace(/\s/g, ''))) {
+    return res.status(400).json({ success: false, message: 'Content must be base64 encoded' });
   }
 
-  const permission = await checkAppPermission(user_id, api);
+  const data = Buffer.from(content, 'base64');
+  if (data.length > MAX_APP_FILE_BYTES) {
+    return res.status(400).json({ success: false, message: `File must be at most ${MAX_APP_FILE_BYTES / 1024 / 1024} MB` });
+  }
+
+  const permission = await checkAppPermission(operator, api, 'manage');
   if (!permission.hasPermission) {
-    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem key của application này' });
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền cấu hình file của application này' });
+  }
+
+  const appResult = await pool.query('SELECT 1 FROM applications WHERE api_key = $1 AND deleted_at IS NULL', [api]);
+  if (appResult.rows.length === 0) {
+    return res.status(200).json({ success: false, message: 'Invalid API' });
+  }
+
+  const { tier, error: tierError } = await resolveTier(api, body.tier_id);
+  if (tierError) {
+    return res.status(200).json({ success: false, message: tierError });
   }
 
+  const previous = await pool.query('SELECT id, name, size, sha256, tier_id FROM app_files WHERE api = $1 AND name = $2', [api, name]);
   const result = await pool.query(
-    'SELECT * FROM keys WHERE key = $1 AND api = $2',
-    [key, api]
+    `INSERT INTO app_files (api, name, content, size, sha256, tier_id, created_by) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7) 
+     ON CONFLICT (api, name) DO UPDATE SET 
+       content = EXCLUDED.content, size = EXCLUDED.size, sha256 = EXCLUDED.sha256, 
+       tier_id = EXCLUDED.tier_id, updated_at = NOW() 
+     RETURNING id, name, size, sha256, tier_id, created_by, created_at, updated_at`,
+    [api, name, data, data.length, crypto.createHash('sha256').update(data).digest('hex'), tier ? tier.id : null, operator.user_id]
   );
-  
-  if (result.rows.length === 0) {
-    return res.status(200).json({ success: false, message: 'Key not found' });
-  }
-  
+
+  await recordAudit(operator, {
+    action: 'upload_file',
+    api,
+    before: pickFields(previous.rows[0], FILE_AUDIT_FIELDS),
+    after: pickFields(result.rows[0], FILE_AUDIT_FIELDS)
+  });
   return res.status(200).json({ 
     success: true, 
-    message: 'Key information',
-    key: result.rows[0] 
+    message: previous.rows.length > 0 ? 'File updated' : 'File uploaded',
+    file: result.rows[0]
   });
 }
 
-async function handleResetHWID(body, res) {
-  const { api, key, user_id } = body;
-  
-  if (!api || !key || !user_id) {
-    return res.status(400).json({ success: false, message: 'API, Key and User ID are required' });
+async function handleDeleteFile(body, res, operator) {
+  const { api, name } = body;
+
+  if (!api || !name) {
+    return res.status(400).json({ success: false, message: 'API and name are required' });
   }
 
-  const permission = await checkAppPermission(user_id, api);
+  const permission = await checkAppPermission(operator, api, 'manage');
   if (!permission.hasPermission) {
-    return res.status(403).json({ success: false, message: 'Bạn không có quyền reset HWID của application này' });
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền cấu hình file của application này' });
   }
 
   const result = await pool.query(
-    `UPDATE keys SET hwid = NULL, used = false, system_info = NULL, first_used = NULL 
-     WHERE key = $1 AND api = $2 RETURNING *`,
-    [key, api]
+    'DELETE FROM app_files WHERE api = $1 AND name = $2 RETURNING id, name, size, sha256, tier_id',
+    [api, name]
   );
-  
   if (result.rows.length === 0) {
-    return res.status(200).json({ success: false, message: 'Key not found' });
+    return res.status(200).json({ success: false, message: 'File not found' });
   }
-  
-  return res.status(200).json({ success: true, message: 'HWID reset successfully' });
+
+  await recordAudit(operator, { action: 'delete_file', api, before: pickFields(result.rows[0], FILE_AUDIT_FIELDS) });
+  return res.status(200).json({ success: true, message: 'File deleted' });
 }
 
-async function handleListKeys(body, res) {
-  const { api, user_id } = body;
-  
-  if (!api || !user_id) {
-    return res.status(400).json({ success: false, message: 'API and User ID are required' });
-  }
+// ==================== AUDIT LOG ====================
 
-  const permission = await checkAppPermission(user_id, api);
-  if (!permission.hasPermission) {
-    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem keys của application này' });
+// Ghi lại thao tác của operator sau khi đã thành công; giống recordKeyEvent, lỗi ghi log không làm hỏng thao tác
+async function recordAudit(operator, entry) {
+  try {
+    await pool.query(
+      `INSERT INTO audit_log (actor, action, api, target_key, target_user, before, after, ip, user_agent) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        operator.user_id,
+        entry.action,
+        entry.api || null,
+        entry.key || null,
+        entry.user || null,
+        entry.before ? JSON.stringify(entry.before) : null,
+        entry.after ? JSON.stringify(entry.after) : null,
+        operator.ip || null,
+        operator.user_agent || null
+      ]
+    );
+  } catch (error) {
+    console.error('❌ Failed to record audit entry:', error.message);
   }
+}
 
-  const result = await pool.query(
-    `SELECT key, used, banned, expires_at, created_at, hwid 
-     FROM keys WHERE api = $1 ORDER BY created_at DESC`,
-    [api]
-  );
-  
-  return res.status(200).json({ 
-    success: true, 
-    keys: result.rows 
-  });
+// Chỉ giữ các cột được liệt kê, để secret / khóa ký / password hash không lọt vào log
+function pickFields(row, fields) {
+  if (!row) return null;
+  return Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
 }
 
-async function handleGetKeys(body, res) {
-  const { api, user_id } = body;
-  
-  if (!api || !user_id) {
-    return res.status(400).json({ success: false, message: 'API and User ID are required' });
+async function handleGetAuditLog(body, res, operator) {
+  // body.action là tên action của chính request này, nên lọc theo action được ghi log dùng operation
+  const { actor, api, operation, key, user, from, to } = body;
+
+  if (!(await checkIfAdmin(operator))) {
+    return res.status(403).json({ success: false, message: 'Chỉ admin mới có thể xem audit log' });
   }
 
-  const permission = await checkAppPermission(user_id, api);
-  if (!permission.hasPermission) {
-    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem keys của application này' });
+  if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+    return res.status(400).json({ success: false, message: 'Invalid date range' });
   }
 
+  const limit = parsePageLimit(body.limit, DEFAULT_EVENTS_PAGE_SIZE, MAX_EVENTS_PAGE_SIZE);
+  const offset = Math.max(parseInt(body.offset) || 0, 0);
+
+  const conditions = ['TRUE'];
+  const params = [];
+  const addFilter = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (actor) addFilter('actor = ?', actor);
+  if (api) addFilter('api = ?', api);
+  if (operation) addFilter('action = ?', operation);
+  if (key) addFilter('target_key = ?', key);
+  if (user) addFilter('target_user = ?', user);
+  if (from) addFilter('created_at >= ?', new Date(from));
+  if (to) addFilter('created_at <= ?', new Date(to));
+
+  const where = conditions.join(' AND ');
+  const countResult = await pool.query(`SELECT COUNT(*) as count FROM audit_log WHERE ${where}`, params);
   const result = await pool.query(
-    'SELECT * FROM keys WHERE api = $1 ORDER BY created_at DESC',
-    [api]
+    `SELECT * FROM audit_log WHERE ${where} 
+     ORDER BY created_at DESC, id DESC 
+     LIMIT ${limit} OFFSET ${offset}`,
+    params
   );
-  
+
   return res.status(200).json({ 
     success: true, 
-    keys: result.rows 
+    entries: result.rows,
+    total: parseInt(countResult.rows[0].count),
+    limit,
+    offset
   });
 }
 
-async function handleAddSupport(body, res) {
-  const { user_id, admin_id } = body;
-  
-  if (!user_id || !admin_id) {
-    return res.status(400).json({ success: false, message: 'Thiếu ID người dùng hoặc ID Admin' });
-  }
+// ==================== STATISTICS ====================
 
-  const isAdmin = await checkIfAdmin(admin_id);
-  if (!isAdmin) {
-    return res.status(403).json({ success: false, message: 'Bạn không có quyền thêm support' });
-  }
+// Điều kiện lọc key và event theo quyền: admin thấy mọi app, owner thấy app của mình,
+// support thấy app được cấp, reseller chỉ thấy key do chính mình tạo trên app được cấp
+async function buildStatsScope(operator, api) {
+  if (api) {
+    const permission = await checkAppPermission(operator, api);
+    if (!permission.hasPermission) return { permission };
 
-  try {
-    const checkExist = await pool.query('SELECT * FROM supports WHERE user_id = $1', [user_id]);
-    
-    if (checkExist.rows.length > 0) {
-      return res.status(200).json({ 
-        success: false, 
-        message: `Lỗi: ID [${user_id}] đã tồn tại trong danh sách support rồi!` 
-      });
+    const params = [api];
+    let keyWhere = 'k.api = $1';
+    let eventWhere = 'e.api = $1';
+    if (permission.ownerScope) {
+      params.push(permission.ownerScope);
+      keyWhere += ' AND k.created_by = $2';
+      eventWhere += ' AND e.key IN (SELECT key FROM keys WHERE api = $1 AND created_by = $2)';
     }
+    return { permission, keyWhere, eventWhere, params };
+  }
 
-    await pool.query(
-      'INSERT INTO supports (user_id, added_by, added_at) VALUES ($1, $2, NOW())',
-      [user_id, admin_id]
-    );
-    
-    return res.status(200).json({ success: true, message: `Đã thêm thành công support: ${user_id}` });
+  const permission = { hasPermission: true, isAdmin: await checkIfAdmin(operator) };
+  if (permission.isAdmin) {
+    return { permission, keyWhere: 'TRUE', eventWhere: 'TRUE', params: [] };
+  }
 
-  } catch (error) {
-    if (error.code === '23505') {
-      return res.status(200).json({ success: false, message: 'ID này đã tồn tại!' });
-    }
-    return res.status(500).json({ success: false, message: 'Lỗi server: ' + error.message });
+  const owned = 'SELECT api_key FROM applications WHERE created_by = $1';
+  const granted = 'SELECT api FROM app_grants WHERE user_id = $1';
+  // Support được cấp app thì thấy mọi key của app đó, reseller chỉ thấy key mình tạo
+  if (operator.role !== 'reseller') {
+    return {
+      permission,
+      keyWhere: `k.api IN (${owned} UNION ${granted})`,
+      eventWhere: `e.api IN (${owned} UNION ${granted})`,
+      params: [operator.user_id]
+    };
   }
+
+  return {
+    permission,
+    keyWhere: `(k.api IN (${owned}) OR (k.api IN (${granted}) AND k.created_by = $1))`,
+    eventWhere: `(e.api IN (${owned}) OR (e.api IN (${granted}) AND e.key IN (SELECT key FROM keys WHERE api = e.api AND created_by = $1)))`,
+    params: [operator.user_id]
+  };
 }
 
-async function handleDeleteSupport(body, res) {
-  const { user_id, admin_id } = body;
-  
-  if (!user_id || !admin_id) {
-    return res.status(400).json({ success: false, message: 'User ID and Admin ID are required' });
+async function handleGetStats(body, res, operator) {
+  const { api } = body;
+
+  const to = body.to ? new Date(body.to) : new Date();
+  const days = parseInt(body.days) || DEFAULT_STATS_DAYS;
+  const from = body.from ? new Date(body.from) : new Date(to.getTime() - days * 24 * 3600 * 1000);
+
+  if (isNaN(from) || isNaN(to) || from > to) {
+    return res.status(400).json({ success: false, message: 'Invalid date range' });
   }
 
-  const isAdmin = await checkIfAdmin(admin_id);
-  if (!isAdmin) {
-    return res.status(403).json({ success: false, message: 'Chỉ admin mới có thể xóa support' });
+  if (to - from > MAX_STATS_DAYS * 24 * 3600 * 1000) {
+    return res.status(400).json({ success: false, message: `Date range must be at most ${MAX_STATS_DAYS} days` });
   }
 
-  if (user_id === MAIN_ADMIN_ID) {
-    return res.status(400).json({ success: false, message: 'Cannot delete main admin' });
+  const scope = await buildStatsScope(operator, api);
+  if (!scope.permission.hasPermission) {
+    return res.status(403).json({ success: false, message: 'Bạn không có quyền xem thống kê của application này' });
   }
 
-  const result = await pool.query(
-    'DELETE FROM supports WHERE user_id = $1 RETURNING *',
-    [user_id]
+  // Key / app trong thùng rác không tính vào thống kê; event của key đã xóa vẫn giữ vì là lịch sử thật
+  const trashedApps = 'SELECT api_key FROM applications WHERE deleted_at IS NOT NULL';
+  const keyWhere = `${scope.keyWhere} AND k.deleted_at IS NULL AND k.api NOT IN (${trashedApps})`;
+  const eventWhere = `${scope.eventWhere} AND e.api NOT IN (${trashedApps})`;
+  const { params } = scope;
+  const range = [...params, from, to];
+  const fromParam = `$${params.length + 1}`;
+  const toParam = `$${params.length + 2}`;
+
+  const statusColumns = KEY_STATUSES.map(status => `COUNT(*) FILTER (WHERE status = '${status}') AS ${status}`).join(', ');
+  const perApp = await pool.query(
+    `SELECT s.api, a.name, COUNT(*) AS total, ${statusColumns},
+            COUNT(*) FILTER (WHERE s.created_at BETWEEN ${fromParam} AND ${toParam}) AS created
+     FROM (SELECT k.api, k.created_at, ${KEY_STATUS_SQL} AS status FROM keys k WHERE ${keyWhere}) s
+     JOIN applications a ON a.api_key = s.api
+     GROUP BY s.api, a.name
+     ORDER BY total DESC`,
+    range
   );
-  
-  if (result.rows.length === 0) {
-    return res.status(200).json({ success: false, message: 'Support user not found' });
-  }
-  
-  return res.status(200).json({ success: true, message: 'Support user deleted successfully' });
+
+  const counters = ['total', ...KEY_STATUSES, 'created'];
+  const apps = perApp.rows.map(row => ({
+    ...row,
+    ...Object.fromEntries(counters.map(field => [field, parseInt(row[field])]))
+  }));
+  const keys = Object.fromEntries(counters.map(field => [field, apps.reduce((sum, app) => sum + app[field], 0)]));
+
+  // Ngày không có dữ liệu vẫn có mặt (count = 0) để biểu đồ không bị đứt
+  const perDay = await pool.query(
+    `SELECT to_char(series.day, 'YYYY-MM-DD') AS date, 
+            COALESCE(c.count, 0) AS created, 
+            COALESCE(a.count, 0) AS activations
+     FROM (SELECT generate_series(${fromParam}::date, ${toParam}::date, INTERVAL '1 day')::date AS day) series
+     LEFT JOIN (
+       SELECT k.created_at::date AS day, COUNT(*) AS count FROM keys k 
+       WHERE ${keyWhere} AND k.created_at >= ${fromParam}::date GROUP BY 1
+     ) c ON c.day = series.day
+     LEFT JOIN (
+       SELECT k.first_used::date AS day, COUNT(*) AS count FROM keys k 
+       WHERE ${keyWhere} AND k.first_used >= ${fromParam}::date GROUP BY 1
+     ) a ON a.day = series.day
+     ORDER BY series.day`,
+    range
+  );
+
+  const devices = await pool.query(
+    `SELECT COUNT(DISTINCT d.hwid) AS count FROM key_devices d JOIN keys k ON k.key = d.key WHERE ${keyWhere}`,
+    params
+  );
+
+  const validations = await pool.query(
+    `SELECT COUNT(*) AS total, 
+            COUNT(*) FILTER (WHERE e.success) AS succeeded, 
+            COUNT(DISTINCT e.hwid) FILTER (WHERE e.success) AS active_hwids
+     FROM key_events e 
+     WHERE ${eventWhere} AND e.created_at BETWEEN ${fromParam} AND ${toParam}`,
+    range
+  );
+
+  const failures = await pool.query(
+    `SELECT e.reason, COUNT(*) AS count FROM key_events e 
+     WHERE ${eventWhere} AND NOT e.success AND e.created_at BETWEEN ${fromParam} AND ${toParam}
+     GROUP BY e.reason 
+     ORDER BY count DESC`,
+    range
+  );
+
+  const resellers = await pool.query(
+    `SELECT k.created_by AS user_id, COUNT(*) AS keys_created FROM keys k 
+     JOIN operators o ON o.user_id = k.created_by AND o.role = 'reseller'
+     WHERE ${keyWhere} AND k.created_at BETWEEN ${fromParam} AND ${toParam}
+     GROUP BY k.created_by 
+     ORDER BY keys_created DESC, k.created_by 
+     LIMIT ${TOP_RESELLERS_LIMIT}`,
+    range
+  );
+
+  const { total, succeeded, active_hwids } = validations.rows[0];
+  return res.status(200).json({ 
+    success: true, 
+    from,
+    to,
+    keys,
+    unique_hwids: parseInt(devices.rows[0].count),
+    active_hwids: parseInt(active_hwids),
+    validations: {
+      total: parseInt(total),
+      succeeded: parseInt(succeeded),
+      failed: parseInt(total) - parseInt(succeeded)
+    },
+    failures_by_reason: failures.rows.map(row => ({ reason: row.reason, count: parseInt(row.count) })),
+    per_day: perDay.rows.map(row => ({ date: row.date, created: parseInt(row.created), activations: parseInt(row.activations) })),
+    top_resellers: resellers.rows.map(row => ({ user_id: row.user_id, keys_created: parseInt(row.keys_created) })),
+    apps
+  });
 }
 
-async function handleGetSupports(res) {
-  try {
-    const result = await pool.query('SELECT * FROM supports ORDER BY added_at DESC');
-    return res.status(200).json({ 
-      success: true, 
-      supports: result.rows 
-    });
-  } catch (error) {
-    console.error('❌ Lỗi Get Supports:', error);
-    return res.status(500).json({ success: false, message: 'Không thể tải danh sách support' });
+// ==================== KEY GENERATION ====================
+
+function randomChars(count, chars) {
+  // Bỏ các byte vượt bội số của charset để không bị lệch phân phối
+  const limit = 256 - (256 % chars.length);
+  let result = '';
+
+  while (result.length < count) {
+    const bytes = crypto.randomBytes((count - result.length) * 2);
+    for (const byte of bytes) {
+      if (byte < limit) {
+        result += chars[byte % chars.length];
+        if (result.length === count) break;
+      }
+    }
   }
+
+  return result;
 }
 
-async function handleValidateKey(body, res) {
-  const { api, key, hwid, system_info } = body;
+function generateKey(format = DEFAULT_KEY_FORMAT, chars = KEY_CHARSETS.alphanumeric) {
+  const random = randomChars(format.split('X').length - 1, chars);
+  let i = 0;
+  return format.replace(/X/g, () => random[i++]);
+}
 
-  if (!api || !key || !hwid) {
-    return res.status(400).json({ success: false, message: 'API, Key, HWID are required' });
+// defaultDays: default_days của app, dùng khi request không gửi days
+function resolveKeyLifetime(body, defaultDays = null) {
+  const expiry_mode = body.expiry_mode || 'fixed';
+  if (!EXPIRY_MODES.includes(expiry_mode)) {
+    return { error: `Expiry mode must be one of ${EXPIRY_MODES.join(', ')}` };
   }
 
-  const appResult = await pool.query(
-    'SELECT * FROM applications WHERE api_key = $1',
-    [api]
-  );
-  if (appResult.rows.length === 0) {
-    return res.status(200).json({ success: false, message: 'Invalid API' });
+  if (expiry_mode === 'lifetime') {
+    return { expiry_mode, duration_days: null, expires_at: null };
   }
 
-  const keyResult = await pool.query(
-    'SELECT * FROM keys WHERE key = $1 AND api = $2',
-    [key, api]
-  );
-  if (keyResult.rows.length === 0) {
-    return res.status(200).json({ success: false, message: 'Invalid key' });
+  const days = body.days === undefined || body.days === null || body.days === ''
+    ? defaultDays
+    : parseInt(body.days);
+  if (!days || days < 1) {
+    return { error: 'Days must be a positive number unless expiry_mode is lifetime' };
   }
 
-  const k = keyResult.rows[0];
+  return {
+    expiry_mode,
+    duration_days: days,
+    expires_at: expiry_mode === 'fixed' ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null
+  };
+}
 
-  if (k.banned) {
-    return res.status(200).json({ success: false, message: 'Key banned' });
+function resolveKeyFormat(body, defaultFormat) {
+  if (!KEY_PREFIX_PATTERN.test(String(body.prefix))) {
+    return { error: 'Prefix must be 1-50 characters from A-Z, a-z, 0-9, . and :' };
   }
 
-  const now = new Date();
-  const expires = new Date(k.expires_at);
-  if (now > expires) {
-    return res.status(200).json({ success: false, message: 'Key expired' });
-  }
+  let format = body.format;
 
-  let hwids = [];
-  if (k.hwid) {
-    try {
-      hwids = JSON.parse(k.hwid);
-    } catch {
-      hwids = [];
+  if (!format && body.length) {
+    const length = parseInt(body.length);
+    const segmentLength = parseInt(body.segment_length) || length;
+    if (!length || length < 1 || segmentLength < 1) {
+      return { error: 'Length and segment length must be positive numbers' };
+    }
+    const segments = [];
+    for (let left = length; left > 0; left -= segmentLength) {
+      segments.push('X'.repeat(Math.min(segmentLength, left)));
     }
+    format = segments.join('-');
   }
 
-  if (hwids.includes(hwid)) {
-    return res.status(200).json({ success: true, message: 'Valid key' });
+  format = format || defaultFormat;
+  if (typeof format !== 'string' || !/^[X_-]+$/.test(format) || format.length > 64) {
+    return { error: 'Format may only contain X placeholders and - or _ separators (max 64 chars)' };
   }
-
-  const limit = k.device_limit || 1;
-  if (hwids.length >= limit) {
-    return res.status(200).json({ success: false, message: 'Key limited' });
+  if (format.split('X').length - 1 < 6) {
+    return { error: 'Format must contain at least 6 X placeholders' };
   }
 
-  hwids.push(hwid);
+  if (body.custom_charset) {
+    const custom = String(body.custom_charset);
+    const charset = [...new Set(custom)].join('');
+    if (!CUSTOM_CHARSET_PATTERN.test(custom) || charset.length < 2) {
+      return { error: 'Custom charset must contain at least 2 distinct characters from A-Z, a-z, 0-9, . and :' };
+    }
+    return { format, charset };
+  }
 
-  await pool.query(
-    `UPDATE keys 
-     SET hwid = $1,
-         used = true,
-         system_info = $2,
-         first_used = COALESCE(first_used, CURRENT_TIMESTAMP)
-     WHERE key = $3 AND api = $4`,
-    [JSON.stringify(hwids), system_info, key, api]
-  );
+  const charset = KEY_CHARSETS[body.charset || 'alphanumeric'];
+  if (!charset) {
+    return { error: `Charset must be one of ${Object.keys(KEY_CHARSETS).join(', ')}` };
+  }
 
-  return res.status(200).json({ success: true, message: 'Valid key' });
+  return { format, charset };
 }
 
-function generateKey() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = '';
-  for (let i = 0; i < 6; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+async function insertKeysWithRetry(client, options) {
+  const {
+    api, prefix, expires_at, expiry_mode, duration_days, device_limit, created_by = null, batch_id = null,
+    tier_id = null, quantity, format, charset
+  } = options;
+  const created = [];
+
+  // Trùng key (UNIQUE) thì sinh lại phần còn thiếu, tối đa MAX_KEY_INSERT_ATTEMPTS lượt
+  for (let attempt = 1; attempt <= MAX_KEY_INSERT_ATTEMPTS && created.length < quantity; attempt++) {
+    const needed = quantity - created.length;
+    const candidates = new Set();
+    for (let tries = 0; candidates.size < needed && tries < needed * 10; tries++) {
+      candidates.add(`${prefix}-${generateKey(format, charset)}`);
+    }
+
+    const result = await client.query(
+      `INSERT INTO keys (key, api, prefix, expires_at, expiry_mode, duration_days, device_limit, batch_id, tier_id, created_by) 
+       SELECT k, $2, $3, $4, $5, $6, $7, $8, $9, $10 FROM unnest($1::text[]) AS k
+       ON CONFLICT (key) DO NOTHING
+       RETURNING key`,
+      [[...candidates], api, prefix, expires_at, expiry_mode, duration_days, device_limit, batch_id, tier_id, created_by]
+    );
+    created.push(...result.rows.map(row => row.key));
   }
-  return result;
+
+  if (created.length < quantity) {
+    throw new Error(`Could not generate ${quantity} unique keys, format has too few combinations`);
+  }
+
+  return created;
 }
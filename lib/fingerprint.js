@@ -0,0 +1,61 @@
+// Fingerprint phần cứng client gửi kèm validate_key, dùng để nhận lại thiết bị cũ khi HWID đổi
+
+// Thành phần fingerprint client có thể gửi kèm validate_key, thiếu thành phần nào cũng được
+const FINGERPRINT_COMPONENTS = ['cpu', 'board', 'disk', 'mac', 'os_id'];
+const MAX_FINGERPRINT_COMPONENT_LENGTH = 256;
+// Khớp fingerprint cần tối thiểu chừng này thành phần trùng, và ổ đĩa / mã hệ điều hành (khó trùng ngẫu nhiên) phải trùng
+const MIN_FINGERPRINT_MATCHES = 3;
+const STABLE_FINGERPRINT_COMPONENTS = ['disk', 'os_id'];
+
+// Trả về { value } (null nếu client không gửi) hoặc { error }
+function parseFingerprint(fingerprint) {
+  if (fingerprint === undefined || fingerprint === null) return { value: null };
+  if (typeof fingerprint !== 'object' || Array.isArray(fingerprint)) {
+    return { error: 'Fingerprint must be an object' };
+  }
+
+  const value = {};
+  for (const [name, component] of Object.entries(fingerprint)) {
+    if (!FINGERPRINT_COMPONENTS.includes(name)) {
+      return { error: `Fingerprint components must be among ${FINGERPRINT_COMPONENTS.join(', ')}` };
+    }
+    if (component === null || component === '') continue;
+    if (typeof component !== 'string' || component.length > MAX_FINGERPRINT_COMPONENT_LENGTH) {
+      return { error: `Fingerprint ${name} must be a string of at most ${MAX_FINGERPRINT_COMPONENT_LENGTH} characters` };
+    }
+    value[name] = component.trim();
+  }
+  return { value: Object.keys(value).length > 0 ? value : null };
+}
+
+function componentMatches(a, b, name) {
+  return Boolean(a[name] && b[name] && a[name].toLowerCase() === b[name].toLowerCase());
+}
+
+// Phần trăm thành phần trùng, tính trên các thành phần có ở ít nhất một bên (không phân biệt hoa thường)
+function fingerprintSimilarity(a, b) {
+  const names = FINGERPRINT_COMPONENTS.filter(name => a[name] || b[name]);
+  if (names.length === 0) return 0;
+
+  const matched = names.filter(name => componentMatches(a, b, name));
+  return Math.round(matched.length * 100 / names.length);
+}
+
+// Tỉ lệ thôi chưa đủ: client gửi ít thành phần (hoặc đoán được cpu/board) vẫn có thể đạt ngưỡng
+function isSameDevice(a, b, threshold) {
+  const matched = FINGERPRINT_COMPONENTS.filter(name => componentMatches(a, b, name));
+  if (matched.length < MIN_FINGERPRINT_MATCHES) return false;
+
+  // Thành phần ổn định có ở bất kỳ bên nào đều phải trùng, và phải có ít nhất một
+  const stable = STABLE_FINGERPRINT_COMPONENTS.filter(name => a[name] || b[name]);
+  if (stable.length === 0 || !stable.every(name => componentMatches(a, b, name))) return false;
+
+  return fingerprintSimilarity(a, b) >= threshold;
+}
+
+module.exports = {
+  FINGERPRINT_COMPONENTS,
+  parseFingerprint,
+  fingerprintSimilarity,
+  isSameDevice
+};
@@ -0,0 +1,138 @@
+// Ghi / đọc file key cho export_keys và import_keys: CSV (có header), JSON (mảng object) hoặc TXT (mỗi dòng một key)
+
+const KEY_FILE_FORMATS = ['csv', 'json', 'txt'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json',
+  txt: 'text/plain'
+};
+
+// Ô bắt đầu bằng các ký tự này bị Excel/Sheets hiểu là công thức (HWID do client gửi lên nên không tin được)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join('|');
+  return String(value);
+}
+
+function escapeCsvCell(value) {
+  let text = formatCell(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serializeKeys(rows, columns, format) {
+  if (format === 'txt') {
+    return rows.map(row => row.key).join('\n') + (rows.length > 0 ? '\n' : '');
+  }
+
+  if (format === 'json') {
+    return JSON.stringify(rows.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null]))), null, 2);
+  }
+
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => escapeCsvCell(row[column])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// RFC 4180: ô có thể nằm trong "...", "" là dấu nháy, xuống dòng trong ô được giữ nguyên
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function unescapeCsvCell(value) {
+  const text = value.trim();
+  return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// Trả về mảng { row, data }; row đánh số từ 1 theo dòng dữ liệu để báo lỗi từng dòng
+function parseKeyFile(content, format) {
+  const text = String(content).replace(/^\uFEFF/, '');
+
+  if (format === 'txt') {
+    return text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map((key, i) => ({ row: i + 1, data: { key } }));
+  }
+
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      throw new Error('Invalid JSON');
+    }
+    // Chấp nhận cả { keys: [...] } như response của get_keys
+    const items = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.keys) ? parsed.keys : null;
+    if (!items) throw new Error('JSON must be an array of keys');
+
+    return items.map((item, i) => ({
+      row: i + 1,
+      data: typeof item === 'string' ? { key: item } : item && typeof item === 'object' ? item : {}
+    }));
+  }
+
+  const [header, ...records] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!columns.includes('key')) throw new Error('CSV header must contain a key column');
+
+  return records.map((record, i) => ({
+    row: i + 1,
+    data: Object.fromEntries(columns.map((column, j) => [column, unescapeCsvCell(record[j] || '')]))
+  }));
+}
+
+module.exports = {
+  KEY_FILE_FORMATS,
+  CONTENT_TYPES,
+  serializeKeys,
+  parseKeyFile
+};
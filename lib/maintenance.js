@@ -0,0 +1,199 @@
+// Dọn dẹp định kỳ: key hết hạn / bị ban quá lâu, thiết bị không còn dùng, event cũ.
+// Chạy từ /cron/maintenance, action run_maintenance hoặc scripts/maintenance.js
+
+const RETENTION_ACTIONS = ['archive', 'delete'];
+
+// Event validate được giữ mặc định 90 ngày nếu app không cấu hình event_retention_days
+const DEFAULT_EVENT_RETENTION_DAYS = 90;
+const WEBHOOK_LOG_RETENTION_DAYS = 30;
+const SESSION_RETENTION_DAYS = 7;
+// App / key bị xóa nằm trong thùng rác chừng này ngày rồi mới bị xóa hẳn, đổi bằng TRASH_RETENTION_DAYS
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+// Mỗi lần chạy chỉ xử lý tối đa chừng này key mỗi app để không vượt thời gian chạy của function
+const MAINTENANCE_BATCH_SIZE = 5000;
+
+// Key hết hạn (hoặc bị ban) lâu hơn retention; key lifetime / chưa kích hoạt không có expires_at nên không bị đụng.
+// Key trong thùng rác do purge thùng rác xử lý
+const EXPIRED_KEYS_SQL = `
+  api = $1 AND deleted_at IS NULL AND (
+    (expires_at IS NOT NULL AND expires_at < NOW() - make_interval(days => $2))
+    OR (banned AND COALESCE(banned_at, created_at) < NOW() - make_interval(days => $2))
+  )`;
+
+async function cleanupKeys(db, app, dryRun) {
+  const params = [app.api_key, app.key_retention_days];
+
+  if (dryRun) {
+    const result = await db.query(`SELECT COUNT(*) AS count FROM keys WHERE ${EXPIRED_KEYS_SQL}`, params);
+    return Math.min(parseInt(result.rows[0].count), MAINTENANCE_BATCH_SIZE);
+  }
+
+  // CTE cùng một snapshot: thiết bị được chép vào archive trước khi DELETE cascade xóa chúng
+  const archive = (app.key_retention_action || 'archive') === 'archive';
+  const result = await db.query(
+    `WITH doomed AS (
+       SELECT * FROM keys WHERE ${EXPIRED_KEYS_SQL}
+       ORDER BY id
+       LIMIT ${MAINTENANCE_BATCH_SIZE}
+       FOR UPDATE SKIP LOCKED
+     ), archived AS (
+       INSERT INTO keys_archive (key, api, reason, data, devices)
+       SELECT d.key, d.api, CASE WHEN d.banned THEN 'banned' ELSE 'expired' END, to_jsonb(d),
+              (SELECT jsonb_agg(to_jsonb(kd)) FROM key_devices kd WHERE kd.key = d.key)
+       FROM doomed d
+       WHERE $3::boolean
+     )
+     DELETE FROM keys WHERE id IN (SELECT id FROM doomed)`,
+    [...params, archive]
+  );
+  return result.rowCount;
+}
+
+async function pruneDevices(db, app, dryRun) {
+  const where = `key IN (SELECT key FROM keys WHERE api = $1) AND last_seen < NOW() - make_interval(days => $2)`;
+  const params = [app.api_key, app.device_retention_days];
+
+  if (dryRun) {
+    const result = await db.query(`SELECT COUNT(*) AS count FROM key_devices WHERE ${where}`, params);
+    return parseInt(result.rows[0].count);
+  }
+
+  const result = await db.query(`DELETE FROM key_devices WHERE ${where}`, params);
+  return result.rowCount;
+}
+
+async function pruneEvents(db, app, dryRun) {
+  const where = `api = $1 AND created_at < NOW() - make_interval(days => $2)`;
+  const params = [app.api_key, app.event_retention_days || DEFAULT_EVENT_RETENTION_DAYS];
+
+  if (dryRun) {
+    const result = await db.query(`SELECT COUNT(*) AS count FROM key_events WHERE ${where}`, params);
+    return parseInt(result.rows[0].count);
+  }
+
+  const result = await db.query(`DELETE FROM key_events WHERE ${where}`, params);
+  return result.rowCount;
+}
+
+function getTrashRetentionDays() {
+  return parseInt(process.env.TRASH_RETENTION_DAYS) || DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+// Dữ liệu không thuộc app nào: log webhook đã xong, session operator / client đã hết hạn, thùng rác quá hạn.
+// Xóa app kéo theo key còn lại của nó (cascade)
+async function pruneGlobal(db, dryRun) {
+  const trashRetentionDays = getTrashRetentionDays();
+  const tasks = {
+    webhook_outbox: [`webhook_outbox`, `status <> 'pending' AND created_at < NOW() - make_interval(days => ${WEBHOOK_LOG_RETENTION_DAYS})`],
+    operator_sessions: [`operator_sessions`, `expires_at < NOW() - make_interval(days => ${SESSION_RETENTION_DAYS})`],
+    client_sessions: [`client_sessions`, `expires_at < NOW() - make_interval(days => ${SESSION_RETENTION_DAYS})`],
+    trashed_keys: [`keys`, `deleted_at < NOW() - make_interval(days => ${trashRetentionDays})`],
+    trashed_apps: [`applications`, `deleted_at < NOW() - make_interval(days => ${trashRetentionDays})`]
+  };
+
+  const report = {};
+  for (const [name, [table, where]] of Object.entries(tasks)) {
+    const result = dryRun
+      ? await db.query(`SELECT COUNT(*) AS count FROM ${table} WHERE ${where}`)
+      : await db.query(`DELETE FROM ${table} WHERE ${where}`);
+    report[name] = dryRun ? parseInt(result.rows[0].count) : result.rowCount;
+  }
+  return report;
+}
+
+// api = null: mọi app. Trả về báo cáo theo từng app + tổng
+async function runMaintenance(db, { dryRun = false, api = null } = {}) {
+  const apps = await db.query(
+    `SELECT api_key, name, key_retention_days, key_retention_action, device_retention_days, event_retention_days
+     FROM applications
+     WHERE $1::varchar IS NULL OR api_key = $1
+     ORDER BY id`,
+    [api]
+  );
+
+  const report = {
+    dry_run: dryRun,
+    apps: [],
+    totals: { keys_archived: 0, keys_deleted: 0, devices_pruned: 0, events_pruned: 0 }
+  };
+
+  for (const app of apps.rows) {
+    const entry = { api: app.api_key, name: app.name, keys_archived: 0, keys_deleted: 0, devices_pruned: 0, events_pruned: 0 };
+
+    if (app.key_retention_days) {
+      const count = await cleanupKeys(db, app, dryRun);
+      entry[(app.key_retention_action || 'archive') === 'archive' ? 'keys_archived' : 'keys_deleted'] = count;
+    }
+    if (app.device_retention_days) {
+      entry.devices_pruned = await pruneDevices(db, app, dryRun);
+    }
+    entry.events_pruned = await pruneEvents(db, app, dryRun);
+
+    Object.keys(report.totals).forEach(field => { report.totals[field] += entry[field]; });
+    if (Object.keys(report.totals).some(field => entry[field] > 0)) report.apps.push(entry);
+  }
+
+  if (!api) report.global = await pruneGlobal(db, dryRun);
+  return report;
+}
+
+// Đưa key từ archive về lại bảng keys; key đã bị tạo lại thì bỏ qua và báo lỗi
+async function restoreArchivedKeys(client, api, keys) {
+  const archived = await client.query(
+    `SELECT DISTINCT ON (key) * FROM keys_archive
+     WHERE api = $1 AND key = ANY($2::varchar[])
+     ORDER BY key, archived_at DESC`,
+    [api, keys]
+  );
+  const found = new Map(archived.rows.map(row => [row.key, row]));
+
+  // Chỉ chép các cột keys hiện còn; id cũ có thể đã bị key khác dùng nên để sequence cấp id mới
+  const columnResult = await client.query(
+    `SELECT column_name FROM information_schema.columns 
+     WHERE table_schema = current_schema() AND table_name = 'keys' AND column_name <> 'id'`
+  );
+  const currentColumns = columnResult.rows.map(row => row.column_name);
+
+  const restored = [];
+  const errors = [];
+  for (const key of keys) {
+    const entry = found.get(key);
+    if (!entry) {
+      errors.push({ key, error: 'Key not found in archive' });
+      continue;
+    }
+
+    const columns = currentColumns.filter(column => column in entry.data).map(column => `"${column}"`).join(', ');
+    const inserted = await client.query(
+      `INSERT INTO keys (${columns})
+       SELECT ${columns} FROM jsonb_populate_record(NULL::keys, $1::jsonb)
+       ON CONFLICT (key) DO NOTHING
+       RETURNING key`,
+      [entry.data]
+    );
+    if (inserted.rows.length === 0) {
+      errors.push({ key, error: 'Key already exists' });
+      continue;
+    }
+
+    await client.query(
+      `INSERT INTO key_devices (key, hwid, system_info, first_seen, last_seen)
+       SELECT key, hwid, system_info, first_seen, last_seen
+       FROM jsonb_populate_recordset(NULL::key_devices, $1::jsonb)
+       ON CONFLICT (key, hwid) DO NOTHING`,
+      [JSON.stringify(entry.devices || [])]
+    );
+    await client.query('DELETE FROM keys_archive WHERE id = $1', [entry.id]);
+    restored.push(key);
+  }
+
+  return { restored, errors };
+}
+
+module.exports = {
+  RETENTION_ACTIONS,
+  DEFAULT_EVENT_RETENTION_DAYS,
+  getTrashRetentionDays,
+  runMaintenance,
+  restoreArchivedKeys
+};
@@ -0,0 +1,772 @@
+// Schema migrations có version: mỗi migration chỉ chạy một lần và được ghi vào schema_migrations.
+// Các migration 1-9 dùng IF NOT EXISTS để database cũ (tạo bởi initializeTables trước đây) vẫn nhận đúng.
+
+// Khóa advisory để hai cold start song song không chạy migration cùng lúc
+const MIGRATION_LOCK_ID = 72410391;
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    async up(client) {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS applications (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          api_key VARCHAR(255) UNIQUE NOT NULL,
+          created_by VARCHAR(255) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS keys (
+          id SERIAL PRIMARY KEY,
+          key VARCHAR(255) UNIQUE NOT NULL,
+          api VARCHAR(255) NOT NULL,
+          prefix VARCHAR(50) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          hwid TEXT,
+          banned BOOLEAN DEFAULT FALSE,
+          used BOOLEAN DEFAULT FALSE,
+          device_limit INTEGER DEFAULT 1,
+          system_info TEXT,
+          first_used TIMESTAMP,
+          FOREIGN KEY (api) REFERENCES applications(api_key) ON DELETE CASCADE
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS supports (
+          id SERIAL PRIMARY KEY,
+          user_id VARCHAR(255) UNIQUE NOT NULL,
+          added_by VARCHAR(255) NOT NULL,
+          added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        INSERT INTO supports (user_id, added_by)
+        VALUES ('vmp123pp', 'system')
+        ON CONFLICT (user_id) DO NOTHING
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'operator_accounts',
+    async up(client) {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS operators (
+          id SERIAL PRIMARY KEY,
+          user_id VARCHAR(255) UNIQUE NOT NULL,
+          password_hash TEXT NOT NULL,
+          role VARCHAR(20) NOT NULL DEFAULT 'support',
+          disabled BOOLEAN DEFAULT FALSE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_login TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS operator_sessions (
+          id VARCHAR(64) PRIMARY KEY,
+          user_id VARCHAR(255) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          revoked_at TIMESTAMP,
+          ip VARCHAR(64),
+          user_agent TEXT,
+          FOREIGN KEY (user_id) REFERENCES operators(user_id) ON DELETE CASCADE
+        )
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'app_signing_keys',
+    async up(client) {
+      await client.query(`
+        ALTER TABLE applications
+          ADD COLUMN IF NOT EXISTS signing_private_key TEXT,
+          ADD COLUMN IF NOT EXISTS signing_public_key TEXT,
+          ADD COLUMN IF NOT EXISTS signing_rotated_at TIMESTAMP
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'key_batches',
+    async up(client) {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS key_batches (
+          id VARCHAR(64) PRIMARY KEY,
+          api VARCHAR(255) NOT NULL,
+          prefix VARCHAR(50) NOT NULL,
+          quantity INTEGER NOT NULL,
+          days INTEGER NOT NULL,
+          device_limit INTEGER DEFAULT 1,
+          format VARCHAR(100) NOT NULL,
+          created_by VARCHAR(255) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          revoked_at TIMESTAMP,
+          FOREIGN KEY (api) REFERENCES applications(api_key) ON DELETE CASCADE
+        )
+      `);
+
+      await client.query(`
+        ALTER TABLE keys ADD COLUMN IF NOT EXISTS batch_id VARCHAR(64)
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'key_events',
+    async up(client) {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS key_events (
+          id BIGSERIAL PRIMARY KEY,
+          key VARCHAR(255) NOT NULL,
+          api VARCHAR(255) NOT NULL,
+          hwid TEXT,
+          ip VARCHAR(64),
+          user_agent TEXT,
+          success BOOLEAN NOT NULL,
+          reason VARCHAR(100) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_key_events_api_key ON key_events (api, key, created_at DESC)
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'key_lifetimes',
+    async up(client) {
+      // expiry_mode: fixed (hết hạn tính từ lúc tạo), activation (tính từ lần kích hoạt đầu), lifetime
+      await client.query(`
+        ALTER TABLE keys
+          ADD COLUMN IF NOT EXISTS expiry_mode VARCHAR(20) DEFAULT 'fixed',
+          ADD COLUMN IF NOT EXISTS duration_days INTEGER,
+          ALTER COLUMN expires_at DROP NOT NULL
+      `);
+
+      await client.query(`
+        ALTER TABLE key_batches
+          ADD COLUMN IF NOT EXISTS expiry_mode VARCHAR(20) DEFAULT 'fixed',
+          ALTER COLUMN days DROP NOT NULL
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'key_pause_bans_blacklist',
+    async up(client) {
+      await client.query(`
+        ALTER TABLE keys ADD COLUMN IF NOT EXISTS paused_at TIMESTAMP
+      `);
+
+      await client.query(`
+        ALTER TABLE keys
+          ADD COLUMN IF NOT EXISTS ban_reason TEXT,
+          ADD COLUMN IF NOT EXISTS banned_by VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS banned_at TIMESTAMP
+      `);
+
+      // type = 'hwid' (value là HWID) hoặc 'ip' (value là dải CIDR đã chuẩn hóa)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS blacklist (
+          id SERIAL PRIMARY KEY,
+          api VARCHAR(255) NOT NULL,
+          type VARCHAR(10) NOT NULL,
+          value TEXT NOT NULL,
+          reason TEXT,
+          created_by VARCHAR(255) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (api, type, value),
+          FOREIGN KEY (api) REFERENCES applications(api_key) ON DELETE CASCADE
+        )
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'rate_limits',
+    async up(client) {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS rate_limits (
+          bucket VARCHAR(255) PRIMARY KEY,
+          window_start TIMESTAMP NOT NULL,
+          count INTEGER NOT NULL
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS lockouts (
+          subject VARCHAR(255) PRIMARY KEY,
+          level INTEGER NOT NULL DEFAULT 0,
+          locked_until TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // NULL = dùng giới hạn mặc định
+      await client.query(`
+        ALTER TABLE applications
+          ADD COLUMN IF NOT EXISTS rate_limit_per_ip INTEGER,
+          ADD COLUMN IF NOT EXISTS rate_limit_per_app INTEGER,
+          ADD COLUMN IF NOT EXISTS lockout_threshold INTEGER
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'resellers',
+    async up(client) {
+      // Reseller: role = 'reseller' trong operators, chỉ được thao tác trên app được cấp
+      await client.query(`
+        ALTER TABLE operators ADD COLUMN IF NOT EXISTS credits INTEGER NOT NULL DEFAULT 0
+      `);
+
+      await client.query(`
+        ALTER TABLE keys ADD COLUMN IF NOT EXISTS created_by VARCHAR(255)
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS app_grants (
+          id SERIAL PRIMARY KEY,
+          user_id VARCHAR(255) NOT NULL,
+          api VARCHAR(255) NOT NULL,
+          can_create BOOLEAN DEFAULT TRUE,
+          can_ban BOOLEAN DEFAULT FALSE,
+          can_reset_hwid BOOLEAN DEFAULT FALSE,
+          granted_by VARCHAR(255) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (user_id, api),
+          FOREIGN KEY (user_id) REFERENCES operators(user_id) ON DELETE CASCADE,
+          FOREIGN KEY (api) REFERENCES applications(api_key) ON DELETE CASCADE
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS credit_transactions (
+          id SERIAL PRIMARY KEY,
+          user_id VARCHAR(255) NOT NULL,
+          amount INTEGER NOT NULL,
+          reason TEXT,
+          api VARCHAR(255),
+          key_count INTEGER,
+          created_by VARCHAR(255) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'key_devices',
+    async up(client) {
+      // Mỗi thiết bị đã bind là một dòng, thay cho mảng JSON lưu dạng text trong keys.hwid
+      await client.query(`
+        CREATE TABLE key_devices (
+          id SERIAL PRIMARY KEY,
+          key VARCHAR(255) NOT NULL,
+          hwid TEXT NOT NULL,
+          system_info TEXT,
+          first_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (key, hwid),
+          FOREIGN KEY (key) REFERENCES keys(key) ON DELETE CASCADE
+        )
+      `);
+
+      // Dữ liệu cũ: mảng JSON, hoặc một chuỗi HWID trần từ các bản rất cũ
+      await client.query(`
+        INSERT INTO key_devices (key, hwid, system_info, first_seen, last_seen)
+        SELECT k.key, h.hwid, k.system_info, COALESCE(k.first_used, k.created_at), COALESCE(k.first_used, k.created_at)
+        FROM keys k
+        CROSS JOIN LATERAL (
+          SELECT jsonb_array_elements_text(k.hwid::jsonb) AS hwid WHERE k.hwid LIKE '[%'
+          UNION ALL
+          SELECT k.hwid WHERE k.hwid NOT LIKE '[%'
+        ) h
+        WHERE k.hwid IS NOT NULL AND h.hwid <> ''
+        ON CONFLICT (key, hwid) DO NOTHING
+      `);
+
+      await client.query(`
+        ALTER TABLE keys DROP COLUMN hwid
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'key_indexes',
+    async up(client) {
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_keys_api ON keys (api)
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_keys_expires_at ON keys (expires_at) WHERE expires_at IS NOT NULL
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'webhooks',
+    async up(client) {
+      await client.query(`
+        CREATE TABLE webhooks (
+          id SERIAL PRIMARY KEY,
+          api VARCHAR(255) NOT NULL,
+          url TEXT NOT NULL,
+          secret VARCHAR(100) NOT NULL,
+          events TEXT[] NOT NULL,
+          description TEXT,
+          enabled BOOLEAN DEFAULT TRUE,
+          created_by VARCHAR(255) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (api) REFERENCES applications(api_key) ON DELETE CASCADE
+        )
+      `);
+
+      // Outbox: mỗi dòng là một event cần gửi tới một webhook, retry theo next_attempt_at
+      await client.query(`
+        CREATE TABLE webhook_outbox (
+          id BIGSERIAL PRIMARY KEY,
+          webhook_id INTEGER NOT NULL,
+          event VARCHAR(50) NOT NULL,
+          payload JSONB NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          delivered_at TIMESTAMP,
+          FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX idx_webhook_outbox_due ON webhook_outbox (next_attempt_at) WHERE status = 'pending'
+      `);
+
+      await client.query(`
+        CREATE TABLE webhook_deliveries (
+          id BIGSERIAL PRIMARY KEY,
+          outbox_id BIGINT NOT NULL,
+          webhook_id INTEGER NOT NULL,
+          event VARCHAR(50) NOT NULL,
+          attempt INTEGER NOT NULL,
+          success BOOLEAN NOT NULL,
+          status_code INTEGER,
+          error TEXT,
+          duration_ms INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (outbox_id) REFERENCES webhook_outbox(id) ON DELETE CASCADE,
+          FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at DESC)
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'app_settings',
+    async up(client) {
+      // default_* NULL = create_key dùng giá trị mặc định của hệ thống
+      await client.query(`
+        ALTER TABLE applications
+          ADD COLUMN enabled BOOLEAN NOT NULL DEFAULT TRUE,
+          ADD COLUMN disabled_message TEXT,
+          ADD COLUMN maintenance_mode BOOLEAN NOT NULL DEFAULT FALSE,
+          ADD COLUMN maintenance_message TEXT,
+          ADD COLUMN min_version VARCHAR(50),
+          ADD COLUMN update_url TEXT,
+          ADD COLUMN hwid_lock BOOLEAN NOT NULL DEFAULT TRUE,
+          ADD COLUMN default_device_limit INTEGER,
+          ADD COLUMN default_days INTEGER
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'key_retention',
+    async up(client) {
+      // key_retention_days / device_retention_days NULL = không dọn; key_retention_action NULL = archive
+      await client.query(`
+        ALTER TABLE applications
+          ADD COLUMN key_retention_days INTEGER,
+          ADD COLUMN key_retention_action VARCHAR(10),
+          ADD COLUMN device_retention_days INTEGER,
+          ADD COLUMN event_retention_days INTEGER
+      `);
+
+      // Bản chụp của key (và thiết bị) lúc bị dọn, để có thể khôi phục
+      await client.query(`
+        CREATE TABLE keys_archive (
+          id BIGSERIAL PRIMARY KEY,
+          key VARCHAR(255) NOT NULL,
+          api VARCHAR(255) NOT NULL,
+          reason VARCHAR(20) NOT NULL,
+          data JSONB NOT NULL,
+          devices JSONB,
+          archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (api) REFERENCES applications(api_key) ON DELETE CASCADE
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX idx_keys_archive_api ON keys_archive (api, archived_at DESC)
+      `);
+
+      await client.query(`
+        CREATE INDEX idx_key_events_api_created_at ON key_events (api, created_at)
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'hwid_resets',
+    async up(client) {
+      // Giới hạn NULL = dùng mặc định của hệ thống
+      await client.query(`
+        ALTER TABLE applications
+          ADD COLUMN self_reset_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+          ADD COLUMN self_reset_cooldown_hours INTEGER,
+          ADD COLUMN self_reset_limit INTEGER,
+          ADD COLUMN self_reset_period_days INTEGER
+      `);
+
+      // source = 'self' (người dùng tự reset, tính vào giới hạn) hoặc 'operator'
+      await client.query(`
+        CREATE TABLE hwid_resets (
+          id BIGSERIAL PRIMARY KEY,
+          key VARCHAR(255) NOT NULL,
+          api VARCHAR(255) NOT NULL,
+          hwids TEXT[] NOT NULL,
+          source VARCHAR(20) NOT NULL,
+          reset_by VARCHAR(255),
+          ip VARCHAR(64),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (key) REFERENCES keys(key) ON DELETE CASCADE
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX idx_hwid_resets_key ON hwid_resets (key, created_at DESC)
+      `);
+    }
+  },
+  {
+    version: 16,
+    name: 'audit_log',
+    async up(client) {
+      // Không có khóa ngoại tới applications/keys: log phải còn lại sau khi app hoặc key bị xóa
+      await client.query(`
+        CREATE TABLE audit_log (
+          id BIGSERIAL PRIMARY KEY,
+          actor VARCHAR(255) NOT NULL,
+          action VARCHAR(64) NOT NULL,
+          api VARCHAR(255),
+          target_key VARCHAR(255),
+          target_user VARCHAR(255),
+          before JSONB,
+          after JSONB,
+          ip VARCHAR(64),
+          user_agent TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX idx_audit_log_created_at ON audit_log (created_at DESC)
+      `);
+      await client.query(`
+        CREATE INDEX idx_audit_log_actor ON audit_log (actor, created_at DESC)
+      `);
+      await client.query(`
+        CREATE INDEX idx_audit_log_api ON audit_log (api, created_at DESC)
+      `);
+
+      // Chỉ được INSERT: sửa / xóa / truncate đều bị chặn ngay trong database
+      await client.query(`
+        CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'audit_log is append-only';
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      await client.query(`
+        CREATE TRIGGER audit_log_no_change BEFORE UPDATE OR DELETE ON audit_log
+        FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+      `);
+      await client.query(`
+        CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+        FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only()
+      `);
+    }
+  },
+  {
+    version: 17,
+    name: 'soft_delete',
+    async up(client) {
+      // deleted_at khác NULL = đang nằm trong thùng rác, bị xóa hẳn sau thời gian chờ
+      await client.query(`
+        ALTER TABLE applications
+          ADD COLUMN deleted_at TIMESTAMP,
+          ADD COLUMN deleted_by VARCHAR(255)
+      `);
+      await client.query(`
+        ALTER TABLE keys
+          ADD COLUMN deleted_at TIMESTAMP,
+          ADD COLUMN deleted_by VARCHAR(255)
+      `);
+
+      await client.query(`
+        CREATE INDEX idx_applications_deleted_at ON applications (deleted_at) WHERE deleted_at IS NOT NULL
+      `);
+      await client.query(`
+        CREATE INDEX idx_keys_deleted_at ON keys (api, deleted_at) WHERE deleted_at IS NOT NULL
+      `);
+    }
+  },
+  {
+    version: 18,
+    name: 'app_users',
+    async up(client) {
+      // Người dùng cuối của từng app (khác operator); username không phân biệt hoa thường trong một app
+      await client.query(`
+        CREATE TABLE app_users (
+          id SERIAL PRIMARY KEY,
+          api VARCHAR(255) NOT NULL,
+          username VARCHAR(64) NOT NULL,
+          password_hash TEXT NOT NULL,
+          hwid TEXT,
+          system_info TEXT,
+          banned BOOLEAN NOT NULL DEFAULT FALSE,
+          ban_reason TEXT,
+          banned_at TIMESTAMP,
+          banned_by VARCHAR(255),
+          last_login TIMESTAMP,
+          last_ip VARCHAR(64),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (api) REFERENCES applications(api_key) ON DELETE CASCADE
+        )
+      `);
+
+      await client.query(`
+        CREATE UNIQUE INDEX idx_app_users_username ON app_users (api, LOWER(username))
+      `);
+
+      // Key đã được đổi vào tài khoản nào (register / upgrade) là một gói đăng ký của user đó
+      await client.query(`
+        ALTER TABLE keys
+          ADD COLUMN app_user_id INTEGER REFERENCES app_users(id) ON DELETE SET NULL,
+          ADD COLUMN redeemed_at TIMESTAMP
+      `);
+      await client.query(`
+        CREATE INDEX idx_keys_app_user_id ON keys (app_user_id) WHERE app_user_id IS NOT NULL
+      `);
+    }
+  },
+  {
+    version: 19,
+    name: 'tiers',
+    async up(client) {
+      // Gói của từng app: level để so sánh gói cao / thấp, features là cờ tính năng client tự kiểm tra
+      await client.query(`
+        CREATE TABLE tiers (
+          id SERIAL PRIMARY KEY,
+          api VARCHAR(255) NOT NULL,
+          name VARCHAR(64) NOT NULL,
+          level INTEGER NOT NULL DEFAULT 0,
+          features TEXT[] NOT NULL DEFAULT '{}',
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (api) REFERENCES applications(api_key) ON DELETE CASCADE,
+          UNIQUE (api, name)
+        )
+      `);
+
+      await client.query(`
+        ALTER TABLE keys ADD COLUMN tier_id INTEGER REFERENCES tiers(id) ON DELETE SET NULL
+      `);
+      await client.query(`
+        ALTER TABLE key_batches ADD COLUMN tier_id INTEGER REFERENCES tiers(id) ON DELETE SET NULL
+      `);
+    }
+  },
+  {
+    version: 20,
+    name: 'client_sessions_variables_files',
+    async up(client) {
+      // Session mở sau validate_key / user_login thành công. id là SHA-256 của token (token chỉ client giữ),
+      // enc_key là khóa AES dùng để mã hóa biến / file trả về trong session đó
+      await client.query(`
+        CREATE TABLE client_sessions (
+          id VARCHAR(64) PRIMARY KEY,
+          api VARCHAR(255) NOT NULL,
+          key VARCHAR(255) NOT NULL,
+          app_user_id INTEGER,
+          hwid TEXT,
+          ip VARCHAR(64),
+          enc_key TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          FOREIGN KEY (api) REFERENCES applications(api_key) ON DELETE CASCADE,
+          FOREIGN KEY (key) REFERENCES keys(key) ON DELETE CASCADE,
+          FOREIGN KEY (app_user_id) REFERENCES app_users(id) ON DELETE CASCADE
+        )
+      `);
+      await client.query(`
+        CREATE INDEX idx_client_sessions_expires_at ON client_sessions (expires_at)
+      `);
+
+      // tier_id khác NULL = chỉ session có gói level >= level của tier đó mới lấy được.
+      // Khóa ngoại mặc định (NO ACTION) chặn xóa tier đang dùng, để dữ liệu bị giới hạn không âm thầm thành công khai
+      await client.query(`
+        CREATE TABLE app_variables (
+          id SERIAL PRIMARY KEY,
+          api VARCHAR(255) NOT NULL,
+          name VARCHAR(64) NOT NULL,
+          value TEXT NOT NULL,
+          tier_id INTEGER REFERENCES tiers(id),
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (api) REFERENCES applications(api_key) ON DELETE CASCADE,
+          UNIQUE (api, name)
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE app_files (
+          id SERIAL PRIMARY KEY,
+          api VARCHAR(255) NOT NULL,
+          name VARCHAR(255) NOT NULL,
+          content BYTEA NOT NULL,
+          size INTEGER NOT NULL,
+          sha256 VARCHAR(64) NOT NULL,
+          tier_id INTEGER REFERENCES tiers(id),
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (api) REFERENCES applications(api_key) ON DELETE CASCADE,
+          UNIQUE (api, name)
+        )
+      `);
+    }
+  },
+  {
+    version: 21,
+    name: 'client_session_heartbeat',
+    async up(client) {
+      // NULL = dùng mặc định trong code (TTL) / không giới hạn (số session mỗi key)
+      await client.query(`
+        ALTER TABLE applications
+          ADD COLUMN session_ttl_minutes INTEGER,
+          ADD COLUMN max_sessions_per_key INTEGER
+      `);
+      // expires_at được đẩy lùi mỗi lần heartbeat; last_seen để operator thấy client còn chạy hay không
+      await client.query(`
+        ALTER TABLE client_sessions
+          ADD COLUMN last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      `);
+      await client.query(`
+        CREATE INDEX idx_client_sessions_key ON client_sessions (key, expires_at)
+      `);
+    }
+  },
+  {
+    version: 22,
+    name: 'device_fingerprints',
+    async up(client) {
+      // Thành phần phần cứng client gửi (cpu, board, disk, mac, os_id) của từng thiết bị đã bind
+      await client.query(`
+        ALTER TABLE key_devices
+          ADD COLUMN components JSONB
+      `);
+      // Phần trăm thành phần phải trùng để coi HWID mới là thiết bị cũ; NULL = chỉ khớp đúng HWID
+      await client.query(`
+        ALTER TABLE applications
+          ADD COLUMN hwid_match_threshold INTEGER
+      `);
+    }
+  }
+];
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row.applied_at]));
+}
+
+// Chạy các migration chưa áp dụng theo thứ tự, mỗi migration trong một transaction riêng
+async function runMigrations(client, log = console.log) {
+  await ensureMigrationsTable(client);
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+
+  const applied = [];
+  try {
+    // Đọc lại sau khi có khóa, vì instance khác có thể vừa chạy xong
+    const done = await getAppliedVersions(client);
+
+    for (const migration of MIGRATIONS) {
+      if (done.has(migration.version)) continue;
+
+      log(`🔄 Applying migration ${migration.version}_${migration.name}`);
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+      applied.push(migration.version);
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+  }
+
+  return applied;
+}
+
+async function getMigrationStatus(client) {
+  await ensureMigrationsTable(client);
+  const done = await getAppliedVersions(client);
+
+  return MIGRATIONS.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied_at: done.get(migration.version) || null
+  }));
+}
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations,
+  getMigrationStatus
+};
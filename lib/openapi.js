@@ -0,0 +1,119 @@
+// Sinh tài liệu OpenAPI 3 từ bảng route v2, để tài liệu không bị lệch so với route thật
+const { V2_ROUTES, ERROR_CODES, STATUS_ERROR_CODES } = require('./rest');
+
+const OPENAPI_VERSION = '3.0.3';
+
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+// body trong route viết gọn dạng { field: 'type' }, thêm '!' nếu bắt buộc
+function buildRequestBody(fields) {
+  const properties = {};
+  const required = [];
+
+  Object.entries(fields).forEach(([name, spec]) => {
+    const type = spec.replace(/!$/, '');
+    properties[name] = type === 'array' ? { type, items: { type: 'string' } } : { type };
+    if (spec.endsWith('!')) required.push(name);
+  });
+
+  const schema = { type: 'object', properties };
+  if (required.length > 0) schema.required = required;
+
+  return {
+    required: required.length > 0,
+    content: { 'application/json': { schema } }
+  };
+}
+
+function buildOperation(route) {
+  const params = [...route.path.matchAll(/:(\w+)/g)].map(match => ({
+    name: match[1],
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+
+  const successStatus = String(route.successStatus || 200);
+  const operation = {
+    operationId: `${route.action}_${route.method.toLowerCase()}${params.length > 0 ? '_' + params.map(p => p.name).join('_') : ''}`,
+    tags: [route.tag],
+    summary: route.summary,
+    description: `Tương đương action \`${route.action}\` của API cũ.`,
+    parameters: params,
+    responses: {
+      [successStatus]: {
+        description: 'Thành công',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } }
+      },
+      default: {
+        description: 'Thất bại, xem `code`',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      }
+    }
+  };
+
+  if (route.body) operation.requestBody = buildRequestBody(route.body);
+  if (route.public) operation.security = [];
+
+  return operation;
+}
+
+function buildOpenApiDocument(serverUrl) {
+  const paths = {};
+  V2_ROUTES.forEach(route => {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = buildOperation(route);
+  });
+
+  const errorCodes = [...new Set([
+    ...ERROR_CODES.map(entry => entry.code),
+    ...Object.values(STATUS_ERROR_CODES),
+    'REQUEST_FAILED'
+  ])];
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: 'KeyAuth API',
+      version: '2.0.0',
+      description: 'API REST v2. API action cũ (POST / với `action`) vẫn hoạt động song song.'
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    security: [{ bearerAuth: [] }],
+    tags: [...new Set(V2_ROUTES.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token từ POST /v2/auth/login' }
+      },
+      schemas: {
+        Success: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            message: { type: 'string' }
+          },
+          additionalProperties: true
+        },
+        Error: {
+          type: 'object',
+          required: ['success', 'code', 'message'],
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            code: { type: 'string', enum: errorCodes },
+            message: { type: 'string' },
+            retry_after: { type: 'integer', description: 'Số giây cần chờ, khi bị rate limit hoặc reset HWID còn cooldown' }
+          },
+          additionalProperties: true
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,309 @@
+// REST v2: bảng route ánh xạ sang các action cũ, và mã lỗi ổn định cho mọi response thất bại
+
+// lookup: 'key' = tự tìm api từ key trong path (bỏ qua key trong thùng rác), 'key_or_trashed' = như 'key' nhưng
+// tìm cả key trong thùng rác (chỉ cho restore), 'app_name' = tìm tên app từ api (delete_app cũ dùng tên)
+const V2_ROUTES = [
+  { method: 'POST', path: '/v2/auth/login', action: 'login', tag: 'Auth', summary: 'Đăng nhập operator, trả về session token', public: true,
+    body: { user_id: 'string!', password: 'string!' } },
+  { method: 'POST', path: '/v2/auth/logout', action: 'logout', tag: 'Auth', summary: 'Thu hồi session hiện tại' },
+  { method: 'GET', path: '/v2/session', action: 'get_session', tag: 'Auth', summary: 'Thông tin operator đang đăng nhập' },
+  { method: 'POST', path: '/v2/session/revoke', action: 'revoke_sessions', tag: 'Auth', summary: 'Thu hồi mọi session của một operator',
+    body: { target_user_id: 'string' } },
+  { method: 'PUT', path: '/v2/session/password', action: 'change_password', tag: 'Auth', summary: 'Đổi mật khẩu',
+    body: { current_password: 'string', new_password: 'string!', target_user_id: 'string' } },
+
+  { method: 'POST', path: '/v2/validate', action: 'validate_key', tag: 'Client', summary: 'Kiểm tra key từ loader (response có chữ ký)', public: true,
+    body: { api: 'string!', key: 'string!', hwid: 'string!', fingerprint: 'object', system_info: 'string', nonce: 'string', version: 'string' } },
+  { method: 'POST', path: '/v2/hwid-reset', action: 'self_reset_hwid', tag: 'Client', summary: 'Người dùng tự gỡ một thiết bị khỏi key (có cooldown)', public: true,
+    body: { api: 'string!', key: 'string!', hwid: 'string' } },
+  { method: 'POST', path: '/v2/users/register', action: 'register', tag: 'Client', summary: 'Tạo tài khoản người dùng bằng một key chưa dùng', public: true,
+    body: { api: 'string!', key: 'string!', username: 'string!', password: 'string!', hwid: 'string!', system_info: 'string', version: 'string' } },
+  { method: 'POST', path: '/v2/users/login', action: 'user_login', tag: 'Client', summary: 'Đăng nhập tài khoản người dùng (response có chữ ký)', public: true,
+    body: { api: 'string!', username: 'string!', password: 'string!', hwid: 'string!', system_info: 'string', nonce: 'string', version: 'string' } },
+  { method: 'POST', path: '/v2/users/upgrade', action: 'upgrade', tag: 'Client', summary: 'Đổi thêm key vào tài khoản để gia hạn', public: true,
+    body: { api: 'string!', username: 'string!', password: 'string!', key: 'string!' } },
+  { method: 'POST', path: '/v2/client/heartbeat', action: 'heartbeat', tag: 'Client', summary: 'Giữ session từ validate / user_login (response có chữ ký)', public: true,
+    body: { api: 'string!', session_token: 'string!', nonce: 'string', version: 'string' } },
+  { method: 'POST', path: '/v2/client/variable', action: 'get_variable', tag: 'Client', summary: 'Lấy biến của app bằng session từ validate (nội dung mã hóa)', public: true,
+    body: { api: 'string!', session_token: 'string!', name: 'string!', version: 'string' } },
+  { method: 'POST', path: '/v2/client/file', action: 'get_file', tag: 'Client', summary: 'Tải file của app bằng session từ validate (nội dung mã hóa)', public: true,
+    body: { api: 'string!', session_token: 'string!', name: 'string!', version: 'string' } },
+
+  { method: 'GET', path: '/v2/apps', action: 'get_apps', tag: 'Applications', summary: 'Danh sách application được phép xem' },
+  { method: 'POST', path: '/v2/apps', action: 'create_app', tag: 'Applications', summary: 'Tạo application', successStatus: 201,
+    body: { app_name: 'string!', owner_id: 'string' } },
+  { method: 'PATCH', path: '/v2/apps/:api', action: 'update_app', tag: 'Applications', summary: 'Đổi tên / cấu hình application',
+    body: { app_name: 'string', enabled: 'boolean', disabled_message: 'string', maintenance_mode: 'boolean', maintenance_message: 'string',
+      min_version: 'string', update_url: 'string', hwid_lock: 'boolean', default_device_limit: 'integer', default_days: 'integer',
+      key_retention_days: 'integer', key_retention_action: 'string', device_retention_days: 'integer', event_retention_days: 'integer',
+      self_reset_enabled: 'boolean', self_reset_cooldown_hours: 'integer', self_reset_limit: 'integer', self_reset_period_days: 'integer',
+      session_ttl_minutes: 'integer', max_sessions_per_key: 'integer', hwid_match_threshold: 'integer' } },
+  { method: 'GET', path: '/v2/apps/:api/settings', action: 'get_app_settings', tag: 'Applications', summary: 'Cấu hình của application' },
+  { method: 'DELETE', path: '/v2/apps/:api', action: 'delete_app', tag: 'Applications', summary: 'Chuyển application vào thùng rác', lookup: 'app_name' },
+  { method: 'POST', path: '/v2/apps/:api/restore', action: 'restore_app', tag: 'Applications', summary: 'Khôi phục application từ thùng rác' },
+  { method: 'GET', path: '/v2/apps/:api/permission', action: 'check_permission', tag: 'Applications', summary: 'Quyền của operator trên application' },
+  { method: 'GET', path: '/v2/apps/:api/signing-key', action: 'get_signing_key', tag: 'Applications', summary: 'Public key dùng để verify response' },
+  { method: 'POST', path: '/v2/apps/:api/signing-key/rotate', action: 'rotate_signing_key', tag: 'Applications', summary: 'Đổi khóa ký của application' },
+  { method: 'PUT', path: '/v2/apps/:api/rate-limits', action: 'set_rate_limits', tag: 'Applications', summary: 'Cấu hình rate limit của validate',
+    body: { rate_limit_per_ip: 'integer', rate_limit_per_app: 'integer', lockout_threshold: 'integer' } },
+
+  { method: 'GET', path: '/v2/apps/:api/keys', action: 'get_keys', tag: 'Keys', summary: 'Danh sách key của application' },
+  { method: 'POST', path: '/v2/apps/:api/keys', action: 'create_key', tag: 'Keys', summary: 'Tạo một key', successStatus: 201,
+    body: { prefix: 'string!', days: 'integer', expiry_mode: 'string', device_limit: 'integer', tier_id: 'integer', format: 'string', charset: 'string' } },
+  { method: 'POST', path: '/v2/apps/:api/keys/extend', action: 'extend_key', tag: 'Keys', summary: 'Gia hạn hàng loạt key đang active (bù giờ)',
+    body: { days: 'integer!', status: 'string', prefix: 'string', batch_id: 'string' } },
+  { method: 'GET', path: '/v2/apps/:api/keys/export', action: 'export_keys', tag: 'Keys', summary: 'Export key ra CSV / JSON / TXT (cùng filter với danh sách key)' },
+  { method: 'POST', path: '/v2/apps/:api/keys/import', action: 'import_keys', tag: 'Keys', summary: 'Import key từ CSV / JSON / TXT, có dry_run và báo lỗi từng dòng',
+    body: { format: 'string', content: 'string!', dry_run: 'boolean', prefix: 'string', days: 'integer', expiry_mode: 'string', device_limit: 'integer' } },
+  { method: 'GET', path: '/v2/apps/:api/archived-keys', action: 'list_archived_keys', tag: 'Keys', summary: 'Key đã bị dọn vào archive' },
+  { method: 'POST', path: '/v2/apps/:api/archived-keys/restore', action: 'restore_archived_keys', tag: 'Keys', summary: 'Khôi phục key từ archive',
+    body: { keys: 'array!' } },
+  { method: 'GET', path: '/v2/apps/:api/events', action: 'get_key_events', tag: 'Keys', summary: 'Lịch sử validate của application' },
+
+  { method: 'GET', path: '/v2/apps/:api/tiers', action: 'list_tiers', tag: 'Tiers', summary: 'Danh sách gói (tier) của application' },
+  { method: 'POST', path: '/v2/apps/:api/tiers', action: 'create_tier', tag: 'Tiers', summary: 'Tạo gói', successStatus: 201,
+    body: { name: 'string!', level: 'integer', features: 'array' } },
+  { method: 'PATCH', path: '/v2/apps/:api/tiers/:id', action: 'update_tier', tag: 'Tiers', summary: 'Sửa gói',
+    body: { name: 'string', level: 'integer', features: 'array' } },
+  { method: 'DELETE', path: '/v2/apps/:api/tiers/:id', action: 'delete_tier', tag: 'Tiers', summary: 'Xóa gói (không còn key, biến hay file nào dùng)' },
+
+  { method: 'GET', path: '/v2/apps/:api/sessions', action: 'list_sessions', tag: 'Sessions', summary: 'Session client đang hoạt động (lọc theo key)' },
+  { method: 'DELETE', path: '/v2/apps/:api/sessions/:id', action: 'kill_session', tag: 'Sessions', summary: 'Kill một session' },
+  { method: 'DELETE', path: '/v2/keys/:key/sessions', action: 'kill_session', tag: 'Sessions', summary: 'Kill mọi session của key', lookup: 'key' },
+
+  { method: 'GET', path: '/v2/apps/:api/variables', action: 'list_variables', tag: 'Variables', summary: 'Biến server-side của application' },
+  { method: 'PUT', path: '/v2/apps/:api/variables/:name', action: 'set_variable', tag: 'Variables', summary: 'Tạo / sửa biến',
+    body: { value: 'string!', tier_id: 'integer' } },
+  { method: 'DELETE', path: '/v2/apps/:api/variables/:name', action: 'delete_variable', tag: 'Variables', summary: 'Xóa biến' },
+
+  { method: 'GET', path: '/v2/apps/:api/files', action: 'list_files', tag: 'Files', summary: 'File của application (không kèm nội dung)' },
+  { method: 'PUT', path: '/v2/apps/:api/files/:name', action: 'upload_file', tag: 'Files', summary: 'Tải lên / thay file (content dạng base64)',
+    body: { content: 'string!', tier_id: 'integer' } },
+  { method: 'DELETE', path: '/v2/apps/:api/files/:name', action: 'delete_file', tag: 'Files', summary: 'Xóa file' },
+
+  { method: 'GET', path: '/v2/apps/:api/users', action: 'list_users', tag: 'Users', summary: 'Tài khoản người dùng của application' },
+  { method: 'POST', path: '/v2/apps/:api/users/:username/ban', action: 'ban_user', tag: 'Users', summary: 'Ban tài khoản người dùng',
+    body: { reason: 'string' } },
+  { method: 'POST', path: '/v2/apps/:api/users/:username/unban', action: 'unban_user', tag: 'Users', summary: 'Unban tài khoản người dùng' },
+  { method: 'POST', path: '/v2/apps/:api/users/:username/reset-hwid', action: 'reset_user_hwid', tag: 'Users', summary: 'Gỡ HWID đã bind của tài khoản' },
+
+  { method: 'GET', path: '/v2/apps/:api/batches', action: 'list_batches', tag: 'Batches', summary: 'Danh sách batch' },
+  { method: 'POST', path: '/v2/apps/:api/batches', action: 'create_keys_bulk', tag: 'Batches', summary: 'Tạo nhiều key trong một batch', successStatus: 201,
+    body: { prefix: 'string!', quantity: 'integer!', days: 'integer', expiry_mode: 'string', device_limit: 'integer', tier_id: 'integer', format: 'string', charset: 'string' } },
+  { method: 'GET', path: '/v2/batches/:batch_id', action: 'get_batch', tag: 'Batches', summary: 'Chi tiết batch và các key' },
+  { method: 'POST', path: '/v2/batches/:batch_id/revoke', action: 'revoke_batch', tag: 'Batches', summary: 'Thu hồi (ban) cả batch' },
+
+  { method: 'GET', path: '/v2/keys', action: 'search_keys', tag: 'Keys', summary: 'Tìm key trên mọi application (admin/support)' },
+  { method: 'GET', path: '/v2/keys/:key', action: 'check_key', tag: 'Keys', summary: 'Thông tin key', lookup: 'key' },
+  { method: 'DELETE', path: '/v2/keys/:key', action: 'delete_key', tag: 'Keys', summary: 'Chuyển key vào thùng rác', lookup: 'key' },
+  { method: 'POST', path: '/v2/keys/:key/restore', action: 'restore_key', tag: 'Keys', summary: 'Khôi phục key từ thùng rác', lookup: 'key_or_trashed' },
+  { method: 'POST', path: '/v2/keys/:key/ban', action: 'ban_key', tag: 'Keys', summary: 'Ban key', lookup: 'key',
+    body: { reason: 'string', blacklist_hwids: 'boolean' } },
+  { method: 'POST', path: '/v2/keys/:key/unban', action: 'unban_key', tag: 'Keys', summary: 'Unban key', lookup: 'key' },
+  { method: 'POST', path: '/v2/keys/:key/reset-hwid', action: 'reset_hwid', tag: 'Keys', summary: 'Xóa các thiết bị đã bind', lookup: 'key' },
+  { method: 'POST', path: '/v2/keys/:key/extend', action: 'extend_key', tag: 'Keys', summary: 'Gia hạn key', lookup: 'key',
+    body: { days: 'integer!' } },
+  { method: 'POST', path: '/v2/keys/:key/pause', action: 'pause_key', tag: 'Keys', summary: 'Tạm dừng key', lookup: 'key' },
+  { method: 'POST', path: '/v2/keys/:key/resume', action: 'resume_key', tag: 'Keys', summary: 'Tiếp tục key', lookup: 'key' },
+  { method: 'PUT', path: '/v2/keys/:key/device-limit', action: 'set_device_limit', tag: 'Keys', summary: 'Đổi giới hạn thiết bị', lookup: 'key',
+    body: { device_limit: 'integer!' } },
+  { method: 'GET', path: '/v2/keys/:key/events', action: 'get_key_events', tag: 'Keys', summary: 'Lịch sử validate của key', lookup: 'key' },
+
+  { method: 'GET', path: '/v2/apps/:api/blacklist', action: 'list_blacklist', tag: 'Blacklist', summary: 'Danh sách blacklist' },
+  { method: 'POST', path: '/v2/apps/:api/blacklist', action: 'add_blacklist', tag: 'Blacklist', summary: 'Thêm HWID/IP vào blacklist', successStatus: 201,
+    body: { type: 'string!', value: 'string!', reason: 'string' } },
+  { method: 'DELETE', path: '/v2/apps/:api/blacklist/:id', action: 'remove_blacklist', tag: 'Blacklist', summary: 'Xóa entry khỏi blacklist' },
+
+  { method: 'GET', path: '/v2/apps/:api/webhooks', action: 'list_webhooks', tag: 'Webhooks', summary: 'Danh sách webhook' },
+  { method: 'POST', path: '/v2/apps/:api/webhooks', action: 'add_webhook', tag: 'Webhooks', summary: 'Thêm webhook (secret chỉ trả về lúc tạo)', successStatus: 201,
+    body: { url: 'string!', events: 'array', description: 'string' } },
+  { method: 'PATCH', path: '/v2/apps/:api/webhooks/:id', action: 'update_webhook', tag: 'Webhooks', summary: 'Sửa webhook',
+    body: { url: 'string', events: 'array', description: 'string', enabled: 'boolean' } },
+  { method: 'DELETE', path: '/v2/apps/:api/webhooks/:id', action: 'delete_webhook', tag: 'Webhooks', summary: 'Xóa webhook' },
+  { method: 'POST', path: '/v2/apps/:api/webhooks/:id/test', action: 'test_webhook', tag: 'Webhooks', summary: 'Gửi event thử' },
+  { method: 'GET', path: '/v2/apps/:api/webhook-deliveries', action: 'get_webhook_deliveries', tag: 'Webhooks', summary: 'Lịch sử gửi webhook' },
+
+  { method: 'GET', path: '/v2/supports', action: 'get_supports', tag: 'Operators', summary: 'Danh sách support' },
+  { method: 'POST', path: '/v2/supports', action: 'add_support', tag: 'Operators', summary: 'Thêm support', successStatus: 201,
+    body: { user_id: 'string!', password: 'string' } },
+  { method: 'DELETE', path: '/v2/supports/:user_id', action: 'delete_support', tag: 'Operators', summary: 'Xóa support' },
+  { method: 'GET', path: '/v2/resellers', action: 'list_resellers', tag: 'Operators', summary: 'Danh sách reseller' },
+  { method: 'POST', path: '/v2/resellers', action: 'add_reseller', tag: 'Operators', summary: 'Thêm reseller', successStatus: 201,
+    body: { user_id: 'string!', password: 'string!', credits: 'integer' } },
+  { method: 'DELETE', path: '/v2/resellers/:user_id', action: 'delete_reseller', tag: 'Operators', summary: 'Vô hiệu hóa reseller' },
+  { method: 'POST', path: '/v2/resellers/:user_id/credits', action: 'add_credits', tag: 'Operators', summary: 'Nạp/trừ credit',
+    body: { amount: 'integer!', note: 'string' } },
+  { method: 'GET', path: '/v2/resellers/:user_id/credits', action: 'get_credit_history', tag: 'Operators', summary: 'Số dư và lịch sử credit' },
+  { method: 'PUT', path: '/v2/resellers/:user_id/grants/:api', action: 'grant_app_access', tag: 'Operators', summary: 'Cấp quyền application',
+    body: { can_create: 'boolean', can_ban: 'boolean', can_reset_hwid: 'boolean' } },
+  { method: 'DELETE', path: '/v2/resellers/:user_id/grants/:api', action: 'revoke_app_access', tag: 'Operators', summary: 'Thu hồi quyền application' },
+
+  { method: 'GET', path: '/v2/stats', action: 'get_stats', tag: 'Statistics', summary: 'Thống kê key, kích hoạt và validate trên mọi application được phép xem' },
+  { method: 'GET', path: '/v2/apps/:api/stats', action: 'get_stats', tag: 'Statistics', summary: 'Thống kê của một application' },
+
+  { method: 'GET', path: '/v2/trash', action: 'list_trash', tag: 'Trash', summary: 'Application và key trong thùng rác, kèm ngày bị xóa hẳn' },
+
+  { method: 'GET', path: '/v2/audit-log', action: 'get_audit_log', tag: 'Audit', summary: 'Nhật ký thao tác của operator (admin)' },
+
+  { method: 'POST', path: '/v2/maintenance/run', action: 'run_maintenance', tag: 'Maintenance', summary: 'Dọn key hết hạn, thiết bị và event cũ (admin)',
+    body: { dry_run: 'boolean', api: 'string' } }
+];
+
+// Lỗi nghiệp vụ (trước đây trả HTTP 200) được map theo message; các lỗi còn lại lấy theo HTTP status
+const ERROR_CODES = [
+  { message: 'Invalid API', status: 404, code: 'APP_NOT_FOUND' },
+  { message: 'App not found', status: 404, code: 'APP_NOT_FOUND' },
+  { message: 'App already exists', status: 409, code: 'APP_ALREADY_EXISTS' },
+  { message: /^Bạn đã đạt giới hạn/, status: 403, code: 'APP_LIMIT_REACHED' },
+  { message: 'Key not found', status: 404, code: 'KEY_NOT_FOUND' },
+  { message: 'App not found in trash', status: 404, code: 'APP_NOT_IN_TRASH' },
+  { message: 'Key not found in trash', status: 404, code: 'KEY_NOT_IN_TRASH' },
+  { message: 'Key not found, banned or lifetime', status: 409, code: 'KEY_NOT_EXTENDABLE' },
+  { message: 'Key not found or not paused', status: 409, code: 'KEY_NOT_PAUSED' },
+  { message: 'Key is already paused', status: 409, code: 'KEY_ALREADY_PAUSED' },
+  { message: 'Cannot pause an expired key', status: 409, code: 'KEY_EXPIRED' },
+  { message: 'User not found', status: 404, code: 'USER_NOT_FOUND' },
+  { message: 'Tier not found', status: 404, code: 'TIER_NOT_FOUND' },
+  { message: 'Tier already exists', status: 409, code: 'TIER_ALREADY_EXISTS' },
+  { message: 'Tier is in use', status: 409, code: 'TIER_IN_USE' },
+  { message: 'Variable not found', status: 404, code: 'VARIABLE_NOT_FOUND' },
+  { message: 'File not found', status: 404, code: 'FILE_NOT_FOUND' },
+  { message: 'Session not found', status: 404, code: 'SESSION_NOT_FOUND' },
+  { message: 'Batch not found', status: 404, code: 'BATCH_NOT_FOUND' },
+  { message: 'Entry not found', status: 404, code: 'BLACKLIST_ENTRY_NOT_FOUND' },
+  { message: 'Entry already blacklisted', status: 409, code: 'BLACKLIST_ENTRY_EXISTS' },
+  { message: 'Support user not found', status: 404, code: 'SUPPORT_NOT_FOUND' },
+  { message: 'ID này đã tồn tại!', status: 409, code: 'SUPPORT_ALREADY_EXISTS' },
+  { message: /^Lỗi: ID \[.*\] đã có tài khoản/, status: 409, code: 'ACCOUNT_ALREADY_EXISTS' },
+  { message: 'Account not found', status: 404, code: 'ACCOUNT_NOT_FOUND' },
+  { message: /^Device limit must be between/, status: 400, code: 'INVALID_DEVICE_LIMIT' },
+  { message: 'Reseller not found', status: 404, code: 'RESELLER_NOT_FOUND' },
+  { message: 'Reseller not found or balance would be negative', status: 409, code: 'INVALID_CREDIT_BALANCE' },
+  { message: 'Grant not found', status: 404, code: 'GRANT_NOT_FOUND' },
+  { message: 'Webhook not found', status: 404, code: 'WEBHOOK_NOT_FOUND' },
+  { message: /^Too many keys to export/, status: 413, code: 'EXPORT_TOO_LARGE' },
+  { message: /^Không đủ credit/, status: 402, code: 'INSUFFICIENT_CREDITS' },
+  { message: 'Route not found', status: 404, code: 'ROUTE_NOT_FOUND' },
+
+  // Kết quả validate_key
+  { message: 'Invalid key', status: 404, code: 'INVALID_KEY' },
+  { message: 'Key banned', status: 403, code: 'KEY_BANNED' },
+  { message: 'Key paused', status: 403, code: 'KEY_PAUSED' },
+  { message: 'Key expired', status: 403, code: 'KEY_EXPIRED' },
+  { message: 'Key limited', status: 403, code: 'DEVICE_LIMIT_REACHED' },
+  { message: 'HWID blacklisted', status: 403, code: 'HWID_BLACKLISTED' },
+  { message: 'IP blacklisted', status: 403, code: 'IP_BLACKLISTED' },
+  { message: 'Application disabled', status: 403, code: 'APP_DISABLED' },
+  { message: 'Application under maintenance', status: 503, code: 'APP_MAINTENANCE' },
+  { message: 'Client outdated', status: 426, code: 'CLIENT_OUTDATED' },
+  { message: 'Key is linked to a user account', status: 403, code: 'KEY_LINKED_TO_USER' },
+  { message: 'Session limit reached', status: 409, code: 'SESSION_LIMIT_REACHED' },
+
+  // Kết quả register / user_login / upgrade
+  { message: 'Key already used', status: 409, code: 'KEY_ALREADY_USED' },
+  { message: 'Username already taken', status: 409, code: 'USERNAME_TAKEN' },
+  { message: 'Invalid username or password', status: 401, code: 'INVALID_CREDENTIALS' },
+  { message: 'User banned', status: 403, code: 'USER_BANNED' },
+  { message: 'HWID mismatch', status: 403, code: 'HWID_MISMATCH' },
+  { message: 'No active subscription', status: 403, code: 'NO_ACTIVE_SUBSCRIPTION' },
+
+  // Kết quả heartbeat / get_variable / get_file
+  { message: 'Invalid or expired session', status: 401, code: 'SESSION_INVALID' },
+  { message: 'Tier does not include this resource', status: 403, code: 'TIER_REQUIRED' },
+
+  // Kết quả self_reset_hwid
+  { message: 'Self-service HWID reset is disabled', status: 403, code: 'SELF_RESET_DISABLED' },
+  { message: 'HWID reset on cooldown', status: 429, code: 'HWID_RESET_COOLDOWN' },
+  { message: 'HWID reset limit reached', status: 429, code: 'HWID_RESET_LIMIT_REACHED' },
+  { message: 'Device not found', status: 404, code: 'DEVICE_NOT_FOUND' }
+];
+
+const STATUS_ERROR_CODES = {
+  400: 'VALIDATION_ERROR',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+function resolveError(status, message) {
+  const known = ERROR_CODES.find(entry => typeof entry.message === 'string'
+    ? entry.message === message
+    : entry.message.test(message || ''));
+
+  // Status do handler đặt (400/403/429...) được giữ nguyên, chỉ lỗi trả 200 mới dùng status trong bảng
+  if (status !== 200) {
+    return { status, code: known ? known.code : (STATUS_ERROR_CODES[status] || 'REQUEST_FAILED') };
+  }
+  return known ? { status: known.status, code: known.code } : { status: 422, code: 'REQUEST_FAILED' };
+}
+
+// Bọc res của Vercel: thêm `code` vào mọi response thất bại, và với v2 thì đổi luôn HTTP status
+function createResponseAdapter(res, { rest = false, successStatus = 200 } = {}) {
+  const adapter = {
+    statusCode: 200,
+    setHeader(name, value) {
+      res.setHeader(name, value);
+      return adapter;
+    },
+    status(code) {
+      adapter.statusCode = code;
+      return adapter;
+    },
+    end(...args) {
+      return res.status(adapter.statusCode).end(...args);
+    },
+    json(payload) {
+      let status = adapter.statusCode;
+
+      if (payload && payload.success === false) {
+        const error = resolveError(status, payload.message);
+        payload = { ...payload, code: error.code };
+        if (rest) status = error.status;
+      } else if (rest && status === 200) {
+        status = successStatus;
+      }
+
+      return res.status(status).json(payload);
+    }
+  };
+  return adapter;
+}
+
+function compileRoute(route) {
+  const names = [];
+  const pattern = route.path.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { ...route, names, regex: new RegExp(`^${pattern}/?$`) };
+}
+
+const COMPILED_ROUTES = V2_ROUTES.map(compileRoute);
+
+function matchRoute(method, pathname) {
+  for (const route of COMPILED_ROUTES) {
+    if (route.method !== method) continue;
+
+    const match = route.regex.exec(pathname);
+    if (!match) continue;
+
+    const params = {};
+    route.names.forEach((name, i) => {
+      params[name] = decodeURIComponent(match[i + 1]);
+    });
+    return { route, params };
+  }
+  return null;
+}
+
+module.exports = {
+  V2_ROUTES,
+  ERROR_CODES,
+  STATUS_ERROR_CODES,
+  resolveError,
+  createResponseAdapter,
+  matchRoute
+};
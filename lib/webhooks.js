@@ -0,0 +1,220 @@
+// Webhook cho vòng đời key: event được ghi vào outbox trước, rồi mới gửi (có retry + backoff)
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+
+const WEBHOOK_EVENTS = [
+  'key.created',
+  'key.activated',
+  'key.device_bound',
+  'key.device_limit_reached',
+  'key.session_limit_reached',
+  'key.banned',
+  'key.hwid_reset',
+  'key.deleted'
+];
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_BACKOFF_BASE_SECONDS = 30;
+const WEBHOOK_BACKOFF_MAX_SECONDS = 6 * 3600;
+const WEBHOOK_BATCH_SIZE = 20;
+// Dòng đang gửi được "giữ chỗ" trong khoảng này để instance khác không gửi trùng
+const WEBHOOK_LEASE_SECONDS = 60;
+// Chỉ dùng khi chạy local với scripts/webhook-receiver.js, production không được bật
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+// Chữ ký = HMAC-SHA256(secret, "<timestamp>.<body>"), receiver nên từ chối timestamp quá cũ
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Loopback, mạng nội bộ, link-local (metadata cloud), CGNAT, multicast/reserved; BlockList tự xử lý cả IPv4-mapped IPv6
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Trả về lý do từ chối hoặc null; kiểm tra cả lúc tạo/sửa webhook lẫn lúc gửi vì DNS có thể đổi
+async function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'URL must be a valid https URL';
+  }
+  if (parsed.protocol !== 'https:' && !(ALLOW_PRIVATE_URLS && parsed.protocol === 'http:')) {
+    return 'URL must be a valid https URL';
+  }
+  if (ALLOW_PRIVATE_URLS) return null;
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return 'URL must not point to a private or local address';
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.lookup(hostname, { all: true });
+  } catch {
+    return 'URL host could not be resolved';
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    return 'URL must not point to a private or local address';
+  }
+  return null;
+}
+
+function getBackoffSeconds(attempts) {
+  return Math.min(WEBHOOK_BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), WEBHOOK_BACKOFF_MAX_SECONDS);
+}
+
+// Ghi event vào outbox cho mọi webhook đang bật của app có đăng ký event này
+async function enqueueWebhookEvent(db, api, event, data, webhookId = null) {
+  const payload = {
+    id: 'evt_' + crypto.randomBytes(12).toString('hex'),
+    type: event,
+    api,
+    created_at: new Date().toISOString(),
+    data
+  };
+
+  const result = await db.query(
+    `INSERT INTO webhook_outbox (webhook_id, event, payload)
+     SELECT id, $2::varchar, $3::jsonb FROM webhooks
+     WHERE api = $1 AND enabled = true
+       AND ($4::int IS NOT NULL OR $2::varchar = ANY(events))
+       AND ($4::int IS NULL OR id = $4)`,
+    [api, event, payload, webhookId]
+  );
+  return result.rowCount;
+}
+
+async function sendWebhook(row) {
+  const body = JSON.stringify(row.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  const rejected = await checkWebhookUrl(row.url);
+  if (rejected) {
+    return { success: false, status_code: null, error: rejected, duration_ms: 0 };
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+  try {
+    // Không theo redirect: receiver có thể chuyển hướng vào địa chỉ nội bộ
+    const response = await fetch(row.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'KeyAuth-Webhook/1.0',
+        'X-Webhook-Id': row.payload.id,
+        'X-Webhook-Event': row.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(row.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: controller.signal
+    });
+    // Nội dung phản hồi không được lưu để webhook không thành kênh đọc dữ liệu từ server khác
+    await response.body?.cancel().catch(() => {});
+
+    return {
+      success: response.ok,
+      status_code: response.status,
+      error: response.ok ? null : `HTTP ${response.status}`,
+      duration_ms: Date.now() - started
+    };
+  } catch (error) {
+    return {
+      success: false,
+      status_code: null,
+      error: error.name === 'AbortError' ? `Timeout after ${WEBHOOK_TIMEOUT_MS}ms` : error.message,
+      duration_ms: Date.now() - started
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Gửi các event đến hạn; gọi sau khi enqueue, từ cron, hoặc từ script
+async function deliverPendingWebhooks(db, limit = WEBHOOK_BATCH_SIZE) {
+  const claimed = await db.query(
+    `UPDATE webhook_outbox o
+     SET attempts = o.attempts + 1,
+         next_attempt_at = NOW() + make_interval(secs => $2)
+     FROM webhooks w
+     WHERE o.webhook_id = w.id AND o.id IN (
+       SELECT id FROM webhook_outbox
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING o.*, w.url, w.secret`,
+    [limit, WEBHOOK_LEASE_SECONDS]
+  );
+
+  const summary = { attempted: claimed.rows.length, delivered: 0, retrying: 0, failed: 0 };
+
+  for (const row of claimed.rows) {
+    const result = await sendWebhook(row);
+
+    await db.query(
+      `INSERT INTO webhook_deliveries
+         (outbox_id, webhook_id, event, attempt, success, status_code, error, duration_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [row.id, row.webhook_id, row.event, row.attempts, result.success, result.status_code,
+        result.error, result.duration_ms]
+    );
+
+    if (result.success) {
+      await db.query(
+        `UPDATE webhook_outbox SET status = 'delivered', delivered_at = NOW(), last_error = NULL WHERE id = $1`,
+        [row.id]
+      );
+      summary.delivered++;
+    } else if (row.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      await db.query(
+        `UPDATE webhook_outbox SET status = 'failed', last_error = $2 WHERE id = $1`,
+        [row.id, result.error]
+      );
+      summary.failed++;
+    } else {
+      await db.query(
+        `UPDATE webhook_outbox SET last_error = $2, next_attempt_at = NOW() + make_interval(secs => $3) WHERE id = $1`,
+        [row.id, result.error, getBackoffSeconds(row.attempts)]
+      );
+      summary.retrying++;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_MAX_ATTEMPTS,
+  generateWebhookSecret,
+  checkWebhookUrl,
+  signWebhookPayload,
+  enqueueWebhookEvent,
+  deliverPendingWebhooks
+};
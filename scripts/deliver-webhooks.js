@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// Gửi các webhook đang chờ trong outbox (thay cho cron khi chạy local):
+//   DATABASE_URL=... node scripts/deliver-webhooks.js
+const { Pool } = require('pg');
+const { deliverPendingWebhooks } = require('../lib/webhooks');
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL not found in environment variables');
+    return 1;
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+    connectionTimeoutMillis: 30000,
+    max: 1
+  });
+
+  try {
+    const summary = await deliverPendingWebhooks(pool);
+    console.log(`✅ Attempted ${summary.attempted}: ${summary.delivered} delivered, ${summary.retrying} retrying, ${summary.failed} failed`);
+    return 0;
+  } finally {
+    await pool.end();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Chạy dọn dẹp (thay cho cron khi chạy local):
+//   DATABASE_URL=... node scripts/maintenance.js [--dry-run] [--api=<api_key>]
+const { Pool } = require('pg');
+const { runMaintenance } = require('../lib/maintenance');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const apiArg = args.find(arg => arg.startsWith('--api='));
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL not found in environment variables');
+    return 1;
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+    connectionTimeoutMillis: 30000,
+    max: 1
+  });
+
+  try {
+    const report = await runMaintenance(pool, { dryRun, api: apiArg ? apiArg.slice('--api='.length) : null });
+
+    report.apps.forEach(app => {
+      console.log(`${app.name}: ${app.keys_archived} archived, ${app.keys_deleted} deleted, ` +
+        `${app.devices_pruned} devices, ${app.events_pruned} events`);
+    });
+    if (report.global) {
+      console.log(`global: ${report.global.webhook_outbox} webhook events, ${report.global.operator_sessions} sessions, ${report.global.trashed_keys} trashed keys, ${report.global.trashed_apps} trashed apps`);
+    }
+
+    const { keys_archived, keys_deleted, devices_pruned, events_pruned } = report.totals;
+    console.log(`✅ ${dryRun ? 'Would clean' : 'Cleaned'}: ${keys_archived} keys archived, ${keys_deleted} keys deleted, ` +
+      `${devices_pruned} devices, ${events_pruned} events`);
+    return 0;
+  } finally {
+    await pool.end();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Chạy migration ngoài request handling:
+//   DATABASE_URL=... node scripts/migrate.js up       áp dụng các migration còn thiếu
+//   DATABASE_URL=... node scripts/migrate.js status   xem migration nào đã chạy
+const { Pool } = require('pg');
+const { runMigrations, getMigrationStatus } = require('../lib/migrations');
+
+async function main() {
+  const command = process.argv[2] || 'up';
+
+  if (!['up', 'status'].includes(command)) {
+    console.error('Usage: node scripts/migrate.js [up|status]');
+    return 1;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL not found in environment variables');
+    return 1;
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+    connectionTimeoutMillis: 30000,
+    max: 1
+  });
+  const client = await pool.connect();
+
+  try {
+    if (command === 'status') {
+      const status = await getMigrationStatus(client);
+      status.forEach(m => {
+        const state = m.applied_at ? `applied ${m.applied_at.toISOString()}` : 'pending';
+        console.log(`${String(m.version).padStart(3, '0')}_${m.name}: ${state}`);
+      });
+      return 0;
+    }
+
+    const applied = await runMigrations(client);
+    console.log(applied.length > 0
+      ? `✅ Applied ${applied.length} migration(s): ${applied.join(', ')}`
+      : '✅ Database schema is up to date');
+    return 0;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// Server HTTP local để thử webhook, in ra event và kiểm tra chữ ký:
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port]
+// API phải chạy với WEBHOOK_ALLOW_PRIVATE_URLS=true thì mới gửi được tới http://localhost.
+// WEBHOOK_FAIL_FIRST=N trả 500 cho N request đầu để thử cơ chế retry.
+const http = require('http');
+const { signWebhookPayload } = require('../lib/webhooks');
+
+const port = parseInt(process.argv[2]) || 4010;
+const secret = process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(process.env.WEBHOOK_FAIL_FIRST) || 0;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const timestamp = req.headers['x-webhook-timestamp'];
+    const signature = req.headers['x-webhook-signature'];
+
+    let verified = 'not checked (WEBHOOK_SECRET not set)';
+    if (secret) {
+      verified = signature === `sha256=${signWebhookPayload(secret, timestamp, body)}` ? 'ok' : 'INVALID';
+    }
+
+    console.log(`📨 ${req.headers['x-webhook-event']} ${req.headers['x-webhook-id']} signature: ${verified}`);
+    console.log(body);
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      res.writeHead(500);
+      return res.end('Simulated failure');
+    }
+
+    res.writeHead(verified === 'INVALID' ? 401 : 200);
+    res.end('ok');
+  });
+});
+
+server.listen(port, () => console.log(`✅ Webhook receiver listening on http://localhost:${port}`));
@@ -0,0 +1,86 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin } = require('./helpers');
+
+describe('application settings', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+  let key;
+
+  before(async () => {
+    admin = await loginAdmin();
+    api = (await call('create_app', { app_name: uniqueId('settings') }, { token: admin })).body.api_key;
+    key = (await call('create_key', { api, prefix: 'ST', days: 30 }, { token: admin })).body.key;
+  });
+
+  function update(settings) {
+    return call('update_app', { api, ...settings }, { token: admin });
+  }
+
+  function validate(extra = {}) {
+    return call('validate_key', { api, key, hwid: 'settings-pc', ...extra });
+  }
+
+  it('disables every key with the kill switch and shows the notice', async () => {
+    await update({ enabled: false, disabled_message: 'Đã ngừng phát hành' });
+    const result = await validate();
+    assert.strictEqual(result.body.message, 'Application disabled');
+    assert.strictEqual(result.body.notice, 'Đã ngừng phát hành');
+
+    await update({ enabled: true });
+    assert.strictEqual((await validate()).body.success, true);
+  });
+
+  it('blocks validation during maintenance', async () => {
+    await update({ maintenance_mode: true, maintenance_message: 'Back at 10:00' });
+    const result = await validate();
+    assert.strictEqual(result.body.message, 'Application under maintenance');
+    assert.strictEqual(result.body.notice, 'Back at 10:00');
+    await update({ maintenance_mode: false });
+  });
+
+  it('rejects clients older than min_version, or without a version', async () => {
+    await update({ min_version: '1.2.0', update_url: 'https://example.com/download' });
+
+    for (const version of [undefined, '1.1.9', 'banana']) {
+      const result = await validate({ version });
+      assert.strictEqual(result.body.message, 'Client outdated', String(version));
+      assert.strictEqual(result.body.update_url, 'https://example.com/download');
+    }
+    assert.strictEqual((await validate({ version: 'v1.2' })).body.success, true);
+    assert.strictEqual((await validate({ version: '1.10.0' })).body.success, true);
+
+    await update({ min_version: null });
+    assert.strictEqual((await validate()).body.success, true);
+  });
+
+  it('uses the app defaults for new keys', async () => {
+    await update({ default_device_limit: 3, default_days: 7 });
+    const created = await call('create_key', { api, prefix: 'DF' }, { token: admin });
+    const row = (await call('check_key', { api, key: created.body.key }, { token: admin })).body.key;
+    assert.strictEqual(row.device_limit, 3);
+    const days = (new Date(row.expires_at) - Date.now()) / 86400000;
+    assert.ok(days > 6.9 && days <= 7, String(days));
+
+    await update({ default_device_limit: null, default_days: null });
+  });
+
+  it('skips HWID binding when hwid_lock is off', async () => {
+    await update({ hwid_lock: false });
+    const other = (await call('create_key', { api, prefix: 'HL', days: 30 }, { token: admin })).body.key;
+    for (const hwid of ['one', 'two', 'three']) {
+      assert.strictEqual((await call('validate_key', { api, key: other, hwid })).body.success, true, hwid);
+    }
+    await update({ hwid_lock: true });
+  });
+
+  it('validates setting values and returns them', async () => {
+    for (const settings of [{ enabled: 'yes' }, { min_version: '1.x' }, { update_url: 'javascript:alert(1)' }, { default_device_limit: 500 }, {}]) {
+      assert.strictEqual((await update(settings)).status, 400, JSON.stringify(settings));
+    }
+
+    const result = await call('get_app_settings', { api }, { token: admin });
+    assert.strictEqual(result.body.settings.enabled, true);
+    assert.strictEqual(result.body.settings.hwid_lock, true);
+  });
+});
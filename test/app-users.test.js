@@ -0,0 +1,89 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin } = require('./helpers');
+
+describe('app user accounts', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+
+  before(async () => {
+    admin = await loginAdmin();
+    api = (await call('create_app', { app_name: uniqueId('users') }, { token: admin })).body.api_key;
+  });
+
+  async function newKey(options = { days: 30 }) {
+    return (await call('create_key', { api, prefix: 'US', ...options }, { token: admin })).body.key;
+  }
+
+  async function register(overrides = {}) {
+    const account = { username: uniqueId('u').slice(0, 20), password: 'secret-pw', hwid: 'user-pc', ...overrides };
+    const result = await call('register', { api, key: await newKey(), ...account });
+    return { ...account, result };
+  }
+
+  function userLogin(account, overrides = {}) {
+    return call('user_login', { api, username: account.username, password: account.password, hwid: account.hwid, ...overrides });
+  }
+
+  it('registers with a key and logs in with a signed reply', async () => {
+    const account = await register();
+    assert.strictEqual(account.result.body.success, true);
+
+    const login = await userLogin(account, { username: account.username.toUpperCase(), nonce: 'n-1' });
+    assert.strictEqual(login.body.message, 'Logged in');
+    assert.strictEqual(login.body.subscriptions.length, 1);
+    assert.ok(login.body.signed);
+  });
+
+  it('rejects taken usernames, used keys and weak input', async () => {
+    const account = await register();
+    const taken = await call('register', { api, key: await newKey(), username: account.username.toUpperCase(), password: 'secret-pw', hwid: 'x' });
+    assert.strictEqual(taken.body.message, 'Username already taken');
+
+    const key = await newKey();
+    await call('validate_key', { api, key, hwid: 'somebody' });
+    const used = await call('register', { api, key, username: uniqueId('u').slice(0, 20), password: 'secret-pw', hwid: 'x' });
+    assert.strictEqual(used.body.message, 'Key already used');
+
+    assert.strictEqual((await register({ username: 'a b' })).result.status, 400);
+    assert.strictEqual((await register({ password: '123' })).result.status, 400);
+  });
+
+  it('locks the account to its HWID until an operator resets it', async () => {
+    const account = await register();
+    assert.strictEqual((await userLogin(account, { hwid: 'other-pc' })).body.message, 'HWID mismatch');
+    assert.strictEqual((await userLogin(account, { password: 'wrong-pw' })).body.message, 'Invalid username or password');
+
+    await call('reset_user_hwid', { api, username: account.username }, { token: admin });
+    assert.strictEqual((await userLogin(account, { hwid: 'other-pc' })).body.success, true);
+    assert.strictEqual((await userLogin(account)).body.message, 'HWID mismatch');
+  });
+
+  it('stacks activation keys on upgrade', async () => {
+    const account = await register();
+    const before = new Date((await userLogin(account)).body.expires_at);
+
+    const key = await newKey({ expiry_mode: 'activation', days: 10 });
+    const upgraded = await call('upgrade', { api, key, username: account.username, password: account.password });
+    assert.strictEqual(upgraded.body.message, 'Subscription extended');
+
+    const after = new Date((await userLogin(account)).body.expires_at);
+    assert.strictEqual(Math.round((after - before) / 86400000), 10);
+  });
+
+  it('bans users and lists them with their subscriptions', async () => {
+    const account = await register();
+    await call('ban_user', { api, username: account.username, reason: 'sharing' }, { token: admin });
+    assert.strictEqual((await userLogin(account)).body.message, 'User banned');
+
+    const list = await call('list_users', { api, q: account.username, limit: -5 }, { token: admin });
+    assert.strictEqual(list.body.limit, 1);
+    const [user] = list.body.users;
+    assert.strictEqual(user.banned, true);
+    assert.strictEqual(user.ban_reason, 'sharing');
+    assert.strictEqual(user.active_subscriptions, '1');
+
+    await call('unban_user', { api, username: account.username }, { token: admin });
+    assert.strictEqual((await userLogin(account)).body.success, true);
+  });
+});
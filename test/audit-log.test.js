@@ -0,0 +1,62 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { MAIN_ADMIN_ID, skipWithoutDatabase, call, uniqueId, login, loginAdmin, query } = require('./helpers');
+
+describe('operator audit log', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+  let key;
+
+  before(async () => {
+    admin = await loginAdmin();
+    api = (await call('create_app', { app_name: uniqueId('audit') }, { token: admin })).body.api_key;
+    key = (await call('create_key', { api, prefix: 'AU', days: 30 }, { token: admin })).body.key;
+    await call('ban_key', { api, key, reason: 'audit test' }, { token: admin });
+    await call('unban_key', { api, key }, { token: admin });
+  });
+
+  function auditLog(filters = {}, token = admin) {
+    return call('get_audit_log', filters, { token });
+  }
+
+  it('records who changed what on which key', async () => {
+    const result = await auditLog({ key });
+    assert.deepStrictEqual(result.body.entries.map(entry => entry.action), ['unban_key', 'ban_key', 'create_key']);
+
+    const ban = result.body.entries[1];
+    assert.strictEqual(ban.actor, MAIN_ADMIN_ID);
+    assert.strictEqual(ban.api, api);
+    assert.strictEqual(ban.after.ban_reason, 'audit test');
+  });
+
+  it('filters by operation and app, and clamps the page', async () => {
+    const created = await auditLog({ api, operation: 'create_app' });
+    assert.strictEqual(created.body.total, 1);
+
+    const page = await auditLog({ api, limit: -5, offset: -1 });
+    assert.strictEqual(page.body.limit, 1);
+    assert.strictEqual(page.body.offset, 0);
+    assert.strictEqual(page.body.entries.length, 1);
+    assert.strictEqual(page.body.entries[0].action, 'unban_key');
+  });
+
+  it('never stores secrets', async () => {
+    const user_id = uniqueId('sup');
+    await call('add_support', { user_id, password: 'support-password' }, { token: admin });
+    const entry = (await auditLog({ user: user_id })).body.entries[0];
+    assert.deepStrictEqual(entry.after, { login_created: true });
+    assert.ok(!JSON.stringify(entry).includes('support-password'));
+  });
+
+  it('is admin-only and rejects invalid dates', async () => {
+    const user_id = uniqueId('sup');
+    await call('add_support', { user_id, password: 'support-password' }, { token: admin });
+    assert.strictEqual((await auditLog({}, await login(user_id, 'support-password'))).status, 403);
+    assert.strictEqual((await auditLog({ from: 'last week' })).status, 400);
+  });
+
+  it('cannot be edited or deleted', async () => {
+    await assert.rejects(query(`UPDATE audit_log SET actor = 'someone' WHERE target_key = $1`, [key]), /append-only/);
+    await assert.rejects(query('DELETE FROM audit_log WHERE target_key = $1', [key]), /append-only/);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { MAIN_ADMIN_ID, skipWithoutDatabase, call, uniqueId, login, loginAdmin } = require('./helpers');
+
+describe('operator authentication', { skip: skipWithoutDatabase }, () => {
+  let admin;
+
+  before(async () => {
+    admin = await loginAdmin();
+  });
+
+  async function addSupport(password = 'support-pass-1') {
+    const user_id = uniqueId('sup');
+    const result = await call('add_support', { user_id, password }, { token: admin });
+    assert.strictEqual(result.body.success, true, result.body.message);
+    return { user_id, password, token: await login(user_id, password) };
+  }
+
+  it('rejects actions without a valid session token', async () => {
+    let result = await call('get_apps', {});
+    assert.strictEqual(result.status, 401);
+
+    result = await call('get_apps', {}, { token: 'forged.token' });
+    assert.strictEqual(result.status, 401);
+
+    const [data] = admin.split('.');
+    result = await call('get_apps', {}, { token: `${data}.${'0'.repeat(64)}` });
+    assert.strictEqual(result.status, 401);
+  });
+
+  it('rejects a wrong password', async () => {
+    const result = await call('login', { user_id: MAIN_ADMIN_ID, password: 'not-the-password' });
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.body.token, undefined);
+  });
+
+  it('takes the operator from the token, not from the body', async () => {
+    const support = await addSupport();
+
+    const session = await call('get_session', { user_id: MAIN_ADMIN_ID }, { token: support.token });
+    assert.strictEqual(session.body.user_id, support.user_id);
+    assert.strictEqual(session.body.is_admin, false);
+
+    const result = await call('add_support', { user_id: uniqueId('sup'), admin_id: MAIN_ADMIN_ID }, { token: support.token });
+    assert.strictEqual(result.status, 403);
+  });
+
+  it('logout revokes the token', async () => {
+    const support = await addSupport();
+    await call('logout', {}, { token: support.token });
+
+    const result = await call('get_session', {}, { token: support.token });
+    assert.strictEqual(result.status, 401);
+  });
+
+  it('change_password requires the current password and ends other sessions', async () => {
+    const support = await addSupport();
+
+    let result = await call('change_password', { current_password: 'wrong', new_password: 'support-pass-2' }, { token: support.token });
+    assert.strictEqual(result.status, 401);
+
+    result = await call('change_password', { current_password: support.password, new_password: 'support-pass-2' }, { token: support.token });
+    assert.strictEqual(result.body.success, true);
+    assert.strictEqual((await call('get_session', {}, { token: support.token })).status, 401);
+    await assert.rejects(login(support.user_id, support.password));
+    await assert.doesNotReject(login(support.user_id, 'support-pass-2'));
+  });
+
+  it('add_support never overwrites another account', async () => {
+    const result = await call('add_support', { user_id: MAIN_ADMIN_ID, password: 'hijacked-password' }, { token: admin });
+    assert.strictEqual(result.body.success, false);
+    await assert.rejects(login(MAIN_ADMIN_ID, 'hijacked-password'));
+    await assert.doesNotReject(loginAdmin());
+  });
+
+  it('deleted support loses its sessions and login until added again', async () => {
+    const support = await addSupport();
+    const result = await call('delete_support', { user_id: support.user_id }, { token: admin });
+    assert.strictEqual(result.body.success, true);
+
+    assert.strictEqual((await call('get_apps', {}, { token: support.token })).status, 401);
+    await assert.rejects(login(support.user_id, support.password));
+
+    const readded = await call('add_support', { user_id: support.user_id, password: 'support-pass-3' }, { token: admin });
+    assert.strictEqual(readded.body.success, true);
+    await assert.doesNotReject(login(support.user_id, 'support-pass-3'));
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin } = require('./helpers');
+
+describe('ban reasons and blacklists', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+
+  before(async () => {
+    admin = await loginAdmin();
+    const app = await call('create_app', { app_name: uniqueId('black') }, { token: admin });
+    api = app.body.api_key;
+  });
+
+  async function newKey() {
+    return (await call('create_key', { api, prefix: 'BL', days: 30 }, { token: admin })).body.key;
+  }
+
+  function validate(key, hwid, ip) {
+    return call('validate_key', { api, key, hwid }, { ip });
+  }
+
+  it('stores the ban reason and clears it on unban', async () => {
+    const key = await newKey();
+    await call('ban_key', { api, key, reason: 'chargeback' }, { token: admin });
+
+    let row = (await call('check_key', { api, key }, { token: admin })).body.key;
+    assert.strictEqual(row.ban_reason, 'chargeback');
+    assert.strictEqual(row.banned_by, 'vmp123pp');
+
+    await call('unban_key', { api, key }, { token: admin });
+    row = (await call('check_key', { api, key }, { token: admin })).body.key;
+    assert.strictEqual(row.ban_reason, null);
+  });
+
+  it('blacklists the HWIDs of a banned key across the app', async () => {
+    const banned = await newKey();
+    await validate(banned, 'cheater-pc');
+    const result = await call('ban_key', { api, key: banned, reason: 'cheating', blacklist_hwids: true }, { token: admin });
+    assert.strictEqual(result.body.blacklisted, 1);
+
+    const fresh = await validate(await newKey(), 'cheater-pc');
+    assert.strictEqual(fresh.body.success, false);
+    assert.strictEqual(fresh.body.message, 'HWID blacklisted');
+  });
+
+  it('blocks IPs inside a blacklisted CIDR range', async () => {
+    const added = await call('add_blacklist', { api, type: 'ip', value: '198.51.100.77/24' }, { token: admin });
+    assert.strictEqual(added.body.entry.value, '198.51.100.0/24');
+
+    const duplicate = await call('add_blacklist', { api, type: 'ip', value: '198.51.100.0/24' }, { token: admin });
+    assert.strictEqual(duplicate.body.success, false);
+
+    const key = await newKey();
+    assert.strictEqual((await validate(key, 'pc', '198.51.100.200')).body.message, 'IP blacklisted');
+    assert.strictEqual((await validate(key, 'pc', '198.51.101.1')).body.success, true);
+  });
+
+  it('rejects malformed entries', async () => {
+    for (const entry of [{ type: 'email', value: 'x' }, { type: 'ip', value: 'not-an-ip' }, { type: 'ip', value: '10.0.0.0/33' }]) {
+      const result = await call('add_blacklist', { api, ...entry }, { token: admin });
+      assert.strictEqual(result.status, 400, JSON.stringify(entry));
+    }
+  });
+
+  it('lists and removes entries, validating the entry id', async () => {
+    const added = await call('add_blacklist', { api, type: 'hwid', value: 'temp-hwid' }, { token: admin });
+    const list = await call('list_blacklist', { api, type: 'hwid' }, { token: admin });
+    assert.ok(list.body.entries.some(entry => entry.id === added.body.entry.id));
+
+    for (const id of ['x', '1.5', -3, 99999999999]) {
+      const result = await call('remove_blacklist', { api, id }, { token: admin });
+      assert.strictEqual(result.status, 400, String(id));
+    }
+
+    const removed = await call('remove_blacklist', { api, id: String(added.body.entry.id) }, { token: admin });
+    assert.strictEqual(removed.body.success, true);
+    const again = await call('remove_blacklist', { api, id: added.body.entry.id }, { token: admin });
+    assert.strictEqual(again.body.message, 'Entry not found');
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin } = require('./helpers');
+
+describe('create_keys_bulk and batches', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+
+  before(async () => {
+    admin = await loginAdmin();
+    const app = await call('create_app', { app_name: uniqueId('bulk') }, { token: admin });
+    api = app.body.api_key;
+  });
+
+  function bulk(options) {
+    return call('create_keys_bulk', { api, prefix: 'BK', days: 30, quantity: 5, ...options }, { token: admin });
+  }
+
+  it('creates unique keys in the requested format and charset', async () => {
+    const result = await bulk({ quantity: 20, format: 'XXXX-XXXX', charset: 'hex' });
+    assert.strictEqual(result.body.success, true);
+    assert.strictEqual(result.body.keys.length, 20);
+    assert.strictEqual(new Set(result.body.keys).size, 20);
+    for (const key of result.body.keys) {
+      assert.match(key, /^BK-[0-9A-F]{4}-[0-9A-F]{4}$/);
+    }
+  });
+
+  it('builds the format from length and segment_length', async () => {
+    const result = await bulk({ quantity: 1, length: 8, segment_length: 4, custom_charset: 'ab:.' });
+    assert.match(result.body.keys[0], /^BK-[ab:.]{4}-[ab:.]{4}$/);
+  });
+
+  it('rejects quantities, formats and charsets it cannot honour', async () => {
+    const invalid = [
+      { quantity: 0 },
+      { quantity: 1001 },
+      { format: 'XXX-XXX-XX*' },
+      { format: 'XXXXX' },
+      { charset: 'emoji' },
+      { custom_charset: 'aaaa' },
+      { custom_charset: 'ab-c' },
+      { custom_charset: 'AB/C' },
+      { format: 'XXXXXX', charset: 'numeric', quantity: 20000 }
+    ];
+    for (const options of invalid) {
+      const result = await bulk(options);
+      assert.strictEqual(result.status, 400, JSON.stringify(options));
+    }
+  });
+
+  it('only accepts key-safe prefixes on both create actions', async () => {
+    for (const prefix of ['has space', 'a/b', 'dash-ed', 'vé', 'P'.repeat(51)]) {
+      assert.strictEqual((await bulk({ prefix, quantity: 1 })).status, 400, prefix);
+      const single = await call('create_key', { api, prefix, days: 1 }, { token: admin });
+      assert.strictEqual(single.status, 400, prefix);
+    }
+
+    const result = await call('create_key', { api, prefix: 'v1.2:x', days: 1 }, { token: admin });
+    assert.strictEqual(result.body.success, true);
+  });
+
+  it('lists, shows and revokes a batch', async () => {
+    const created = await bulk({ quantity: 3 });
+    const { batch_id } = created.body;
+
+    const list = await call('list_batches', { api }, { token: admin });
+    const listed = list.body.batches.find(batch => batch.id === batch_id);
+    assert.strictEqual(Number(listed.key_count), 3);
+
+    const detail = await call('get_batch', { batch_id }, { token: admin });
+    assert.deepStrictEqual(detail.body.keys.map(row => row.key).sort(), [...created.body.keys].sort());
+
+    const revoked = await call('revoke_batch', { batch_id }, { token: admin });
+    assert.strictEqual(revoked.body.success, true);
+
+    const validated = await call('validate_key', { api, key: created.body.keys[0], hwid: 'pc' });
+    assert.strictEqual(validated.body.success, false);
+  });
+});
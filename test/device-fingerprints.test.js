@@ -0,0 +1,64 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin } = require('./helpers');
+
+const fingerprint = { cpu: 'Ryzen 7 5800X', board: 'B550', disk: 'WD-123', mac: 'AA:BB', os_id: 'os-1' };
+
+describe('device matching by fingerprint', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+
+  before(async () => {
+    admin = await loginAdmin();
+    api = (await call('create_app', { app_name: uniqueId('fp') }, { token: admin })).body.api_key;
+    await call('update_app', { api, hwid_match_threshold: 50 }, { token: admin });
+  });
+
+  async function boundKey() {
+    const key = (await call('create_key', { api, prefix: 'FP', days: 30 }, { token: admin })).body.key;
+    assert.strictEqual((await validate(key, 'old-hwid', fingerprint)).body.success, true);
+    return key;
+  }
+
+  function validate(key, hwid, components) {
+    return call('validate_key', { api, key, hwid, fingerprint: components });
+  }
+
+  async function deviceHwids(key) {
+    const details = await call('check_key', { api, key }, { token: admin });
+    return details.body.devices.map(device => device.hwid);
+  }
+
+  it('moves the device to the new HWID when only the network card changed', async () => {
+    const key = await boundKey();
+    const result = await validate(key, 'new-hwid', { ...fingerprint, mac: 'CC:DD' });
+    assert.strictEqual(result.body.success, true);
+    assert.strictEqual(result.body.device_match, 'fingerprint');
+    assert.strictEqual(result.body.similarity, 80);
+    assert.deepStrictEqual(await deviceHwids(key), ['new-hwid']);
+  });
+
+  it('treats a different disk or too few components as another device', async () => {
+    const key = await boundKey();
+    assert.strictEqual((await validate(key, 'disk-hwid', { ...fingerprint, disk: 'OTHER' })).body.message, 'Key limited');
+
+    const sparse = { disk: fingerprint.disk, os_id: fingerprint.os_id };
+    assert.strictEqual((await validate(key, 'sparse-hwid', sparse)).body.message, 'Key limited');
+    assert.deepStrictEqual(await deviceHwids(key), ['old-hwid']);
+  });
+
+  it('only matches the exact HWID when the app has no threshold', async () => {
+    const other = (await call('create_app', { app_name: uniqueId('fp2') }, { token: admin })).body.api_key;
+    const key = (await call('create_key', { api: other, prefix: 'FP', days: 30 }, { token: admin })).body.key;
+    await call('validate_key', { api: other, key, hwid: 'old-hwid', fingerprint });
+    const result = await call('validate_key', { api: other, key, hwid: 'new-hwid', fingerprint });
+    assert.strictEqual(result.body.message, 'Key limited');
+  });
+
+  it('rejects malformed fingerprints and thresholds', async () => {
+    const key = await boundKey();
+    assert.strictEqual((await validate(key, 'old-hwid', { gpu: 'x' })).status, 400);
+    assert.strictEqual((await call('update_app', { api, hwid_match_threshold: 0 }, { token: admin })).status, 400);
+    assert.strictEqual((await call('update_app', { api, hwid_match_threshold: 101 }, { token: admin })).status, 400);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin, query } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('key expiry modes', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+
+  before(async () => {
+    admin = await loginAdmin();
+    const app = await call('create_app', { app_name: uniqueId('expiry') }, { token: admin });
+    api = app.body.api_key;
+  });
+
+  async function create(options) {
+    const result = await call('create_key', { api, prefix: 'EX', ...options }, { token: admin });
+    assert.strictEqual(result.body.success, true, result.body.message);
+    return result.body;
+  }
+
+  async function details(key) {
+    return (await call('check_key', { api, key }, { token: admin })).body.key;
+  }
+
+  it('fixed keys expire from creation', async () => {
+    const created = await create({ days: 10 });
+    assert.strictEqual(created.expiry_mode, 'fixed');
+    const remaining = new Date(created.expires_at) - Date.now();
+    assert.ok(remaining > 9.9 * DAY_MS && remaining <= 10 * DAY_MS);
+  });
+
+  it('activation keys start counting on first validate', async () => {
+    const created = await create({ days: 3, expiry_mode: 'activation' });
+    assert.strictEqual(created.expires_at, null);
+
+    // Để lâu trước khi kích hoạt không làm mất ngày
+    await query("UPDATE keys SET created_at = NOW() - INTERVAL '90 days' WHERE key = $1", [created.key]);
+    const result = await call('validate_key', { api, key: created.key, hwid: 'pc' });
+    assert.strictEqual(result.body.success, true);
+
+    const key = await details(created.key);
+    const remaining = new Date(key.expires_at) - Date.now();
+    assert.ok(remaining > 2.9 * DAY_MS && remaining <= 3 * DAY_MS);
+
+    // Lần validate sau không dời hạn
+    await call('validate_key', { api, key: created.key, hwid: 'pc' });
+    assert.strictEqual(String((await details(created.key)).expires_at), String(key.expires_at));
+  });
+
+  it('lifetime keys never expire and need no days', async () => {
+    const created = await create({ expiry_mode: 'lifetime' });
+    assert.strictEqual(created.expires_at, null);
+
+    const result = await call('validate_key', { api, key: created.key, hwid: 'pc' });
+    assert.strictEqual(result.body.success, true);
+    assert.strictEqual((await details(created.key)).expires_at, null);
+  });
+
+  it('applies the mode to every key of a batch', async () => {
+    const result = await call('create_keys_bulk', { api, prefix: 'EX', quantity: 2, days: 5, expiry_mode: 'activation' }, { token: admin });
+    assert.strictEqual(result.body.success, true);
+    for (const key of result.body.keys) {
+      const row = await details(key);
+      assert.strictEqual(row.expiry_mode, 'activation');
+      assert.strictEqual(row.duration_days, 5);
+    }
+  });
+
+  it('rejects unknown modes and missing days', async () => {
+    for (const options of [{ days: 5, expiry_mode: 'forever' }, { expiry_mode: 'fixed' }, { days: -3 }]) {
+      const result = await call('create_key', { api, prefix: 'EX', ...options }, { token: admin });
+      assert.strictEqual(result.status, 400, JSON.stringify(options));
+    }
+  });
+});
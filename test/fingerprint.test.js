@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseFingerprint, fingerprintSimilarity, isSameDevice } = require('../lib/fingerprint');
+
+const device = { cpu: 'Ryzen 7 5800X', board: 'B550', disk: 'WD-123', mac: 'AA:BB', os_id: 'os-1' };
+
+describe('parseFingerprint', () => {
+  it('keeps known non-empty components, trimmed', () => {
+    assert.deepStrictEqual(parseFingerprint({ cpu: ' i7 ', mac: '', disk: null }), { value: { cpu: 'i7' } });
+    assert.deepStrictEqual(parseFingerprint(undefined), { value: null });
+    assert.deepStrictEqual(parseFingerprint({ mac: '' }), { value: null });
+  });
+
+  it('rejects unknown components and bad values', () => {
+    assert.ok(parseFingerprint('cpu=i7').error);
+    assert.ok(parseFingerprint(['i7']).error);
+    assert.ok(parseFingerprint({ gpu: 'x' }).error);
+    assert.ok(parseFingerprint({ cpu: 7 }).error);
+    assert.ok(parseFingerprint({ cpu: 'x'.repeat(257) }).error);
+  });
+});
+
+describe('fingerprintSimilarity', () => {
+  it('counts matches over components present on either side, ignoring case', () => {
+    assert.strictEqual(fingerprintSimilarity(device, { ...device, cpu: 'ryzen 7 5800x' }), 100);
+    assert.strictEqual(fingerprintSimilarity(device, { ...device, mac: 'CC:DD' }), 80);
+    assert.strictEqual(fingerprintSimilarity({ cpu: 'a' }, { board: 'b' }), 0);
+    assert.strictEqual(fingerprintSimilarity({}, {}), 0);
+  });
+});
+
+describe('isSameDevice', () => {
+  it('matches a device whose network card changed', () => {
+    assert.strictEqual(isSameDevice({ ...device, mac: 'CC:DD' }, device, 50), true);
+    assert.strictEqual(isSameDevice({ ...device, mac: 'CC:DD' }, device, 90), false);
+  });
+
+  it('requires the stable components to match', () => {
+    assert.strictEqual(isSameDevice({ ...device, disk: 'OTHER' }, device, 50), false);
+    assert.strictEqual(isSameDevice({ cpu: device.cpu, board: device.board, mac: device.mac }, device, 50), false);
+  });
+
+  it('requires a minimum number of matching components', () => {
+    assert.strictEqual(isSameDevice({ disk: 'WD-123', os_id: 'os-1' }, { disk: 'WD-123', os_id: 'os-1' }, 50), false);
+  });
+});
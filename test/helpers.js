@@ -0,0 +1,95 @@
+// Gọi thẳng handler trong api/index.js bằng req/res giả, chạy trên Postgres thật:
+//   DATABASE_URL=... npm test
+// Nên dùng database riêng cho test: admin chính được tạo với ADMIN_PASSWORD bên dưới nếu chưa có.
+// Không có DATABASE_URL thì các test cần database được bỏ qua.
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+process.env.ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'test-admin-password';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret';
+
+// Handler log mọi request ra stdout; tắt đi cho gọn kết quả test, đặt TEST_LOGS=1 khi cần xem
+if (!process.env.TEST_LOGS) console.log = () => {};
+
+const handler = require('../api/index.js');
+
+const MAIN_ADMIN_ID = 'vmp123pp';
+const skipWithoutDatabase = process.env.DATABASE_URL ? false : 'DATABASE_URL is not set';
+
+// Mỗi lần gọi một IP khác để rate limit / lockout theo IP không làm test ảnh hưởng lẫn nhau
+let ipCounter = 0;
+const ipBase = crypto.randomInt(1, 200);
+function nextIp() {
+  ipCounter++;
+  return `10.${ipBase}.${Math.floor(ipCounter / 250)}.${ipCounter % 250 + 1}`;
+}
+
+// Giả lập một request HTTP tới handler, trả về { status, headers, body }
+function invoke({ method, url, body, token, ip }) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'x-forwarded-for': ip || nextIp() };
+    if (token) headers.authorization = `Bearer ${token}`;
+
+    const req = { method, url, headers, body, socket: { remoteAddress: '127.0.0.1' } };
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+      status(code) { this.statusCode = code; return this; },
+      json(data) { resolve({ status: this.statusCode, headers: this.headers, body: data }); return this; },
+      send(data) { resolve({ status: this.statusCode, headers: this.headers, body: data }); return this; },
+      end(data) { resolve({ status: this.statusCode, headers: this.headers, body: data }); return this; }
+    };
+
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+// API action cũ: POST / với { action, ...body }. options.token: session token, options.ip: IP client
+function call(action, body = {}, options = {}) {
+  return invoke({ method: 'POST', url: '/', body: { action, ...body }, ...options });
+}
+
+// Route REST v2, ví dụ request('GET', '/v2/apps', { token })
+function request(method, url, options = {}) {
+  return invoke({ method, url, body: options.body, token: options.token, ip: options.ip });
+}
+
+function uniqueId(prefix) {
+  return `${prefix}${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+}
+
+async function login(user_id, password) {
+  const result = await call('login', { user_id, password });
+  if (!result.body.token) throw new Error(`Login failed for ${user_id}: ${result.body.message}`);
+  return result.body.token;
+}
+
+function loginAdmin() {
+  return login(MAIN_ADMIN_ID, process.env.ADMIN_PASSWORD);
+}
+
+// Truy cập thẳng database cho những trạng thái không tạo được qua API (key hết hạn...)
+let pool;
+function query(text, params) {
+  pool = pool || new Pool({ connectionString: process.env.DATABASE_URL, max: 1 });
+  return pool.query(text, params);
+}
+
+async function closeDatabase() {
+  if (pool) await pool.end();
+  pool = null;
+}
+
+module.exports = {
+  MAIN_ADMIN_ID,
+  skipWithoutDatabase,
+  call,
+  request,
+  nextIp,
+  uniqueId,
+  login,
+  loginAdmin,
+  query,
+  closeDatabase
+};
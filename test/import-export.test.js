@@ -0,0 +1,94 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin } = require('./helpers');
+
+describe('key export and import', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let source;
+  let target;
+  let prefix;
+
+  before(async () => {
+    admin = await loginAdmin();
+    source = (await call('create_app', { app_name: uniqueId('export') }, { token: admin })).body.api_key;
+    target = (await call('create_app', { app_name: uniqueId('import') }, { token: admin })).body.api_key;
+    prefix = uniqueId('EX').slice(0, 12);
+
+    await call('create_keys_bulk', { api: source, prefix, days: 30, quantity: 3, device_limit: 2 }, { token: admin });
+  });
+
+  function exportKeys(options) {
+    return call('export_keys', { api: source, ...options }, { token: admin });
+  }
+
+  function importKeys(content, options) {
+    return call('import_keys', { api: target, content, ...options }, { token: admin });
+  }
+
+  it('exports the filtered keys in every format', async () => {
+    const csv = await exportKeys({ prefix, columns: 'key,device_limit' });
+    assert.strictEqual(csv.body.count, 3);
+    assert.strictEqual(csv.body.content_type, 'text/csv');
+    assert.match(csv.body.filename, /^export\w+-keys-\d{4}-\d{2}-\d{2}\.csv$/);
+    assert.strictEqual(csv.body.content.split('\r\n')[0], 'key,device_limit');
+
+    const txt = await exportKeys({ prefix, format: 'txt' });
+    assert.strictEqual(txt.body.content.trim().split('\n').length, 3);
+
+    const json = await exportKeys({ prefix, format: 'json', columns: ['key', 'status'] });
+    assert.ok(JSON.parse(json.body.content).every(row => row.status === 'unused'));
+  });
+
+  it('rejects unknown formats and columns', async () => {
+    assert.strictEqual((await exportKeys({ format: 'xlsx' })).status, 400);
+    assert.strictEqual((await exportKeys({ columns: 'key,password' })).status, 400);
+  });
+
+  it('dry-runs, then imports an export into another app', async () => {
+    const { content } = (await exportKeys({ prefix })).body;
+
+    // key UNIQUE trên toàn hệ thống nên import vào app khác vẫn báo trùng
+    const duplicate = await importKeys(content);
+    assert.strictEqual(duplicate.body.imported, 0);
+    assert.ok(duplicate.body.errors.every(error => error.error === 'Key already exists'));
+
+    const fresh = content.replaceAll(prefix, `${prefix}N`);
+    const dryRun = await importKeys(fresh, { dry_run: true });
+    assert.strictEqual(dryRun.body.dry_run, true);
+    assert.strictEqual(dryRun.body.valid, 3);
+    assert.strictEqual(dryRun.body.imported, 0);
+
+    const imported = await importKeys(fresh);
+    assert.strictEqual(imported.body.imported, 3);
+
+    const listed = await call('get_keys', { api: target, prefix: `${prefix}N` }, { token: admin });
+    assert.ok(listed.body.keys.every(row => row.device_limit === 2));
+  });
+
+  it('reports per-row errors and keeps the valid rows', async () => {
+    const key = uniqueId('IMP').toUpperCase();
+    const content = [
+      'key,device_limit,expires_at,hwid',
+      `${key},2,2031-01-01T00:00:00Z,pc-a|pc-b`,
+      `${key},2,2031-01-01T00:00:00Z,`,
+      'x,1,,',
+      `${key}-2,500,,`,
+      `${key}-3,1,not-a-date,`
+    ].join('\n');
+
+    const result = await importKeys(content);
+    assert.strictEqual(result.body.imported, 1);
+    assert.deepStrictEqual(result.body.errors.map(error => error.row), [2, 3, 4, 5]);
+    assert.strictEqual(result.body.errors[0].error, 'Duplicate key in file');
+
+    const row = (await call('check_key', { api: target, key }, { token: admin })).body.key;
+    assert.deepStrictEqual(row.hwid, ['pc-a', 'pc-b']);
+    assert.strictEqual(new Date(row.expires_at).toISOString(), '2031-01-01T00:00:00.000Z');
+  });
+
+  it('rejects empty and unparsable files', async () => {
+    assert.strictEqual((await importKeys('key\n')).status, 400);
+    assert.strictEqual((await importKeys('{', { format: 'json' })).status, 400);
+    assert.strictEqual((await importKeys('K-1', { format: 'xml' })).status, 400);
+  });
+});
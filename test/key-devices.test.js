@@ -0,0 +1,52 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin, query } = require('./helpers');
+const { MIGRATIONS } = require('../lib/migrations');
+
+describe('migrated schema and key_devices', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+
+  before(async () => {
+    admin = await loginAdmin();
+    api = (await call('create_app', { app_name: uniqueId('dev') }, { token: admin })).body.api_key;
+  });
+
+  async function newKey(device_limit) {
+    return (await call('create_key', { api, prefix: 'DV', days: 30, device_limit }, { token: admin })).body.key;
+  }
+
+  it('records every migration as applied', async () => {
+    const result = await query('SELECT version FROM schema_migrations ORDER BY version');
+    assert.deepStrictEqual(result.rows.map(row => row.version), MIGRATIONS.map(m => m.version));
+  });
+
+  it('binds up to device_limit HWIDs and lists them on the key', async () => {
+    const key = await newKey(2);
+    for (const hwid of ['a', 'b', 'a']) {
+      assert.strictEqual((await call('validate_key', { api, key, hwid })).body.success, true, hwid);
+    }
+    assert.strictEqual((await call('validate_key', { api, key, hwid: 'c' })).body.message, 'Key limited');
+
+    const details = await call('check_key', { api, key }, { token: admin });
+    assert.deepStrictEqual(details.body.key.hwid, ['a', 'b']);
+  });
+
+  it('does not let concurrent new devices exceed the limit', async () => {
+    const key = await newKey(1);
+    const results = await Promise.all(['x', 'y', 'z'].map(hwid => call('validate_key', { api, key, hwid })));
+    assert.strictEqual(results.filter(result => result.body.success).length, 1);
+
+    const devices = await query('SELECT COUNT(*)::int AS count FROM key_devices WHERE key = $1', [key]);
+    assert.strictEqual(devices.rows[0].count, 1);
+  });
+
+  it('reset_hwid frees every slot', async () => {
+    const key = await newKey(1);
+    await call('validate_key', { api, key, hwid: 'old' });
+    await call('reset_hwid', { api, key }, { token: admin });
+
+    assert.strictEqual((await call('validate_key', { api, key, hwid: 'new' })).body.success, true);
+    assert.strictEqual((await call('validate_key', { api, key, hwid: 'old' })).body.message, 'Key limited');
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin } = require('./helpers');
+
+describe('validate_key event log', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+  let key;
+
+  before(async () => {
+    admin = await loginAdmin();
+    const app = await call('create_app', { app_name: uniqueId('events') }, { token: admin });
+    api = app.body.api_key;
+    key = (await call('create_key', { api, prefix: 'EV', days: 30 }, { token: admin })).body.key;
+
+    await call('validate_key', { api, key, hwid: 'desk' }, { ip: '203.0.113.7' });
+    await call('validate_key', { api, key, hwid: 'laptop' });
+    await call('validate_key', { api, key: 'EV-NOPE', hwid: 'desk' });
+  });
+
+  function events(filters = {}) {
+    return call('get_key_events', { api, ...filters }, { token: admin });
+  }
+
+  it('records every attempt with its outcome, newest first', async () => {
+    const result = await events();
+    assert.strictEqual(result.body.total, 3);
+    assert.deepStrictEqual(result.body.events.map(e => e.reason), ['Invalid key', 'Key limited', 'Valid key']);
+    assert.deepStrictEqual(result.body.events.map(e => e.success), [false, false, true]);
+  });
+
+  it('filters by key, hwid, ip and success', async () => {
+    assert.strictEqual((await events({ key })).body.total, 2);
+    assert.strictEqual((await events({ hwid: 'laptop' })).body.events[0].reason, 'Key limited');
+    assert.strictEqual((await events({ ip: '203.0.113.7' })).body.events[0].hwid, 'desk');
+    assert.strictEqual((await events({ success: 'false' })).body.total, 2);
+  });
+
+  it('rejects an invalid date range', async () => {
+    const result = await events({ from: 'yesterday-ish' });
+    assert.strictEqual(result.status, 400);
+  });
+
+  it('pages with limit and offset, clamping out-of-range values', async () => {
+    const page = await events({ limit: 1, offset: 1 });
+    assert.strictEqual(page.body.events.length, 1);
+    assert.strictEqual(page.body.events[0].reason, 'Key limited');
+
+    const negative = await events({ limit: -5, offset: -10 });
+    assert.strictEqual(negative.status, 200);
+    assert.strictEqual(negative.body.limit, 1);
+    assert.strictEqual(negative.body.offset, 0);
+
+    const huge = await events({ limit: 1e9 });
+    assert.strictEqual(huge.status, 200);
+    assert.strictEqual(huge.body.events.length, 3);
+  });
+});
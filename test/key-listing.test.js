@@ -0,0 +1,71 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, login, loginAdmin } = require('./helpers');
+
+describe('key listing pagination and filters', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+  let prefix;
+  const keys = {};
+
+  before(async () => {
+    admin = await loginAdmin();
+    api = (await call('create_app', { app_name: uniqueId('list') }, { token: admin })).body.api_key;
+    prefix = uniqueId('L').slice(0, 10);
+
+    for (const name of ['unused', 'active', 'banned']) {
+      keys[name] = (await call('create_key', { api, prefix, days: 30 }, { token: admin })).body.key;
+    }
+    await call('validate_key', { api, key: keys.active, hwid: 'lister-pc' });
+    await call('ban_key', { api, key: keys.banned }, { token: admin });
+  });
+
+  function list(filters = {}) {
+    return call('get_keys', { api, ...filters }, { token: admin });
+  }
+
+  it('walks every key exactly once with limit and cursor', async () => {
+    const first = await list({ limit: 2 });
+    assert.strictEqual(first.body.total, 3);
+    assert.strictEqual(first.body.has_more, true);
+
+    const second = await list({ limit: 2, cursor: first.body.next_cursor });
+    assert.strictEqual(second.body.has_more, false);
+
+    const seen = [...first.body.keys, ...second.body.keys].map(row => row.key);
+    assert.deepStrictEqual(seen.sort(), Object.values(keys).sort());
+  });
+
+  it('clamps zero, negative and huge limits', async () => {
+    for (const limit of [-5, '-1']) {
+      const result = await list({ limit });
+      assert.strictEqual(result.status, 200, `limit ${limit}`);
+      assert.strictEqual(result.body.keys.length, 1);
+    }
+    assert.strictEqual((await list({ limit: 0 })).body.keys.length, 3);
+    assert.strictEqual((await list({ limit: 1e9 })).body.keys.length, 3);
+  });
+
+  it('filters by status, hwid and search text', async () => {
+    assert.deepStrictEqual((await list({ status: 'banned' })).body.keys.map(row => row.key), [keys.banned]);
+    assert.deepStrictEqual((await list({ status: 'unused' })).body.keys.map(row => row.key), [keys.unused]);
+    assert.deepStrictEqual((await list({ hwid: 'lister-pc' })).body.keys.map(row => row.key), [keys.active]);
+    assert.strictEqual((await list({ q: keys.active.slice(-4) })).body.keys.some(row => row.key === keys.active), true);
+  });
+
+  it('rejects bad sort, order, status and cursor values', async () => {
+    for (const filters of [{ sort: 'password' }, { order: 'sideways' }, { status: 'zombie' }, { cursor: 'garbage' }]) {
+      assert.strictEqual((await list(filters)).status, 400, JSON.stringify(filters));
+    }
+  });
+
+  it('search_keys spans apps for admins only', async () => {
+    const result = await call('search_keys', { q: prefix }, { token: admin });
+    assert.strictEqual(result.body.total, 3);
+
+    const user_id = uniqueId('sup');
+    await call('add_support', { user_id, password: 'support-password' }, { token: admin });
+    const support = await login(user_id, 'support-password');
+    assert.strictEqual((await call('search_keys', { q: prefix }, { token: support })).status, 403);
+  });
+});
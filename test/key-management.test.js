@@ -0,0 +1,97 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin, query } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('extend, pause, unban and device limit', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+
+  before(async () => {
+    admin = await loginAdmin();
+    const app = await call('create_app', { app_name: uniqueId('manage') }, { token: admin });
+    api = app.body.api_key;
+  });
+
+  async function newKey(options = {}) {
+    const result = await call('create_key', { api, prefix: 'MG', days: 10, ...options }, { token: admin });
+    return result.body.key;
+  }
+
+  function act(action, body) {
+    return call(action, { api, ...body }, { token: admin });
+  }
+
+  async function expiresAt(key) {
+    const result = await query('SELECT expires_at FROM keys WHERE key = $1', [key]);
+    return result.rows[0].expires_at;
+  }
+
+  it('extends a single key, restarting expired keys from now', async () => {
+    const key = await newKey();
+    const before = await expiresAt(key);
+    await act('extend_key', { key, days: 5 });
+    assert.strictEqual(await expiresAt(key) - before, 5 * DAY_MS);
+
+    const expired = await newKey();
+    await query("UPDATE keys SET expires_at = NOW() - INTERVAL '30 days' WHERE key = $1", [expired]);
+    await act('extend_key', { key: expired, days: 2 });
+    const remaining = await expiresAt(expired) - Date.now();
+    assert.ok(remaining > 1.9 * DAY_MS && remaining <= 2 * DAY_MS);
+  });
+
+  it('extends in bulk by prefix without touching lifetime keys', async () => {
+    const prefix = uniqueId('P').slice(0, 12);
+    const first = await newKey({ prefix });
+    const second = await newKey({ prefix });
+    await newKey({ prefix, expiry_mode: 'lifetime' });
+    await call('validate_key', { api, key: first, hwid: 'pc' });
+    await call('validate_key', { api, key: second, hwid: 'pc' });
+
+    const result = await act('extend_key', { prefix, days: 1 });
+    assert.strictEqual(result.body.extended, 2);
+  });
+
+  it('rejects out-of-range extensions', async () => {
+    for (const days of [0, -1, 3651]) {
+      assert.strictEqual((await act('extend_key', { key: 'MG-X', days })).status, 400);
+    }
+  });
+
+  it('pause stops validation and resume gives the paused time back', async () => {
+    const key = await newKey();
+    await call('validate_key', { api, key, hwid: 'pc' });
+    assert.strictEqual((await act('pause_key', { key })).body.success, true);
+    assert.strictEqual((await act('pause_key', { key })).body.success, false);
+
+    const paused = await call('validate_key', { api, key, hwid: 'pc' });
+    assert.strictEqual(paused.body.success, false);
+
+    const before = await expiresAt(key);
+    await query("UPDATE keys SET paused_at = paused_at - INTERVAL '2 days' WHERE key = $1", [key]);
+    assert.strictEqual((await act('resume_key', { key })).body.success, true);
+    const shift = await expiresAt(key) - before;
+    assert.ok(shift >= 2 * DAY_MS && shift < 2 * DAY_MS + 60 * 1000);
+
+    assert.strictEqual((await call('validate_key', { api, key, hwid: 'pc' })).body.success, true);
+  });
+
+  it('unban lets a banned key validate again', async () => {
+    const key = await newKey();
+    await act('ban_key', { key });
+    assert.strictEqual((await call('validate_key', { api, key, hwid: 'pc' })).body.message, 'Key banned');
+
+    await act('unban_key', { key });
+    assert.strictEqual((await call('validate_key', { api, key, hwid: 'pc' })).body.success, true);
+  });
+
+  it('bounds set_device_limit', async () => {
+    const key = await newKey();
+    for (const device_limit of [0, -2, 101]) {
+      assert.strictEqual((await act('set_device_limit', { key, device_limit })).status, 400);
+    }
+    const result = await act('set_device_limit', { key, device_limit: 3 });
+    assert.strictEqual(result.body.device_limit, 3);
+  });
+});
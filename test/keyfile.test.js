@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { serializeKeys, parseKeyFile } = require('../lib/keyfile');
+
+const rows = [
+  { key: 'AB-1', hwid: ['pc-1', 'pc-2'], ban_reason: 'said "no", twice', expires_at: new Date('2030-01-02T03:04:05Z') },
+  { key: 'AB-2', hwid: [], ban_reason: '=HYPERLINK("x")', expires_at: null }
+];
+const columns = ['key', 'hwid', 'ban_reason', 'expires_at'];
+
+describe('serializeKeys', () => {
+  it('writes CSV with a header, quoting and CRLF line endings', () => {
+    const csv = serializeKeys(rows, columns, 'csv');
+    assert.strictEqual(csv.split('\r\n')[0], 'key,hwid,ban_reason,expires_at');
+    assert.ok(csv.includes('AB-1,pc-1|pc-2,"said ""no"", twice",2030-01-02T03:04:05.000Z\r\n'));
+  });
+
+  it('neutralises spreadsheet formulas', () => {
+    const csv = serializeKeys(rows, columns, 'csv');
+    assert.ok(csv.includes(`AB-2,,"'=HYPERLINK(""x"")",\r\n`));
+  });
+
+  it('writes one key per line for TXT and plain objects for JSON', () => {
+    assert.strictEqual(serializeKeys(rows, columns, 'txt'), 'AB-1\nAB-2\n');
+    assert.strictEqual(serializeKeys([], columns, 'txt'), '');
+    assert.deepStrictEqual(JSON.parse(serializeKeys(rows, ['key', 'missing'], 'json')), [
+      { key: 'AB-1', missing: null },
+      { key: 'AB-2', missing: null }
+    ]);
+  });
+});
+
+describe('parseKeyFile', () => {
+  it('reads back what serializeKeys wrote', () => {
+    const parsed = parseKeyFile(serializeKeys(rows, columns, 'csv'), 'csv');
+    assert.deepStrictEqual(parsed.map(entry => entry.row), [1, 2]);
+    assert.deepStrictEqual(parsed[0].data, {
+      key: 'AB-1', hwid: 'pc-1|pc-2', ban_reason: 'said "no", twice', expires_at: '2030-01-02T03:04:05.000Z'
+    });
+    assert.strictEqual(parsed[1].data.ban_reason, '=HYPERLINK("x")');
+  });
+
+  it('keeps newlines inside quoted CSV cells and skips blank lines', () => {
+    const parsed = parseKeyFile('\uFEFFKey,Note\n\nK-1,"two\nlines"\n', 'csv');
+    assert.deepStrictEqual(parsed, [{ row: 1, data: { key: 'K-1', note: 'two\nlines' } }]);
+  });
+
+  it('rejects CSV without a key column or with an open quote', () => {
+    assert.throws(() => parseKeyFile('name\nx\n', 'csv'), /key column/);
+    assert.throws(() => parseKeyFile('key\n"open\n', 'csv'), /Unterminated/);
+  });
+
+  it('accepts TXT comments and JSON arrays or { keys }', () => {
+    assert.deepStrictEqual(parseKeyFile('# export\nK-1\n\n K-2 \n', 'txt').map(entry => entry.data.key), ['K-1', 'K-2']);
+    assert.deepStrictEqual(parseKeyFile('["K-1", {"key": "K-2"}]', 'json').map(entry => entry.data.key), ['K-1', 'K-2']);
+    assert.strictEqual(parseKeyFile('{"keys": [{"key": "K-3"}]}', 'json')[0].data.key, 'K-3');
+    assert.throws(() => parseKeyFile('{"key": "K-1"}', 'json'), /array of keys/);
+    assert.throws(() => parseKeyFile('{', 'json'), /Invalid JSON/);
+  });
+});
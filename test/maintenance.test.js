@@ -0,0 +1,85 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, request, uniqueId, login, loginAdmin, query } = require('./helpers');
+
+describe('scheduled maintenance and key archive', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+
+  before(async () => {
+    admin = await loginAdmin();
+    api = (await call('create_app', { app_name: uniqueId('retain') }, { token: admin })).body.api_key;
+    await call('update_app', { api, key_retention_days: 1, key_retention_action: 'archive' }, { token: admin });
+  });
+
+  // Key đã hết hạn từ `daysAgo` ngày trước, có sẵn một thiết bị
+  async function expiredKey(daysAgo) {
+    const key = (await call('create_key', { api, prefix: 'RT', days: 30 }, { token: admin })).body.key;
+    await call('validate_key', { api, key, hwid: 'retired-pc' });
+    await query(`UPDATE keys SET expires_at = NOW() - make_interval(days => $2) WHERE key = $1`, [key, daysAgo]);
+    return key;
+  }
+
+  function maintain(options = {}) {
+    return call('run_maintenance', { api, ...options }, { token: admin });
+  }
+
+  it('counts without touching anything on a dry run', async () => {
+    const key = await expiredKey(3);
+    await expiredKey(0);
+
+    const report = await maintain({ dry_run: true });
+    assert.strictEqual(report.body.dry_run, true);
+    assert.strictEqual(report.body.totals.keys_archived, 1);
+    assert.strictEqual((await call('check_key', { api, key }, { token: admin })).body.success, true);
+  });
+
+  it('archives expired keys with their devices and restores them', async () => {
+    const report = await maintain();
+    assert.strictEqual(report.body.totals.keys_archived, 1);
+
+    const archived = await call('list_archived_keys', { api, limit: -5 }, { token: admin });
+    assert.strictEqual(archived.body.limit, 1);
+    assert.strictEqual(archived.body.total, 1);
+    const [entry] = archived.body.keys;
+    assert.strictEqual(entry.reason, 'expired');
+    assert.deepStrictEqual(entry.hwid, ['retired-pc']);
+
+    const restored = await call('restore_archived_keys', { api, keys: [entry.key, 'NOPE-NOPE'] }, { token: admin });
+    assert.deepStrictEqual(restored.body.restored, [entry.key]);
+    assert.strictEqual(restored.body.errors[0].error, 'Key not found in archive');
+
+    const row = (await call('check_key', { api, key: entry.key }, { token: admin })).body.key;
+    assert.deepStrictEqual(row.hwid, ['retired-pc']);
+    assert.strictEqual((await call('list_archived_keys', { api }, { token: admin })).body.total, 0);
+  });
+
+  it('deletes instead of archiving when configured', async () => {
+    await call('update_app', { api, key_retention_action: 'delete', key_retention_days: 1 }, { token: admin });
+    await query(`UPDATE keys SET expires_at = NOW() - INTERVAL '3 days' WHERE api = $1`, [api]);
+
+    const report = await maintain();
+    assert.strictEqual(report.body.totals.keys_deleted, 2);
+    assert.strictEqual((await call('list_archived_keys', { api }, { token: admin })).body.total, 0);
+  });
+
+  it('prunes events older than the retention window', async () => {
+    await call('update_app', { api, event_retention_days: 5 }, { token: admin });
+    const key = (await call('create_key', { api, prefix: 'EV', days: 30 }, { token: admin })).body.key;
+    await call('validate_key', { api, key, hwid: 'event-pc' });
+    await query(`UPDATE key_events SET created_at = NOW() - INTERVAL '6 days' WHERE key = $1`, [key]);
+
+    const report = await maintain();
+    assert.ok(report.body.totals.events_pruned >= 1);
+    assert.strictEqual((await query('SELECT COUNT(*)::int AS count FROM key_events WHERE key = $1', [key])).rows[0].count, 0);
+  });
+
+  it('is admin-only and the cron route needs CRON_SECRET', async () => {
+    const user_id = uniqueId('sup');
+    await call('add_support', { user_id, password: 'support-password' }, { token: admin });
+    const support = await login(user_id, 'support-password');
+    assert.strictEqual((await call('run_maintenance', {}, { token: support })).status, 403);
+
+    assert.strictEqual((await request('GET', '/cron/maintenance')).status, 401);
+  });
+});
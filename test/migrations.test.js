@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { MIGRATIONS, runMigrations, getMigrationStatus } = require('../lib/migrations');
+
+// Client giả chỉ đủ cho runMigrations: ghi lại câu lệnh, schema_migrations giữ trong bộ nhớ
+function createFakeClient({ applied = [], failOn = null } = {}) {
+  const versions = new Map(applied.map(version => [version, new Date()]));
+  const statements = [];
+  return {
+    statements,
+    versions,
+    async query(text, params = []) {
+      statements.push(text.trim().split(/\s+/).slice(0, 2).join(' '));
+      if (failOn && text.includes(failOn)) throw new Error('boom');
+      if (text.startsWith('SELECT version')) {
+        return { rows: [...versions].map(([version, applied_at]) => ({ version, applied_at })) };
+      }
+      if (text.startsWith('INSERT INTO schema_migrations')) versions.set(params[0], new Date());
+      return { rows: [] };
+    }
+  };
+}
+
+describe('migration list', () => {
+  it('has contiguous versions starting at 1 with unique names', () => {
+    assert.deepStrictEqual(MIGRATIONS.map(m => m.version), MIGRATIONS.map((m, i) => i + 1));
+    assert.strictEqual(new Set(MIGRATIONS.map(m => m.name)).size, MIGRATIONS.length);
+    for (const migration of MIGRATIONS) {
+      assert.match(migration.name, /^[a-z0-9_]+$/);
+      assert.strictEqual(typeof migration.up, 'function');
+    }
+  });
+});
+
+describe('runMigrations', () => {
+  it('applies only missing versions, in order, under the advisory lock', async () => {
+    const client = createFakeClient({ applied: [1, 2] });
+    const applied = await runMigrations(client, () => {});
+
+    assert.deepStrictEqual(applied, MIGRATIONS.slice(2).map(m => m.version));
+    assert.strictEqual(client.versions.size, MIGRATIONS.length);
+    assert.strictEqual(client.statements.filter(s => s === 'BEGIN').length, MIGRATIONS.length - 2);
+    assert.strictEqual(client.statements.at(-1), 'SELECT pg_advisory_unlock($1)');
+  });
+
+  it('does nothing when everything is applied', async () => {
+    const client = createFakeClient({ applied: MIGRATIONS.map(m => m.version) });
+    assert.deepStrictEqual(await runMigrations(client, () => {}), []);
+    assert.ok(!client.statements.includes('BEGIN'));
+  });
+
+  it('rolls back a failing migration, names it and still unlocks', async () => {
+    const client = createFakeClient({ applied: [1], failOn: 'CREATE TABLE IF NOT EXISTS operators' });
+    await assert.rejects(runMigrations(client, () => {}), /Migration 2_operator_accounts failed: boom/);
+
+    assert.ok(client.statements.includes('ROLLBACK'));
+    assert.ok(!client.versions.has(2));
+    assert.strictEqual(client.statements.at(-1), 'SELECT pg_advisory_unlock($1)');
+  });
+
+  it('reports status per migration', async () => {
+    const status = await getMigrationStatus(createFakeClient({ applied: [1] }));
+    assert.strictEqual(status.length, MIGRATIONS.length);
+    assert.ok(status[0].applied_at instanceof Date);
+    assert.strictEqual(status[1].applied_at, null);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { MAIN_ADMIN_ID, skipWithoutDatabase, call, nextIp, uniqueId, loginAdmin } = require('./helpers');
+
+describe('rate limits and lockouts', { skip: skipWithoutDatabase }, () => {
+  let admin;
+
+  before(async () => {
+    admin = await loginAdmin();
+  });
+
+  async function createLimitedApp(limits) {
+    const app = await call('create_app', { app_name: uniqueId('rate') }, { token: admin });
+    const api = app.body.api_key;
+    const result = await call('set_rate_limits', { api, ...limits }, { token: admin });
+    assert.strictEqual(result.body.success, true, result.body.message);
+    const key = (await call('create_key', { api, prefix: 'RL', days: 30 }, { token: admin })).body.key;
+    return { api, key };
+  }
+
+  it('limits validate_key per IP and sends Retry-After', async () => {
+    const { api, key } = await createLimitedApp({ rate_limit_per_ip: 3 });
+    const ip = nextIp();
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual((await call('validate_key', { api, key, hwid: 'pc' }, { ip })).status, 200);
+    }
+
+    const limited = await call('validate_key', { api, key, hwid: 'pc' }, { ip });
+    assert.strictEqual(limited.status, 429);
+    assert.ok(Number(limited.headers['retry-after']) > 0);
+
+    const otherIp = await call('validate_key', { api, key, hwid: 'pc' });
+    assert.strictEqual(otherIp.body.success, true);
+  });
+
+  it('locks an IP out after repeated invalid keys', async () => {
+    const { api, key } = await createLimitedApp({ lockout_threshold: 3 });
+    const ip = nextIp();
+    for (let i = 0; i < 3; i++) {
+      await call('validate_key', { api, key: `RL-WRONG${i}`, hwid: 'pc' }, { ip });
+    }
+
+    const locked = await call('validate_key', { api, key, hwid: 'pc' }, { ip });
+    assert.strictEqual(locked.status, 429);
+    assert.strictEqual(locked.body.message, 'Too many invalid attempts, try again later');
+  });
+
+  it('locks login out after repeated wrong passwords, even for the right one', async () => {
+    const ip = nextIp();
+    for (let i = 0; i < 5; i++) {
+      await call('login', { user_id: MAIN_ADMIN_ID, password: `wrong-${i}` }, { ip });
+    }
+
+    const result = await call('login', { user_id: MAIN_ADMIN_ID, password: process.env.ADMIN_PASSWORD }, { ip });
+    assert.strictEqual(result.status, 429);
+    assert.strictEqual(result.body.token, undefined);
+  });
+
+  it('validates set_rate_limits input and resets to defaults with null', async () => {
+    const { api } = await createLimitedApp({ rate_limit_per_app: 500 });
+    for (const value of [0, -1, 'many']) {
+      const result = await call('set_rate_limits', { api, rate_limit_per_ip: value }, { token: admin });
+      assert.strictEqual(result.status, 400);
+    }
+    assert.strictEqual((await call('set_rate_limits', { api }, { token: admin })).status, 400);
+
+    const reset = await call('set_rate_limits', { api, rate_limit_per_app: null }, { token: admin });
+    assert.strictEqual(reset.body.limits.rate_limit_per_app, null);
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, login, loginAdmin } = require('./helpers');
+
+describe('resellers, supports and app grants', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+
+  before(async () => {
+    admin = await loginAdmin();
+    api = (await call('create_app', { app_name: uniqueId('grant') }, { token: admin })).body.api_key;
+  });
+
+  // role: 'reseller' | 'support'
+  async function addOperator(role, extra = {}) {
+    const user_id = uniqueId(role.slice(0, 3));
+    const password = `${role}-password`;
+    const result = await call(`add_${role}`, { user_id, password, ...extra }, { token: admin });
+    assert.strictEqual(result.body.success, true, result.body.message);
+    return { user_id, token: await login(user_id, password) };
+  }
+
+  function grant(operator, flags = {}) {
+    return call('grant_app_access', { user_id: operator.user_id, api, ...flags }, { token: admin });
+  }
+
+  async function adminKey() {
+    return (await call('create_key', { api, prefix: 'GR', days: 30 }, { token: admin })).body.key;
+  }
+
+  describe('permissions', () => {
+    it('support only sees apps it owns or was granted', async () => {
+      const support = await addOperator('support');
+
+      assert.strictEqual((await call('get_keys', { api }, { token: support.token })).status, 403);
+      let apps = await call('get_apps', {}, { token: support.token });
+      assert.ok(!apps.body.applications.some(app => app.api_key === api));
+
+      await grant(support);
+      assert.strictEqual((await call('get_keys', { api }, { token: support.token })).body.success, true);
+      apps = await call('get_apps', {}, { token: support.token });
+      assert.ok(apps.body.applications.some(app => app.api_key === api));
+    });
+
+    it('grant flags decide create, ban and reset for supports', async () => {
+      const support = await addOperator('support');
+      await grant(support, { can_create: false, can_ban: true });
+      const key = await adminKey();
+
+      const created = await call('create_key', { api, prefix: 'S', days: 30 }, { token: support.token });
+      assert.strictEqual(created.status, 403);
+      assert.strictEqual((await call('ban_key', { api, key }, { token: support.token })).body.success, true);
+      assert.strictEqual((await call('reset_hwid', { api, key }, { token: support.token })).status, 403);
+      assert.strictEqual((await call('delete_key', { api, key }, { token: support.token })).status, 403);
+    });
+
+    it('support keeps full control of the apps it creates', async () => {
+      const support = await addOperator('support');
+      const own = (await call('create_app', { app_name: uniqueId('own') }, { token: support.token })).body.api_key;
+      const key = (await call('create_key', { api: own, prefix: 'O', days: 1 }, { token: support.token })).body.key;
+      assert.strictEqual((await call('delete_key', { api: own, key }, { token: support.token })).body.success, true);
+    });
+
+    it('resellers cannot create apps and only see their own keys', async () => {
+      const first = await addOperator('reseller', { credits: 5 });
+      const second = await addOperator('reseller', { credits: 5 });
+      await grant(first, { can_create: true, can_ban: true });
+      await grant(second, { can_create: true, can_ban: true });
+
+      const app = await call('create_app', { app_name: uniqueId('no') }, { token: first.token });
+      assert.strictEqual(app.status, 403);
+
+      const key = (await call('create_key', { api, prefix: 'R', days: 30 }, { token: first.token })).body.key;
+      const listed = await call('get_keys', { api }, { token: second.token });
+      assert.ok(!listed.body.keys.some(row => row.key === key));
+      assert.notStrictEqual((await call('ban_key', { api, key }, { token: second.token })).body.success, true);
+      assert.strictEqual((await call('ban_key', { api, key }, { token: first.token })).body.success, true);
+    });
+
+    it('revoking a grant removes access', async () => {
+      const support = await addOperator('support');
+      await grant(support);
+      await call('revoke_app_access', { user_id: support.user_id, api }, { token: admin });
+      assert.strictEqual((await call('get_keys', { api }, { token: support.token })).status, 403);
+    });
+  });
+
+  describe('credits', () => {
+    async function reseller(credits) {
+      const account = await addOperator('reseller', { credits });
+      await grant(account, { can_create: true });
+      return account;
+    }
+
+    async function balance(account) {
+      return (await call('get_credit_history', {}, { token: account.token })).body.credits;
+    }
+
+    it('debits months x devices per key', async () => {
+      const account = await reseller(100);
+
+      let result = await call('create_key', { api, prefix: 'C', days: 30, device_limit: 2 }, { token: account.token });
+      assert.strictEqual(result.body.credits, 98);
+
+      // 45 ngày làm tròn lên 2 tháng
+      result = await call('create_key', { api, prefix: 'C', days: 45 }, { token: account.token });
+      assert.strictEqual(result.body.credits, 96);
+
+      result = await call('create_key', { api, prefix: 'C', expiry_mode: 'lifetime' }, { token: account.token });
+      assert.strictEqual(result.body.credits, 84);
+
+      const history = await call('get_credit_history', {}, { token: account.token });
+      assert.deepStrictEqual(history.body.transactions.map(row => row.amount), [-12, -2, -2, 100]);
+    });
+
+    it('debits a whole batch or nothing', async () => {
+      const account = await reseller(4);
+      let result = await call('create_keys_bulk', { api, prefix: 'C', days: 30, quantity: 3 }, { token: account.token });
+      assert.strictEqual(result.body.credits_used, 3);
+      assert.strictEqual(await balance(account), 1);
+
+      result = await call('create_keys_bulk', { api, prefix: 'C', days: 30, quantity: 2 }, { token: account.token });
+      assert.strictEqual(result.body.success, false);
+      assert.strictEqual(result.body.required, 2);
+      assert.strictEqual(await balance(account), 1);
+
+      const keys = await call('get_keys', { api }, { token: account.token });
+      assert.strictEqual(keys.body.keys.length, 3);
+    });
+
+    it('does not overspend on concurrent requests', async () => {
+      const account = await reseller(1);
+      const results = await Promise.all([1, 2, 3].map(() =>
+        call('create_key', { api, prefix: 'C', days: 30 }, { token: account.token })
+      ));
+      assert.strictEqual(results.filter(result => result.body.success).length, 1);
+      assert.strictEqual(await balance(account), 0);
+    });
+
+    it('rejects device limits outside 1..100 before debiting', async () => {
+      const account = await reseller(10);
+      for (const device_limit of [-5, 500]) {
+        const result = await call('create_key', { api, prefix: 'C', days: 30, device_limit }, { token: account.token });
+        assert.strictEqual(result.body.success, false);
+        const batch = await call('create_keys_bulk', { api, prefix: 'C', days: 30, quantity: 2, device_limit }, { token: account.token });
+        assert.strictEqual(batch.body.success, false);
+      }
+      assert.strictEqual(await balance(account), 10);
+    });
+
+    it('admins are not charged and can top up', async () => {
+      const free = await call('create_key', { api, prefix: 'C', days: 365, device_limit: 5 }, { token: admin });
+      assert.strictEqual(free.body.success, true);
+      assert.strictEqual(free.body.credits, undefined);
+
+      const account = await reseller(0);
+      await call('add_credits', { user_id: account.user_id, amount: 7, note: 'top up' }, { token: admin });
+      assert.strictEqual(await balance(account), 7);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { V2_ROUTES, resolveError, createResponseAdapter, matchRoute } = require('../lib/rest');
+const { buildOpenApiDocument } = require('../lib/openapi');
+
+// res kiểu Vercel tối giản, chỉ ghi lại status và payload cuối cùng
+function createFakeRes() {
+  const res = {
+    sent: null,
+    headers: {},
+    setHeader(name, value) { res.headers[name] = value; },
+    status(code) {
+      return {
+        json(payload) { res.sent = { status: code, payload }; },
+        end() { res.sent = { status: code }; }
+      };
+    }
+  };
+  return res;
+}
+
+describe('matchRoute', () => {
+  it('matches method and path and decodes params', () => {
+    const match = matchRoute('POST', '/v2/keys/AB%3ACD-1234/ban');
+    assert.strictEqual(match.route.action, 'ban_key');
+    assert.deepStrictEqual(match.params, { key: 'AB:CD-1234' });
+  });
+
+  it('accepts a trailing slash', () => {
+    assert.strictEqual(matchRoute('GET', '/v2/apps/').route.action, 'get_apps');
+  });
+
+  it('returns null for unknown paths and wrong methods', () => {
+    assert.strictEqual(matchRoute('GET', '/v2/nope'), null);
+    assert.strictEqual(matchRoute('PATCH', '/v2/apps'), null);
+    assert.strictEqual(matchRoute('GET', '/v2/keys/a/b/c'), null);
+  });
+
+  it('has no two routes with the same method and path', () => {
+    const seen = V2_ROUTES.map(route => `${route.method} ${route.path}`);
+    assert.strictEqual(new Set(seen).size, seen.length);
+  });
+});
+
+describe('resolveError', () => {
+  it('maps business failures returned with 200 to a status and code', () => {
+    assert.deepStrictEqual(resolveError(200, 'Key not found'), { status: 404, code: 'KEY_NOT_FOUND' });
+    assert.deepStrictEqual(resolveError(200, 'Lỗi: ID [x] đã có tài khoản rồi!'), { status: 409, code: 'ACCOUNT_ALREADY_EXISTS' });
+  });
+
+  it('keeps the status the handler chose', () => {
+    assert.deepStrictEqual(resolveError(403, 'Key banned'), { status: 403, code: 'KEY_BANNED' });
+    assert.deepStrictEqual(resolveError(400, 'Anything else'), { status: 400, code: 'VALIDATION_ERROR' });
+    assert.deepStrictEqual(resolveError(418, 'Teapot'), { status: 418, code: 'REQUEST_FAILED' });
+  });
+
+  it('falls back to 422 for unknown business failures', () => {
+    assert.deepStrictEqual(resolveError(200, 'Something new'), { status: 422, code: 'REQUEST_FAILED' });
+  });
+});
+
+describe('createResponseAdapter', () => {
+  it('adds a code to failures without changing the legacy status', () => {
+    const res = createFakeRes();
+    createResponseAdapter(res).status(200).json({ success: false, message: 'Key not found' });
+    assert.deepStrictEqual(res.sent, { status: 200, payload: { success: false, message: 'Key not found', code: 'KEY_NOT_FOUND' } });
+  });
+
+  it('uses REST statuses for v2 failures and successes', () => {
+    let res = createFakeRes();
+    createResponseAdapter(res, { rest: true }).status(200).json({ success: false, message: 'Key not found' });
+    assert.strictEqual(res.sent.status, 404);
+
+    res = createFakeRes();
+    createResponseAdapter(res, { rest: true, successStatus: 201 }).json({ success: true });
+    assert.strictEqual(res.sent.status, 201);
+
+    res = createFakeRes();
+    createResponseAdapter(res, { rest: true, successStatus: 201 }).status(202).json({ success: true });
+    assert.strictEqual(res.sent.status, 202);
+  });
+});
+
+describe('OpenAPI document', () => {
+  const document = buildOpenApiDocument('https://api.example.com');
+
+  it('documents every v2 route once with a unique operationId', () => {
+    const operations = Object.values(document.paths).flatMap(path => Object.values(path));
+    assert.strictEqual(operations.length, V2_ROUTES.length);
+
+    const ids = operations.map(operation => operation.operationId);
+    assert.strictEqual(new Set(ids).size, ids.length);
+  });
+
+  it('converts path params and marks public routes', () => {
+    const ban = document.paths['/v2/keys/{key}/ban'].post;
+    assert.deepStrictEqual(ban.parameters.map(param => param.name), ['key']);
+
+    const validate = document.paths['/v2/validate'].post;
+    assert.deepStrictEqual(validate.security, []);
+    assert.deepStrictEqual(validate.requestBody.content['application/json'].schema.required, ['api', 'key', 'hwid']);
+  });
+
+  it('lists every error code', () => {
+    const codes = document.components.schemas.Error.properties.code.enum;
+    for (const code of ['KEY_NOT_FOUND', 'VALIDATION_ERROR', 'RATE_LIMITED', 'REQUEST_FAILED']) {
+      assert.ok(codes.includes(code), code);
+    }
+    assert.deepStrictEqual(document.servers, [{ url: 'https://api.example.com' }]);
+  });
+});
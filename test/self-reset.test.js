@@ -0,0 +1,84 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin, query } = require('./helpers');
+
+describe('self-service HWID reset', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+
+  before(async () => {
+    admin = await loginAdmin();
+    api = (await call('create_app', { app_name: uniqueId('reset') }, { token: admin })).body.api_key;
+  });
+
+  async function boundKey(hwids, device_limit = hwids.length) {
+    const key = (await call('create_key', { api, prefix: 'SR', days: 30, device_limit }, { token: admin })).body.key;
+    for (const hwid of hwids) await call('validate_key', { api, key, hwid });
+    return key;
+  }
+
+  function selfReset(key, hwid) {
+    return call('self_reset_hwid', { api, key, hwid });
+  }
+
+  // Đẩy các lượt reset đã dùng về quá khứ để bỏ qua cooldown
+  function ageResets(key, hours) {
+    return query(`UPDATE hwid_resets SET created_at = created_at - make_interval(hours => $2) WHERE key = $1`, [key, hours]);
+  }
+
+  it('is disabled until the app turns it on', async () => {
+    const key = await boundKey(['pc']);
+    assert.strictEqual((await selfReset(key)).body.message, 'Self-service HWID reset is disabled');
+
+    await call('update_app', { api, self_reset_enabled: true, self_reset_limit: 2, self_reset_cooldown_hours: 1 }, { token: admin });
+  });
+
+  it('releases the least recently seen device by default, or the one asked for', async () => {
+    const key = await boundKey(['old-pc', 'new-pc']);
+    await query(`UPDATE key_devices SET last_seen = NOW() - INTERVAL '1 day' WHERE key = $1 AND hwid = 'old-pc'`, [key]);
+
+    const first = await selfReset(key);
+    assert.strictEqual(first.body.hwid, 'old-pc');
+    assert.strictEqual(first.body.resets_remaining, 1);
+
+    await ageResets(key, 2);
+    assert.strictEqual((await selfReset(key, 'missing-pc')).body.message, 'Device not found');
+    assert.strictEqual((await selfReset(key, 'new-pc')).body.hwid, 'new-pc');
+
+    const devices = await query('SELECT COUNT(*)::int AS count FROM key_devices WHERE key = $1', [key]);
+    assert.strictEqual(devices.rows[0].count, 0);
+    const details = await call('check_key', { api, key }, { token: admin });
+    assert.deepStrictEqual(details.body.hwid_resets.map(reset => reset.source), ['self', 'self']);
+  });
+
+  it('enforces the cooldown and the limit per period', async () => {
+    const key = await boundKey(['a', 'b', 'c']);
+    assert.strictEqual((await selfReset(key, 'a')).body.success, true);
+
+    const cooldown = await selfReset(key, 'b');
+    assert.strictEqual(cooldown.body.message, 'HWID reset on cooldown');
+    assert.ok(cooldown.body.retry_after > 0 && cooldown.body.retry_after <= 3600);
+
+    await ageResets(key, 2);
+    assert.strictEqual((await selfReset(key, 'b')).body.resets_remaining, 0);
+
+    await ageResets(key, 2);
+    const limited = await selfReset(key, 'c');
+    assert.strictEqual(limited.body.message, 'HWID reset limit reached');
+    assert.strictEqual(limited.body.resets_remaining, 0);
+  });
+
+  it('lets only one of two concurrent resets through', async () => {
+    const key = await boundKey(['x', 'y']);
+    const results = await Promise.all([selfReset(key, 'x'), selfReset(key, 'y')]);
+    assert.deepStrictEqual(results.map(result => result.body.success).sort(), [false, true]);
+  });
+
+  it('does not reset banned or unknown keys', async () => {
+    const key = await boundKey(['pc']);
+    await call('ban_key', { api, key }, { token: admin });
+    assert.strictEqual((await selfReset(key)).body.message, 'Key banned');
+    assert.strictEqual((await selfReset('NOPE-NOPE')).body.message, 'Invalid key');
+    assert.strictEqual((await call('self_reset_hwid', { api, key, hwid: '' })).status, 400);
+  });
+});
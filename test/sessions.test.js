@@ -0,0 +1,90 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin, query } = require('./helpers');
+
+describe('client sessions', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+
+  before(async () => {
+    admin = await loginAdmin();
+    api = (await call('create_app', { app_name: uniqueId('sess') }, { token: admin })).body.api_key;
+  });
+
+  async function newKey(options = {}) {
+    return (await call('create_key', { api, prefix: 'SE', days: 30, device_limit: 3, ...options }, { token: admin })).body.key;
+  }
+
+  function heartbeat(session, extra = {}) {
+    return call('heartbeat', { api, session_token: session.session_token, ...extra });
+  }
+
+  it('extends the session on heartbeat with a signed reply', async () => {
+    const key = await newKey();
+    const session = (await call('validate_key', { api, key, hwid: 'sess-pc' })).body;
+    await query(`UPDATE client_sessions SET expires_at = NOW() + INTERVAL '1 minute' WHERE key = $1`, [key]);
+
+    const result = await heartbeat(session, { nonce: 'hb-1' });
+    assert.strictEqual(result.body.message, 'Session active');
+    assert.ok(result.body.signed);
+    assert.ok(new Date(result.body.session_expires_at) - Date.now() > 10 * 60 * 1000);
+
+    assert.strictEqual((await heartbeat({ session_token: 'nope' })).body.message, 'Invalid or expired session');
+    assert.strictEqual((await heartbeat(session, { nonce: 'x'.repeat(129) })).status, 400);
+  });
+
+  it('ends sessions on ban, HWID reset and kill', async () => {
+    const key = await newKey();
+    const first = (await call('validate_key', { api, key, hwid: 'sess-pc' })).body;
+    await call('ban_key', { api, key }, { token: admin });
+    assert.strictEqual((await heartbeat(first)).body.success, false);
+
+    await call('unban_key', { api, key }, { token: admin });
+    const second = (await call('validate_key', { api, key, hwid: 'sess-pc' })).body;
+    await call('reset_hwid', { api, key }, { token: admin });
+    assert.strictEqual((await heartbeat(second)).body.success, false);
+
+    const third = (await call('validate_key', { api, key, hwid: 'sess-pc' })).body;
+    const listed = await call('list_sessions', { api, key }, { token: admin });
+    assert.strictEqual(listed.body.sessions.length, 1);
+
+    const killed = await call('kill_session', { api, id: listed.body.sessions[0].id }, { token: admin });
+    assert.strictEqual(killed.body.killed, 1);
+    assert.strictEqual((await heartbeat(third)).body.success, false);
+    assert.strictEqual((await call('kill_session', { api, key }, { token: admin })).body.message, 'Session not found');
+  });
+
+  it('limits sessions per key and alerts once per key and HWID', async () => {
+    await call('update_app', { api, max_sessions_per_key: 1 }, { token: admin });
+    const webhook = (await call('add_webhook', { api, url: 'https://203.0.113.10/hook', events: 'key.session_limit_reached' }, { token: admin })).body.webhook;
+    const key = await newKey();
+
+    assert.strictEqual((await call('validate_key', { api, key, hwid: 'pc-1' })).body.success, true);
+    // Mở lại trên cùng máy thay session cũ chứ không tính thêm
+    assert.strictEqual((await call('validate_key', { api, key, hwid: 'pc-1' })).body.success, true);
+
+    for (let i = 0; i < 3; i++) {
+      const blocked = await call('validate_key', { api, key, hwid: 'pc-2' });
+      assert.strictEqual(blocked.body.message, 'Session limit reached');
+      assert.strictEqual(blocked.body.max_sessions, 1);
+    }
+
+    const queued = await query('SELECT COUNT(*)::int AS count FROM webhook_outbox WHERE webhook_id = $1', [webhook.id]);
+    assert.strictEqual(queued.rows[0].count, 1);
+    await call('update_app', { api, max_sessions_per_key: null }, { token: admin });
+  });
+
+  it('keeps a user_login session alive on the next subscription when one expires', async () => {
+    const account = { username: uniqueId('u').slice(0, 20), password: 'secret-pw', hwid: 'user-pc' };
+    await call('register', { api, key: await newKey(), ...account });
+    await call('upgrade', { api, key: await newKey(), username: account.username, password: account.password });
+
+    const session = (await call('user_login', { api, ...account })).body;
+    const [{ key }] = (await query('SELECT key FROM client_sessions WHERE id = encode(sha256($1::bytea), \'hex\')', [session.session_token])).rows;
+    await query(`UPDATE keys SET expires_at = NOW() - INTERVAL '1 minute' WHERE key = $1`, [key]);
+
+    assert.strictEqual((await heartbeat(session)).body.success, true);
+    const moved = await query('SELECT key FROM client_sessions WHERE app_user_id IS NOT NULL AND key <> $1 AND api = $2', [key, api]);
+    assert.strictEqual(moved.rows.length, 1);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin } = require('./helpers');
+
+// Cách loader phía client kiểm tra: chữ ký Ed25519 trên chuỗi payload base64url
+function verify(signed, publicKey) {
+  return crypto.verify(null, Buffer.from(signed.payload), publicKey, Buffer.from(signed.signature, 'base64'));
+}
+
+function decode(signed) {
+  return JSON.parse(Buffer.from(signed.payload, 'base64url').toString());
+}
+
+describe('signed validate_key responses', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+  let publicKey;
+
+  before(async () => {
+    admin = await loginAdmin();
+    const app = await call('create_app', { app_name: uniqueId('sign') }, { token: admin });
+    api = app.body.api_key;
+    publicKey = app.body.signing_public_key;
+  });
+
+  async function newKey() {
+    const result = await call('create_key', { api, prefix: 'SG', days: 7 }, { token: admin });
+    return result.body.key;
+  }
+
+  it('signs success responses with the app key and echoes the nonce', async () => {
+    const key = await newKey();
+    const result = await call('validate_key', { api, key, hwid: 'pc-1', nonce: 'nonce-123' });
+    assert.strictEqual(result.body.success, true);
+
+    const { signed } = result.body;
+    assert.strictEqual(signed.alg, 'Ed25519');
+    assert.ok(verify(signed, publicKey));
+
+    const data = decode(signed);
+    assert.strictEqual(data.success, true);
+    assert.strictEqual(data.key, key);
+    assert.strictEqual(data.hwid, 'pc-1');
+    assert.strictEqual(data.nonce, 'nonce-123');
+  });
+
+  it('signs failures too, so a patched "success" is detectable', async () => {
+    const result = await call('validate_key', { api, key: 'SG-MISSING', hwid: 'pc-1' });
+    assert.strictEqual(result.body.success, false);
+    assert.ok(verify(result.body.signed, publicKey));
+
+    const forged = Buffer.from(JSON.stringify({ ...decode(result.body.signed), success: true })).toString('base64url');
+    assert.strictEqual(verify({ ...result.body.signed, payload: forged }, publicKey), false);
+  });
+
+  it('rejects an oversized nonce', async () => {
+    const result = await call('validate_key', { api, key: await newKey(), hwid: 'pc-1', nonce: 'n'.repeat(129) });
+    assert.strictEqual(result.status, 400);
+  });
+
+  it('rotates the signing key', async () => {
+    const before = await call('get_signing_key', { api }, { token: admin });
+    const rotated = await call('rotate_signing_key', { api }, { token: admin });
+    assert.strictEqual(rotated.body.success, true);
+
+    const after = await call('get_signing_key', { api }, { token: admin });
+    assert.notStrictEqual(after.body.signing_key_id, before.body.signing_key_id);
+
+    const result = await call('validate_key', { api, key: await newKey(), hwid: 'pc-2' });
+    assert.strictEqual(result.body.signed.key_id, after.body.signing_key_id);
+    assert.ok(verify(result.body.signed, after.body.signing_public_key));
+    assert.strictEqual(verify(result.body.signed, publicKey), false);
+    publicKey = after.body.signing_public_key;
+  });
+
+  it('never returns the private key in app listings', async () => {
+    const result = await call('get_apps', {}, { token: admin });
+    const app = result.body.applications.find(row => row.api_key === api);
+    assert.ok(app);
+    assert.strictEqual(app.signing_private_key, undefined);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, login, loginAdmin } = require('./helpers');
+
+describe('get_stats', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+  let reseller;
+  let support;
+
+  async function addOperator(role, extra = {}) {
+    const user_id = uniqueId(role.slice(0, 3));
+    await call(`add_${role}`, { user_id, password: `${role}-password`, ...extra }, { token: admin });
+    return { user_id, token: await login(user_id, `${role}-password`) };
+  }
+
+  before(async () => {
+    admin = await loginAdmin();
+    api = (await call('create_app', { app_name: uniqueId('stats') }, { token: admin })).body.api_key;
+
+    const keys = [];
+    for (let i = 0; i < 3; i++) {
+      keys.push((await call('create_key', { api, prefix: 'STA', days: 30 }, { token: admin })).body.key);
+    }
+    await call('validate_key', { api, key: keys[0], hwid: 'stats-pc' });
+    await call('ban_key', { api, key: keys[1] }, { token: admin });
+    await call('validate_key', { api, key: keys[1], hwid: 'stats-pc' });
+
+    reseller = await addOperator('reseller', { credits: 10 });
+    support = await addOperator('support');
+    for (const operator of [reseller, support]) {
+      await call('grant_app_access', { user_id: operator.user_id, api }, { token: admin });
+    }
+    await call('create_key', { api, prefix: 'RSL', days: 30 }, { token: reseller.token });
+  });
+
+  function stats(token, options = {}) {
+    return call('get_stats', options, { token });
+  }
+
+  it('aggregates keys, validations and failures for one app', async () => {
+    const result = await stats(admin, { api, days: 7 });
+    assert.strictEqual(result.body.keys.total, 4);
+    assert.strictEqual(result.body.keys.active, 1);
+    assert.strictEqual(result.body.keys.banned, 1);
+    assert.strictEqual(result.body.keys.created, 4);
+    assert.strictEqual(result.body.unique_hwids, 1);
+    assert.deepStrictEqual(result.body.validations, { total: 2, succeeded: 1, failed: 1 });
+    assert.deepStrictEqual(result.body.failures_by_reason, [{ reason: 'Key banned', count: 1 }]);
+    assert.deepStrictEqual(result.body.top_resellers, [{ user_id: reseller.user_id, keys_created: 1 }]);
+  });
+
+  it('returns one point per day, including empty days', async () => {
+    const result = await stats(admin, { api, days: 6 });
+    assert.strictEqual(result.body.per_day.length, 7);
+    assert.strictEqual(result.body.per_day.at(-1).created, 4);
+    assert.strictEqual(result.body.per_day[0].created, 0);
+  });
+
+  it('scopes a granted support to its apps and a reseller to its own keys', async () => {
+    const supportStats = await stats(support.token);
+    assert.deepStrictEqual(supportStats.body.apps.map(app => app.api), [api]);
+    assert.strictEqual(supportStats.body.keys.total, 4);
+
+    const resellerStats = await stats(reseller.token);
+    assert.strictEqual(resellerStats.body.keys.total, 1);
+    assert.strictEqual((await stats(reseller.token, { api })).body.keys.total, 1);
+  });
+
+  it('rejects bad ranges and apps outside the scope', async () => {
+    assert.strictEqual((await stats(admin, { from: 'yesterday' })).status, 400);
+    assert.strictEqual((await stats(admin, { from: '2030-01-02', to: '2030-01-01' })).status, 400);
+    assert.strictEqual((await stats(admin, { days: 5000 })).status, 400);
+
+    const outsider = await addOperator('support');
+    assert.strictEqual((await stats(outsider.token, { api })).status, 403);
+    assert.strictEqual((await stats(outsider.token)).body.keys.total, 0);
+  });
+});
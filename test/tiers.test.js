@@ -0,0 +1,68 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin } = require('./helpers');
+
+describe('subscription tiers', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+  let premium;
+
+  before(async () => {
+    admin = await loginAdmin();
+    api = (await call('create_app', { app_name: uniqueId('tier') }, { token: admin })).body.api_key;
+    const created = await call('create_tier', { api, name: 'Premium', level: 2, features: 'esp, aimbot,esp' }, { token: admin });
+    premium = created.body.tier;
+  });
+
+  it('creates tiers with de-duplicated feature flags', async () => {
+    assert.deepStrictEqual(premium.features, ['esp', 'aimbot']);
+    assert.strictEqual((await call('create_tier', { api, name: 'Premium' }, { token: admin })).body.message, 'Tier already exists');
+
+    for (const tier of [{ name: '' }, { name: 'X', level: -1 }, { name: 'X', features: 'bad flag' }]) {
+      assert.strictEqual((await call('create_tier', { api, ...tier }, { token: admin })).status, 400, JSON.stringify(tier));
+    }
+  });
+
+  it('returns entitlements of the key tier from validate_key', async () => {
+    const key = (await call('create_key', { api, prefix: 'TI', days: 2, tier_id: premium.id }, { token: admin })).body.key;
+    const result = await call('validate_key', { api, key, hwid: 'tier-pc' });
+    assert.strictEqual(result.body.tier, 'Premium');
+    assert.strictEqual(result.body.level, 2);
+    assert.deepStrictEqual(result.body.features, ['esp', 'aimbot']);
+    assert.ok(result.body.remaining_seconds > 86400 && result.body.remaining_seconds <= 2 * 86400);
+
+    const plain = (await call('create_key', { api, prefix: 'TI', expiry_mode: 'lifetime' }, { token: admin })).body.key;
+    const basic = await call('validate_key', { api, key: plain, hwid: 'tier-pc' });
+    assert.deepStrictEqual([basic.body.tier, basic.body.level, basic.body.features, basic.body.remaining_seconds], [null, 0, [], null]);
+  });
+
+  it('only accepts tiers of the same app on key creation', async () => {
+    const other = (await call('create_app', { app_name: uniqueId('tier2') }, { token: admin })).body.api_key;
+    for (const tier_id of [premium.id, 'abc', 99999999999]) {
+      const result = await call('create_key', { api: other, prefix: 'TI', days: 1, tier_id }, { token: admin });
+      assert.strictEqual(result.body.message, 'Tier not found', String(tier_id));
+    }
+  });
+
+  it('updates tiers and refuses to delete one that keys use', async () => {
+    const updated = await call('update_tier', { api, id: premium.id, features: ['esp'] }, { token: admin });
+    assert.deepStrictEqual(updated.body.tier.features, ['esp']);
+
+    const inUse = await call('delete_tier', { api, id: premium.id }, { token: admin });
+    assert.strictEqual(inUse.body.message, 'Tier is in use');
+
+    const spare = (await call('create_tier', { api, name: 'Spare' }, { token: admin })).body.tier;
+    assert.strictEqual((await call('delete_tier', { api, id: spare.id }, { token: admin })).body.success, true);
+
+    const listed = await call('list_tiers', { api }, { token: admin });
+    assert.deepStrictEqual(listed.body.tiers.map(tier => tier.name), ['Premium']);
+  });
+
+  it('validates the tier id', async () => {
+    for (const action of ['update_tier', 'delete_tier']) {
+      for (const id of ['abc', -1, 99999999999]) {
+        assert.strictEqual((await call(action, { api, id, name: 'Y' }, { token: admin })).status, 400, `${action} ${id}`);
+      }
+    }
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { skipWithoutDatabase, call, request, uniqueId, loginAdmin, query } = require('./helpers');
+
+describe('trash for apps and keys', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let appName;
+  let api;
+
+  before(async () => {
+    admin = await loginAdmin();
+    appName = uniqueId('trash');
+    api = (await call('create_app', { app_name: appName }, { token: admin })).body.api_key;
+  });
+
+  async function newKey() {
+    const key = (await call('create_key', { api, prefix: 'TR', days: 30 }, { token: admin })).body.key;
+    await call('validate_key', { api, key, hwid: 'trash-pc' });
+    return key;
+  }
+
+  function validate(key) {
+    return call('validate_key', { api, key, hwid: 'trash-pc' });
+  }
+
+  it('hides a deleted key and restores it with its devices', async () => {
+    const key = await newKey();
+    assert.strictEqual((await call('delete_key', { api, key }, { token: admin })).body.success, true);
+    assert.strictEqual((await validate(key)).body.message, 'Invalid key');
+    assert.strictEqual((await call('check_key', { api, key }, { token: admin })).body.message, 'Key not found');
+
+    const trash = await call('list_trash', { api }, { token: admin });
+    const entry = trash.body.keys.find(row => row.key === key);
+    assert.strictEqual(trash.body.retention_days, 30);
+    assert.strictEqual(new Date(entry.purge_after) - new Date(entry.deleted_at), 30 * 24 * 3600 * 1000);
+
+    assert.strictEqual((await call('restore_key', { api, key }, { token: admin })).body.success, true);
+    assert.strictEqual((await validate(key)).body.success, true);
+    assert.strictEqual((await call('restore_key', { api, key }, { token: admin })).body.message, 'Key not found in trash');
+  });
+
+  it('clamps the trash page size', async () => {
+    for (const key of [await newKey(), await newKey()]) {
+      await call('delete_key', { api, key }, { token: admin });
+    }
+    const trash = await call('list_trash', { api, limit: -5 }, { token: admin });
+    assert.strictEqual(trash.body.keys.length, 1);
+  });
+
+  it('only finds trashed keys through the v2 restore route', async () => {
+    const key = await newKey();
+    await call('delete_key', { api, key }, { token: admin });
+
+    const details = await request('GET', `/v2/keys/${key}`, { token: admin });
+    assert.strictEqual(details.status, 404);
+    assert.strictEqual((await request('POST', `/v2/keys/${key}/ban`, { token: admin })).status, 404);
+
+    const restored = await request('POST', `/v2/keys/${key}/restore`, { token: admin });
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual((await request('GET', `/v2/keys/${key}`, { token: admin })).status, 200);
+  });
+
+  it('takes a deleted app offline until it is restored', async () => {
+    const key = await newKey();
+    assert.strictEqual((await call('delete_app', { app_name: appName }, { token: admin })).body.message, 'App moved to trash');
+
+    const apps = await call('get_apps', {}, { token: admin });
+    assert.ok(!apps.body.applications.some(app => app.api_key === api));
+    assert.strictEqual((await validate(key)).body.success, false);
+    assert.strictEqual((await call('get_keys', { api }, { token: admin })).status, 403);
+
+    const trash = await call('list_trash', {}, { token: admin });
+    assert.ok(trash.body.applications.some(app => app.api_key === api));
+
+    assert.strictEqual((await call('restore_app', { api }, { token: admin })).body.success, true);
+    assert.strictEqual((await validate(key)).body.success, true);
+  });
+
+  it('purges trash older than the retention period', async () => {
+    const key = await newKey();
+    await call('delete_key', { api, key }, { token: admin });
+    await query(`UPDATE keys SET deleted_at = NOW() - INTERVAL '31 days' WHERE key = $1`, [key]);
+
+    const report = await call('run_maintenance', {}, { token: admin });
+    assert.ok(report.body.global.trashed_keys >= 1);
+    assert.strictEqual((await query('SELECT 1 FROM keys WHERE key = $1', [key])).rows.length, 0);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { MAIN_ADMIN_ID, skipWithoutDatabase, call, request, uniqueId, loginAdmin } = require('./helpers');
+
+describe('REST v2 routes', { skip: skipWithoutDatabase }, () => {
+  let token;
+  let api;
+
+  before(async () => {
+    const login = await request('POST', '/v2/auth/login', { body: { user_id: MAIN_ADMIN_ID, password: process.env.ADMIN_PASSWORD } });
+    assert.strictEqual(login.status, 200);
+    token = login.body.token;
+
+    const app = await request('POST', '/v2/apps', { token, body: { app_name: uniqueId('v2') } });
+    assert.strictEqual(app.status, 201);
+    api = app.body.api_key;
+  });
+
+  it('serves the OpenAPI document without a session', async () => {
+    const result = await request('GET', '/v2/openapi.json');
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.openapi, '3.0.3');
+  });
+
+  it('requires a session and answers with error codes', async () => {
+    const unauthorized = await request('GET', '/v2/apps');
+    assert.strictEqual(unauthorized.status, 401);
+    assert.strictEqual(unauthorized.body.code, 'UNAUTHORIZED');
+
+    const missing = await request('GET', '/v2/does-not-exist', { token });
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.code, 'ROUTE_NOT_FOUND');
+  });
+
+  it('creates and manages a key through path parameters', async () => {
+    const created = await request('POST', `/v2/apps/${api}/keys`, { token, body: { prefix: 'V2', days: 30 } });
+    assert.strictEqual(created.status, 201);
+    const { key } = created.body;
+
+    // /v2/keys/:key tự tìm application của key
+    const details = await request('GET', `/v2/keys/${encodeURIComponent(key)}`, { token });
+    assert.strictEqual(details.body.key.api, api);
+
+    const banned = await request('POST', `/v2/keys/${key}/ban`, { token, body: { reason: 'v2 test' } });
+    assert.strictEqual(banned.status, 200);
+
+    const validated = await request('POST', '/v2/validate', { body: { api, key, hwid: 'pc' } });
+    assert.strictEqual(validated.status, 403);
+    assert.strictEqual(validated.body.code, 'KEY_BANNED');
+    assert.ok(validated.body.signed);
+  });
+
+  it('maps business failures to HTTP statuses', async () => {
+    const unknownKey = await request('GET', '/v2/keys/NOPE-NOPE', { token });
+    assert.strictEqual(unknownKey.status, 404);
+    assert.strictEqual(unknownKey.body.code, 'KEY_NOT_FOUND');
+
+    const invalid = await request('POST', `/v2/apps/${api}/keys`, { token, body: { prefix: 'V2', days: 30, device_limit: 500 } });
+    assert.strictEqual(invalid.status, 400);
+
+    const badEntry = await request('DELETE', `/v2/apps/${api}/blacklist/abc`, { token });
+    assert.strictEqual(badEntry.status, 400);
+    assert.strictEqual(badEntry.body.code, 'VALIDATION_ERROR');
+  });
+
+  it('adds codes to legacy action failures without changing their status', async () => {
+    const result = await call('check_key', { api, key: 'NOPE-NOPE' }, { token });
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.code, 'KEY_NOT_FOUND');
+  });
+
+  it('deletes an application by api key', async () => {
+    const admin = await loginAdmin();
+    const other = (await call('create_app', { app_name: uniqueId('v2del') }, { token: admin })).body.api_key;
+    const result = await request('DELETE', `/v2/apps/${other}`, { token });
+    assert.strictEqual(result.status, 200);
+
+    const again = await request('DELETE', `/v2/apps/${other}`, { token });
+    assert.strictEqual(again.status, 404);
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin, query } = require('./helpers');
+
+function decrypt(sessionKey, encrypted) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(sessionKey, 'base64'), Buffer.from(encrypted.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+}
+
+describe('variables and files', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+  let vip;
+
+  before(async () => {
+    admin = await loginAdmin();
+    api = (await call('create_app', { app_name: uniqueId('vars') }, { token: admin })).body.api_key;
+    vip = (await call('create_tier', { api, name: 'VIP', level: 5 }, { token: admin })).body.tier;
+
+    await call('set_variable', { api, name: 'motd', value: 'xin chào' }, { token: admin });
+    await call('set_variable', { api, name: 'offsets', value: '0xDEAD', tier_id: vip.id }, { token: admin });
+    await call('upload_file', { api, name: 'config.bin', content: Buffer.from('payload').toString('base64') }, { token: admin });
+  });
+
+  async function openSession(options = {}) {
+    const key = (await call('create_key', { api, prefix: 'VA', days: 30, ...options }, { token: admin })).body.key;
+    const result = await call('validate_key', { api, key, hwid: 'vars-pc' });
+    return { key, ...result.body };
+  }
+
+  it('delivers variables and files encrypted with the session key', async () => {
+    const session = await openSession();
+    const variable = await call('get_variable', { api, session_token: session.session_token, name: 'motd' });
+    assert.strictEqual(decrypt(session.session_key, variable.body.encrypted).toString('utf8'), 'xin chào');
+
+    const file = await call('get_file', { api, session_token: session.session_token, name: 'config.bin' });
+    const content = decrypt(session.session_key, file.body.encrypted);
+    assert.strictEqual(content.toString(), 'payload');
+    assert.strictEqual(file.body.sha256, crypto.createHash('sha256').update(content).digest('hex'));
+
+    const missing = await call('get_variable', { api, session_token: session.session_token, name: 'nope' });
+    assert.strictEqual(missing.body.message, 'Variable not found');
+  });
+
+  it('only gives tier-restricted data to keys of a high enough tier', async () => {
+    const basic = await openSession();
+    const denied = await call('get_variable', { api, session_token: basic.session_token, name: 'offsets' });
+    assert.strictEqual(denied.body.message, 'Tier does not include this resource');
+
+    const premium = await openSession({ tier_id: vip.id });
+    const allowed = await call('get_variable', { api, session_token: premium.session_token, name: 'offsets' });
+    assert.strictEqual(decrypt(premium.session_key, allowed.body.encrypted).toString(), '0xDEAD');
+  });
+
+  it('stops a session once its key is banned or the session expires', async () => {
+    const session = await openSession();
+    await call('ban_key', { api, key: session.key }, { token: admin });
+    const banned = await call('get_variable', { api, session_token: session.session_token, name: 'motd' });
+    assert.strictEqual(banned.body.message, 'Invalid or expired session');
+
+    const other = await openSession();
+    await query(`UPDATE client_sessions SET expires_at = NOW() - INTERVAL '1 minute' WHERE key = $1`, [other.key]);
+    const expired = await call('get_variable', { api, session_token: other.session_token, name: 'motd' });
+    assert.strictEqual(expired.body.message, 'Invalid or expired session');
+  });
+
+  it('keeps a tier that variables still use', async () => {
+    const result = await call('delete_tier', { api, id: vip.id }, { token: admin });
+    assert.strictEqual(result.body.message, 'Tier is in use');
+    assert.strictEqual(result.body.variable_count, 1);
+  });
+
+  it('validates names, values and content and never lists file content', async () => {
+    assert.strictEqual((await call('set_variable', { api, name: 'bad name', value: 'x' }, { token: admin })).status, 400);
+    assert.strictEqual((await call('set_variable', { api, name: 'x', value: 'x', tier_id: 'abc' }, { token: admin })).body.message, 'Tier not found');
+    assert.strictEqual((await call('upload_file', { api, name: 'a.bin', content: 'not base64!' }, { token: admin })).status, 400);
+
+    const files = await call('list_files', { api }, { token: admin });
+    assert.deepStrictEqual(files.body.files.map(file => file.name), ['config.bin']);
+    assert.strictEqual(files.body.files[0].content, undefined);
+
+    assert.strictEqual((await call('delete_file', { api, name: 'config.bin' }, { token: admin })).body.success, true);
+    assert.strictEqual((await call('delete_variable', { api, name: 'gone' }, { token: admin })).body.message, 'Variable not found');
+  });
+});
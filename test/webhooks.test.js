@@ -0,0 +1,117 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { skipWithoutDatabase, call, uniqueId, loginAdmin, query } = require('./helpers');
+const { checkWebhookUrl, signWebhookPayload } = require('../lib/webhooks');
+
+// Địa chỉ TEST-NET công khai: qua được kiểm tra URL mà không cần DNS
+const PUBLIC_URL = 'https://203.0.113.10/hook';
+
+describe('checkWebhookUrl', () => {
+  it('accepts https URLs on public addresses', async () => {
+    assert.strictEqual(await checkWebhookUrl(PUBLIC_URL), null);
+  });
+
+  it('requires a valid https URL', async () => {
+    for (const url of ['not a url', 'http://203.0.113.10/hook', 'ftp://203.0.113.10/']) {
+      assert.strictEqual(await checkWebhookUrl(url), 'URL must be a valid https URL', url);
+    }
+  });
+
+  it('rejects loopback, private, link-local and mapped addresses', async () => {
+    for (const url of [
+      'https://localhost/', 'https://api.localhost/', 'https://127.0.0.1/', 'https://10.1.2.3/',
+      'https://169.254.169.254/latest', 'https://[::1]/', 'https://[::ffff:192.168.0.1]/'
+    ]) {
+      assert.strictEqual(await checkWebhookUrl(url), 'URL must not point to a private or local address', url);
+    }
+  });
+});
+
+describe('signWebhookPayload', () => {
+  it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+    assert.strictEqual(signWebhookPayload('whsec_test', 1700000000, '{"a":1}'), expected);
+    assert.notStrictEqual(signWebhookPayload('whsec_test', 1700000001, '{"a":1}'), expected);
+  });
+});
+
+describe('webhook actions', { skip: skipWithoutDatabase }, () => {
+  let admin;
+  let api;
+
+  before(async () => {
+    admin = await loginAdmin();
+    api = (await call('create_app', { app_name: uniqueId('hook') }, { token: admin })).body.api_key;
+  });
+
+  async function addWebhook(events) {
+    const result = await call('add_webhook', { api, url: PUBLIC_URL, events }, { token: admin });
+    assert.strictEqual(result.body.success, true);
+    return result.body.webhook;
+  }
+
+  it('creates, updates and deletes a webhook, returning the secret only once', async () => {
+    const webhook = await addWebhook('key.banned');
+    assert.match(webhook.secret, /^whsec_/);
+
+    const updated = await call('update_webhook', { api, id: webhook.id, enabled: false }, { token: admin });
+    assert.strictEqual(updated.body.webhook.enabled, false);
+    assert.strictEqual(updated.body.webhook.secret, undefined);
+
+    const listed = await call('list_webhooks', { api }, { token: admin });
+    assert.ok(listed.body.webhooks.some(row => row.id === webhook.id && row.secret === undefined));
+
+    assert.strictEqual((await call('delete_webhook', { api, id: webhook.id }, { token: admin })).body.success, true);
+    assert.strictEqual((await call('delete_webhook', { api, id: webhook.id }, { token: admin })).body.message, 'Webhook not found');
+  });
+
+  it('rejects private URLs and unknown events', async () => {
+    const local = await call('add_webhook', { api, url: 'https://127.0.0.1/hook' }, { token: admin });
+    assert.strictEqual(local.status, 400);
+
+    const events = await call('add_webhook', { api, url: PUBLIC_URL, events: 'key.exploded' }, { token: admin });
+    assert.strictEqual(events.status, 400);
+  });
+
+  it('validates the webhook id before querying', async () => {
+    for (const action of ['update_webhook', 'delete_webhook', 'test_webhook']) {
+      for (const id of ['abc', '1.5', -1, 99999999999]) {
+        const result = await call(action, { api, id }, { token: admin });
+        assert.strictEqual(result.status, 400, `${action} ${id}`);
+      }
+    }
+    assert.strictEqual((await call('get_webhook_deliveries', { api, webhook_id: 'abc' }, { token: admin })).status, 400);
+  });
+
+  it('records test deliveries and clamps the page size', async () => {
+    const webhook = await addWebhook('key.banned');
+    const sent = await call('test_webhook', { api, id: webhook.id }, { token: admin });
+    assert.strictEqual(sent.body.success, true);
+
+    const deliveries = await call('get_webhook_deliveries', { api, webhook_id: webhook.id, limit: -5, offset: -10 }, { token: admin });
+    assert.strictEqual(deliveries.status, 200);
+    assert.strictEqual(deliveries.body.limit, 1);
+    assert.strictEqual(deliveries.body.offset, 0);
+    assert.strictEqual(deliveries.body.deliveries.length, 1);
+    assert.strictEqual(deliveries.body.deliveries[0].event, 'webhook.test');
+    assert.strictEqual(deliveries.body.deliveries[0].response_body, undefined);
+  });
+
+  it('queues key.device_limit_reached once per key and HWID', async () => {
+    const webhook = await addWebhook('key.device_limit_reached');
+    const key = (await call('create_key', { api, prefix: 'WH', days: 30 }, { token: admin })).body.key;
+    await call('validate_key', { api, key, hwid: 'first-pc' });
+
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual((await call('validate_key', { api, key, hwid: 'second-pc' })).body.message, 'Key limited');
+    }
+    await call('validate_key', { api, key, hwid: 'third-pc' });
+
+    const queued = await query(
+      `SELECT payload->'data'->>'hwid' AS hwid FROM webhook_outbox WHERE webhook_id = $1 ORDER BY id`,
+      [webhook.id]
+    );
+    assert.deepStrictEqual(queued.rows.map(row => row.hwid), ['second-pc', 'third-pc']);
+  });
+});